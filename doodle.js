@@ -1,361 +1,215 @@
 import express from "express";
-import { google } from "googleapis";
 import cors from "cors";
+import {
+  getSheetData,
+  getLocationCatalogOrder,
+  getLocations,
+  getStockRows,
+  getMedicationCatalog,
+  ensureTabs,
+} from "./storage/inventory.js";
+import {
+  renderLayout,
+  renderInventoryPicker,
+  renderWitnessFields,
+  escapeHtml,
+} from "./views/layout.js";
+import { attachUser, can, requireLogin } from "./lib/auth.js";
+import usersRouter, { ensureAdminUser } from "./routes/users.js";
+import stashesRouter, { ensureStashes } from "./routes/stashes.js";
+import activityRouter from "./routes/activity.js";
+import restockRouter from "./routes/restock.js";
+import transferRouter from "./routes/transfer.js";
+import patientsRouter from "./routes/patients.js";
+import csvRouter from "./routes/csv.js";
+import reportsRouter from "./routes/reports.js";
+import countsRouter from "./routes/counts.js";
+import locationsRouter from "./routes/locations.js";
+import medicationsRouter from "./routes/medications.js";
+import controlledRouter from "./routes/controlled.js";
+import recallsRouter from "./routes/recalls.js";
+import apiRouter from "./routes/api.js";
+import {
+  EXPIRING_SOON_DAYS,
+  compareExpiration,
+  daysUntilExpiration,
+  expirationTag,
+} from "./lib/expiration.js";
+import { isSameDose, normalizeDose } from "./lib/dose.js";
+import {
+  SHARED_INVENTORY,
+  SHARED_SHEETS,
+  sheetsForInventory,
+  targetSheetFor,
+} from "./lib/inventories.js";
+import {
+  getAccessibleStashes,
+  resolveInventory,
+  canUseSheet,
+  searchStock,
+  searchPastMedication,
+  addStock,
+} from "./lib/stock.js";
+import {
+  StockConflictError,
+  StockWriteError,
+  WitnessRequiredError,
+  withStockPlan,
+} from "./lib/stockPlan.js";
+import { authenticateWitness, isControlled } from "./lib/controlled.js";
+import { afterStockChange } from "./lib/stockEvents.js";
+import { parseDispensingRecord } from "./lib/dispensing.js";
+import { REMOVAL_REASONS, parseRemovalReason } from "./lib/removals.js";
+import { countQuarantined, createRecallCheck } from "./lib/recalls.js";
+import { looksLikeNdc, lookupNdc, rememberNdc } from "./lib/ndc.js";
+import { nameMatcher, rankByName } from "./lib/search.js";
+import { startStockAlerts } from "./lib/alerts.js";
+import {
+  catalogCategories,
+  catalogEntryFor,
+  createCatalogResolver,
+} from "./lib/medications.js";
 
 const app = express();
 const port = 3000;
 
-function normalizeDose(dose) {
-  return (dose || "").replace(/\s+/g, "").toLowerCase();
-}
-
 // Middleware setup
 app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(cors({ origin: "*" }));
+// CSV imports are posted as form text, so allow more than the 100kb default
+app.use(express.urlencoded({ extended: true, limit: "2mb" }));
+// Cross-origin access only for origins listed in CORS_ORIGIN (comma-separated)
+app.use(
+  cors({
+    origin: process.env.CORS_ORIGIN
+      ? process.env.CORS_ORIGIN.split(",").map((o) => o.trim())
+      : false,
+    credentials: true,
+  }),
+);
 app.use(express.static(".")); // Serve static files (e.g., logo) from 'public' folder
 
-// Google Sheets setup
-const creds = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
-const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-let auth;
-try {
-  auth = new google.auth.JWT({
-    email: creds.client_email,
-    key: creds.private_key.replace(/\\n/g, "\n"),
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  await auth.authorize();
-  console.log("Google Sheets authentication successful");
-} catch (error) {
-  console.error("Google Sheets authentication failed:", error);
-  throw new Error("Authentication setup failed");
-}
-const sheets = google.sheets({ version: "v4", auth });
-
-// Your deployed Apps Script Web App URL:
-const webAppUrl =
-  "https://script.google.com/macros/s/AKfycbz7ns1ujzMgOqs2AKV-hKcmMYji-9qZecnVWG-qXS3ApttOKAw8zI8wgbm1GXbztDNQ/exec";
-
-async function triggerRestockListUpdate() {
-  try {
-    const url = webAppUrl;
-    const res = await fetch(url);
-    if (!res.ok) {
-      console.error("Restock List update failed:", res.statusText);
-    } else {
-      console.log("✅ Restock List updated via Web App");
-    }
-  } catch (err) {
-    console.error("Error calling Restock List Web App:", err);
-  }
-}
-
-// Utility: Get sheet ID by name (robust to invisible/trailing spaces and case)
-async function getSheetIdByName(sheetName) {
-  try {
-    const response = await sheets.spreadsheets.get({
-      spreadsheetId,
-      fields: "sheets.properties",
-    });
-    const sheet = response.data.sheets.find(
-      (s) =>
-        s.properties.title.trim().toLowerCase() ===
-        sheetName.trim().toLowerCase(),
-    );
-    if (!sheet) {
-      console.error(`Sheet "${sheetName}" not found.`);
-      return null;
-    }
-    return sheet.properties.sheetId;
-  } catch (error) {
-    console.error("Error fetching sheet ID:", error);
-    return null;
-  }
-}
-
-// Log Activity function (unchanged)
-async function logActivity({ action, name, dose, location, quantity }) {
-  const date = new Date();
-  const formatted = date.toLocaleString("en-US", {
-    timeZone: "America/Los_Angeles",
-  });
-  const sheetId = await getSheetIdByName("Activity Records");
-  if (sheetId == null)
-    throw new Error('Could not find "Activity Records" sheet');
-
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId,
-    resource: {
-      requests: [
-        {
-          insertDimension: {
-            range: { sheetId, dimension: "ROWS", startIndex: 1, endIndex: 2 },
-            inheritFromBefore: false,
-          },
-        },
-      ],
-    },
+// Sessions: login/logout are open, everything after requires a signed-in volunteer
+app.use(attachUser);
+app.use(usersRouter);
+app.use("/api/v1", apiRouter);
+app.use(requireLogin);
+app.use(stashesRouter);
+app.use(activityRouter);
+app.use(restockRouter);
+app.use(transferRouter);
+app.use(patientsRouter);
+app.use(csvRouter);
+app.use(reportsRouter);
+app.use(countsRouter);
+app.use(locationsRouter);
+app.use(medicationsRouter);
+app.use(controlledRouter);
+app.use(recallsRouter);
+
+// Order stock so that, within each name + dose, the row expiring first is
+// listed (and dispensed) first. Flags that row when there is a choice.
+// Name + dose groups stay in the order the search ranked them.
+function orderByExpiration(items) {
+  const key = (item) =>
+    `${(item.name || "").toLowerCase()}|${normalizeDose(item.dose)}`;
+  const rank = new Map();
+  items.forEach((item) => {
+    if (!rank.has(key(item))) rank.set(key(item), rank.size);
   });
-
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: "Activity Records!A2:F2",
-    valueInputOption: "RAW",
-    resource: { values: [[formatted, action, name, dose, location, quantity]] },
+  const sorted = [...items].sort(
+    (a, b) =>
+      rank.get(key(a)) - rank.get(key(b)) ||
+      compareExpiration(a.expiration, b.expiration),
+  );
+  const groupSizes = new Map();
+  sorted.forEach((item) =>
+    groupSizes.set(key(item), (groupSizes.get(key(item)) || 0) + 1),
+  );
+  const flagged = new Set();
+  return sorted.map((item) => {
+    const k = key(item);
+    const useFirst =
+      !flagged.has(k) && groupSizes.get(k) > 1 && !!item.expiration;
+    flagged.add(k);
+    return { ...item, useFirst };
   });
 }
 
-// Utility: Append to Past Medication tab
-async function addToPastMedication({ name, dose, location }) {
-  try {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: "Past Medication!A:D",
-      valueInputOption: "RAW",
-      insertDataOption: "INSERT_ROWS",
-      resource: {
-        values: [
-          [name, dose, location, new Date().toISOString().split("T")[0]],
-        ],
-      },
-    });
-  } catch (error) {
-    console.error("Error appending to Past Medication:", error);
-  }
-}
-
-// Utility: Remove medication from Past Medication by name, dose, location
-async function removeFromPastMedication({ name, dose, location }) {
-  try {
-    // Fetch all Past Medication rows
-    const data = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: "Past Medication!A:C",
-    });
-    const rows = data.data.values || [];
-    if (rows.length === 0) return;
-
-    // Find matching rows to remove (return indices)
-    const rowsToRemove = [];
-    rows.forEach((row, i) => {
-      if (
-        (row[0] || "").toLowerCase() === name.toLowerCase() &&
-        (row[1] || "").toLowerCase() === dose.toLowerCase() &&
-        (row[2] || "").toLowerCase() === location.toLowerCase()
-      ) {
-        // i is zero indexed, header row is row 1, so actual sheet row = i+1
-        rowsToRemove.push(i + 1);
-      }
-    });
-
-    if (rowsToRemove.length === 0) return;
-
-    // Sheets batchUpdate DELETE requests need ranges descending order to avoid shift issues
-    rowsToRemove.sort((a, b) => b - a);
-
-    const sheetId = await getSheetIdByName("Past Medication");
-    if (sheetId === null) {
-      console.error('Could not find "Past Medication" sheet.');
-      return;
-    }
-
-    for (const rowIndex of rowsToRemove) {
-      // Delete each matching row (rowIndex - 1 for zero-based index in batchUpdate)
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId,
-        resource: {
-          requests: [
-            {
-              deleteDimension: {
-                range: {
-                  sheetId,
-                  dimension: "ROWS",
-                  startIndex: rowIndex - 1, // zero based
-                  endIndex: rowIndex,
-                },
-              },
-            },
-          ],
-        },
-      });
-    }
-  } catch (error) {
-    console.error("Error removing from Past Medication:", error);
-  }
-}
-
-// Utility: Fetch sheet data (default columns A:D)
-async function getSheetData(sheetName, range = "A:D") {
-  try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${sheetName}!${range}`,
-    });
-    return response.data.values || [];
-  } catch (error) {
-    console.error(`Error fetching data from ${sheetName}:`, error);
-    return [];
-  }
-}
-
-// Sort a given sheet by Location (column C) A→Z
-async function sortSheetByLocation(sheetName) {
-  try {
-    const resp = await sheets.spreadsheets.get({
-      spreadsheetId,
-      fields: "sheets.properties",
-    });
-    const sheet = resp.data.sheets.find(
-      (s) =>
-        s.properties.title.trim().toLowerCase() ===
-        sheetName.trim().toLowerCase(),
-    );
-    if (!sheet) {
-      console.error(`No sheet ID found for '${sheetName}'`);
-      return;
-    }
-
-    const sheetId = sheet.properties.sheetId;
-    const totalRows = sheet.properties.gridProperties.rowCount;
-
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId,
-      resource: {
-        requests: [
-          {
-            sortRange: {
-              range: {
-                sheetId,
-                startRowIndex: 1, // skip header row
-                endRowIndex: totalRows, // go to bottom of sheet
-                startColumnIndex: 0,
-                endColumnIndex: 4, // columns A–D
-              },
-              sortSpecs: [
-                { dimensionIndex: 2, sortOrder: "ASCENDING" }, // Location
-                { dimensionIndex: 0, sortOrder: "ASCENDING" }, // Name
-              ],
-            },
-          },
-        ],
-      },
-    });
-    console.log(`Sorted '${sheetName}' by Location`);
-  } catch (err) {
-    console.error(`Error sorting ${sheetName}:`, err);
+// Lot picker for the "Amount Used" form: oldest lot by default, or a specific one
+function renderLotPicker(item, i) {
+  const describe = (lot) =>
+    `${lot.lot || "No lot #"}${lot.expiration ? ` · exp ${lot.expiration}` : ""} · qty ${lot.quantity}`;
+  if (item.lots.length === 1) {
+    return `${escapeHtml(describe(item.lots[0]))}
+                <input type="hidden" name="items[${i}][lotRow]" value="" />`;
   }
+  return `
+                <select name="items[${i}][lotRow]">
+                  <option value="">Oldest first (${item.lots.length} lots)</option>
+                  ${item.lots
+                    .map(
+                      (lot) =>
+                        `<option value="${lot.rowIndex}">${escapeHtml(describe(lot))}</option>`,
+                    )
+                    .join("")}
+                </select>`;
 }
 
-// NEW: Fetch ordered location list from Location Catalog sheet (column A)
-async function getLocationCatalogOrder() {
-  try {
-    const data = await getSheetData("Location Catalog", "A:A");
-    // Skip header, filter blanks
-    return data
-      .slice(1)
-      .map((r) => r[0])
-      .filter(Boolean);
-  } catch (err) {
-    console.error("Error fetching Location Catalog:", err);
-    return [];
-  }
+// Inputs describing the lot being added (lot number, expiration, source)
+function renderNewLotInputs(index) {
+  return `
+                <input type="text" name="items[${index}][lot]" placeholder="Lot #" />
+                <input type="date" name="items[${index}][expiration]" title="Expiration of the stock being added" />
+                <input type="text" name="items[${index}][source]" placeholder="Source / donor" />`;
 }
 
-// Utility: Combine meds from File Meds and Closet Meds for search/filter
-async function getFilteredData(searchName) {
-  const sheetNames = ["File Meds", "Closet Meds"];
-  const allData = [];
-  for (const sheetName of sheetNames) {
-    const data = await getSheetData(sheetName);
-    if (data.length > 0) {
-      data.slice(1).forEach((row, index) => {
-        if (row.length >= 4) {
-          allData.push({
-            sheetName,
-            rowIndex: index + 2, // +2 to skip header and zero-based
-            name: row[0],
-            dose: row[1],
-            location: row[2],
-            quantity: row[3],
-          });
-        }
-      });
-    }
+// Search boxes also take a scanned NDC / UPC: look the code up and search for
+// its name + dose instead. Returns { name, dose, notice, unknownCode }.
+async function resolveScannedSearch(text) {
+  if (!looksLikeNdc(text)) return { name: text, dose: null };
+  const match = await lookupNdc(text);
+  if (!match) {
+    return {
+      name: text,
+      dose: null,
+      unknownCode: text.trim(),
+      notice: `No medication has code ${escapeHtml(text.trim())} yet. Add it under "Add NEW Medication" with the code to remember it.`,
+    };
   }
-  if (!searchName) return [];
-  return allData.filter((item) =>
-    (item.name || "").toLowerCase().includes(searchName.toLowerCase()),
-  );
+  return {
+    name: match.name,
+    dose: match.dose,
+    notice: `Scanned ${escapeHtml(text.trim())}: ${escapeHtml(`${match.name} ${match.dose}`.trim())}`,
+  };
 }
 
-function isAngieMode(name) {
-  return (name || "").toLowerCase().startsWith("sparkles++");
+// Keep only the scanned dose, when the search came from a code
+function matchesScannedDose(item, dose) {
+  return dose === null || isSameDose(item.dose, dose);
 }
 
-function stripPlusPlus(name) {
-  const lower = (name || "").toLowerCase();
-  if (lower.startsWith("sparkles++")) {
-    return name.substring("sparkles++".length);
-  }
-  return name;
-}
+// Removal reason choices for each row of the Amount Used form
+const REASON_OPTIONS = `<option value="">Reason…</option>${Object.entries(
+  REMOVAL_REASONS,
+)
+  .map(([value, label]) => `<option value="${value}">${label}</option>`)
+  .join("")}`;
 
-// Fetch meds from Angie Stash
-async function getAngiesStashFiltered(searchName) {
-  const data = await getSheetData("Angie Stash", "A:C"); // Name, Dose, Quantity
-  if (data.length < 2) return [];
-  // Start at 1 to skip header; index tracks actual row in sheet minus 1
-  return data
-    .slice(1)
-    .map((row, index) => ({
-      sheetName: "Angie Stash",
-      rowIndex: index + 2, // actual Google Sheet row
-      name: row[0] || "",
-      dose: row[1] || "",
-      location: "Angie Stash",
-      quantity: row[2] || "0",
-    }))
-    .filter((item) =>
-      item.name.toLowerCase().includes(searchName.toLowerCase()),
-    );
-}
-
-// Utility: Fetch meds from Past Medication matching search (for Add Med search)
-async function getPastMedicationFiltered(searchName, angieMode = false) {
-  const data = await getSheetData("Past Medication", "A:C"); // Name, Dose, Location
-  if (data.length < 2) return [];
-  return data
-    .slice(1)
-    .filter((row) => {
-      const matchesName = (row[0] || "")
-        .toLowerCase()
-        .includes(searchName.toLowerCase());
-      if (!matchesName) return false;
-      const location = (row[2] || "").trim().toLowerCase();
-      if (angieMode) {
-        // only Angie Stash rows
-        return location === "angie stash";
-      } else {
-        // exclude Angie Stash rows
-        return location !== "angie stash";
-      }
-    })
-    .map((row, idx) => ({
-      rowIndex: idx + 2,
-      name: row[0] || "",
-      dose: row[1] || "",
-      location: row[2] || "",
-      quantity: "0",
-    }));
-}
+const CONTROLLED_TAG = ' <span class="tag controlled">Controlled</span>';
 
 // Render page - full HTML (includes Add Medication search showing past meds with location dropdown)
 function renderInventoryPage({
+  user,
   resultsSection,
   name,
   locationOptions,
   quickAddResultsSection = "",
+  stashes = [],
+  inventory = SHARED_INVENTORY,
+  notice = "",
+  ndc = "",
+  categories = [],
+  category = "",
 }) {
   // Helper: Render options for location dropdown with selected one marked
   function renderLocationOptions(selectedLocation) {
@@ -377,168 +231,26 @@ function renderInventoryPage({
       .join("");
   }
 
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8" />
-<meta name="viewport" content="width=device-width, initial-scale=1" />
-<title>Check out our Medication Inventory!</title>
-<link href="https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600&display=swap" rel="stylesheet" />
-<style>
-  :root {
-    --primary: #F37021; /* Orange */
-    --add-primary: #28a745; /* Green */
-    --light: #FFF9F5;
-    --dark: #333;
-    --border: #E8E8E8;
-  }
-  body {
-    font-family: 'Open Sans', sans-serif;
-    margin: 0; padding: 0;
-    background: white;
-    color: var(--dark);
-  }
-  header {
-    background: white;
-    padding: 1rem 2rem;
-    border-bottom: 1px solid var(--border);
-    max-width: 1000px;
-    margin: auto;
-    display: flex;
-    align-items: center;
-    gap: 1rem;
-  }
-  .logo { height: 60px; }
-  h1 { margin: 0; color: var(--dark); font-weight: 600; font-size: 1.8rem; }
-  .container { max-width: 1000px; margin: auto; padding: 1rem; }
-  form {
-    background: white;
-    padding: 1.5rem;
-    border-radius: 8px;
-    box-shadow: 0 2px 8px rgba(0,0,0,0.05);
-    margin-bottom: 2rem;
-    border: 1px solid var(--border);
-  }
-  label { display: block; margin-bottom: 0.5rem; font-weight: 600; }
-  input[type="text"], input[type="number"], select {
-    width: 100%; padding: 0.5rem; margin-bottom: 1rem;
-    border: 1px solid var(--border); border-radius: 4px;
-    font-family: 'Open Sans', sans-serif;
-  }
-  button {
-    background: var(--primary);
-    color: white;
-    border: none; padding: 0.5rem 1.25rem;
-    border-radius: 4px; cursor: pointer;
-    font-family: 'Open Sans', sans-serif; font-weight: 600;
-    font-size: 1rem; transition: background 0.2s;
-  }
-  button:hover { background: #E05A1A; }
-
-  /* Orange top table */
-  .top-table th {
-    background: var(--primary);
-    color: white;
-    font-weight: 600;
-  }
-
-  /* Green Add CURRENT Medication table */
-  .add-table th {
-    background: var(--add-primary);
-    color: white;
-    font-weight: 600;
-  }
-  .add-table {
-    border-color: var(--add-primary);
-  }
-  /* Green +/- buttons inside Add CURRENT Medication table */
-  .add-table .qty-controls button {
-    background: var(--add-primary);
-    color: white;
-    border: none;
-  }
-  .add-table .qty-controls button:hover {
-    background: #218838; /* darker green on hover */
-  }
-
-  /* Green "Add Quantity" submit button under Add CURRENT Medication table */
-  .add-table + button,
-  .add-current-med button[type="submit"] {
-    background: var(--add-primary);
-    color: white;
-  }
-  .add-table + button:hover,
-  .add-current-med button[type="submit"]:hover {
-    background: #218838;
-  }
-
-  /* New button style for Add CURRENT Medication section */
-  form.add-current-med .add-search-btn {
-    background: var(--add-primary);
-  }
-  form.add-current-med .add-search-btn:hover {
-    background: #218838;
-  }
-  form.add-current-med label {
-    color: var(--add-primary);
-    font-weight: 700;
-    font-size: 1.1rem;
-    margin-bottom: 0.7rem;
-  }
-
-  table {
-    width: 100%; border-collapse: collapse; margin-bottom: 2rem;
-    background: white; border-radius: 8px; overflow: hidden;
-    box-shadow: 0 2px 8px rgba(0,0,0,0.05); border: 1px solid var(--border);
-  }
-  th, td {
-    padding: 0.75rem 1rem; text-align: left;
-    border-bottom: 1px solid var(--border); vertical-align: middle;
-  }
-  .qty-btn {
-    width: 3.5em; text-align: center; padding: 0.3rem;
-    border: 1px solid var(--border); border-radius: 4px;
-  }
-  .qty-controls { display: flex; gap: 0.5rem; align-items: center; }
-  .no-results {
-    background: white; padding: 1rem; border-radius: 8px;
-    box-shadow: 0 2px 8px rgba(0,0,0,0.05); text-align: center;
-    margin-bottom: 2rem; border: 1px solid var(--border);
-  }
-  .divider { border-top: 4px solid var(--primary); margin: 2rem 0; }
-  .add-section-title {
-    text-align: center; font-size: 1.3rem; font-weight: 600;
-    margin-bottom: 1rem; margin-top: 0.5rem;
-  }
-  .subsection-title {
-    font-weight: 700; font-size: 1.2rem; margin-bottom: 1rem;
-    color: var(--add-primary); border-bottom: 2px solid var(--add-primary);
-    padding-bottom: 0.25rem;
-  }
-  @media (max-width: 768px) {
-    header { text-align: center; flex-direction: column; }
-    .logo { margin-bottom: 1rem; }
-    table, form { font-size: 0.9rem; }
-  }
-  footer {
-    text-align: center; padding: 1.5rem 0; background: #f9f9f9;
-    color: #666; margin-top: 2rem; font-size: 0.9rem;
-    border-top: 1px solid var(--border);
-  }
-</style>
-</head>
-<body>
-  <header>
-    <img src="/noor-logo.jpg" alt="SLO Noor Foundation Logo" class="logo" />
-    <h1>Check out our Medication Inventory!</h1>
-  </header>
-
+  return renderLayout({
+    title: "Check out our Medication Inventory!",
+    user,
+    content: `
   <div class="container">
+    ${notice ? `<div class="notice">${notice}</div>` : ""}
     <!-- Top search -->
     <form action="/search" method="GET">
-      <label>Search Medication Name</label>
-      <input type="text" name="name" required value="${name}" />
+      ${renderInventoryPicker(stashes, inventory)}
+      <label>Search Medication Name or Scan Code</label>
+      <input type="text" name="name" value="${escapeHtml(name)}" />
+      ${
+        categories.length > 0
+          ? `<label>Category</label>
+      <select name="category">
+        <option value="">All categories</option>
+        ${categories.map((c) => `<option value="${escapeHtml(c)}"${c === category ? " selected" : ""}>${escapeHtml(c)}</option>`).join("")}
+      </select>`
+          : ""
+      }
       <button type="submit">Search</button>
     </form>
 
@@ -553,7 +265,8 @@ function renderInventoryPage({
 
       <div class="subsection-title">Add CURRENT Medication</div>
       <form action="/quick-add" method="GET" class="add-current-med">
-        <label>Search Medication Name</label>
+        ${renderInventoryPicker(stashes, inventory)}
+        <label>Search Medication Name or Scan Code</label>
         <input type="text" name="name" id="quickAddNameInput"
                list="quickAddNamesList" required autocomplete="off" />
         <datalist id="quickAddNamesList"></datalist>
@@ -568,10 +281,15 @@ function renderInventoryPage({
         Add NEW Medication
       </div>
       <form action="/add-medication" method="POST" class="add-new-med">
+        ${renderInventoryPicker(stashes, inventory)}
+        <label>NDC / UPC (scan to fill in name and dose)</label>
+        <input type="text" name="ndc" id="ndcInput" value="${escapeHtml(ndc)}" autocomplete="off" />
+
         <label>Medication Name</label>
         <input type="text" name="name" id="medNameInput"
                list="medNamesList" required autocomplete="off" />
         <datalist id="medNamesList"></datalist>
+        <a href="/medications">Not in the Medication Catalog? Propose it</a>
 
         <label>Dose</label>
         <input type="text" name="dose" id="doseInput" list="doseList" required />
@@ -585,23 +303,38 @@ function renderInventoryPage({
 
         <label>Quantity</label>
         <input type="number" name="quantity" required min="1" />
+
+        <label>Expiration Date</label>
+        <input type="date" name="expiration" />
+
+        <label>Lot Number</label>
+        <input type="text" name="lot" />
+
+        <label>Received Date</label>
+        <input type="date" name="received" value="${new Date().toISOString().split("T")[0]}" />
+
+        <label>Source</label>
+        <input type="text" name="source" placeholder="Donor, pharmacy, purchase..." />
+        ${renderWitnessFields({ open: false })}
         <button type="submit">Submit</button>
       </form>
     </div>
   </div>
 
-  <footer>
-    <p>© 2025 SLO Noor Foundation. All rights reserved.</p>
-  </footer>
-
+`,
+    script: `
 <script>
 document.addEventListener("DOMContentLoaded", function () {
-  fetch("/all-med-names")
-    .then(res => res.json())
-    .then(names => {
+  const inventory = ${JSON.stringify(inventory)};
+  // New stock is picked from the catalog; until it has entries, from stock names
+  Promise.all([
+    fetch("/all-med-names?inventory=" + encodeURIComponent(inventory)).then(res => res.json()),
+    fetch("/medications/names").then(res => res.json()),
+  ])
+    .then(([names, catalogNames]) => {
       let datalist = document.getElementById("medNamesList");
       datalist.innerHTML = "";
-      names.forEach(name => {
+      (catalogNames.length > 0 ? catalogNames : names).forEach(name => {
         const opt = document.createElement("option");
         opt.value = name;
         datalist.appendChild(opt);
@@ -623,7 +356,7 @@ document.addEventListener("DOMContentLoaded", function () {
     const medName = medNameInput.value.trim();
     doseList.innerHTML = "";
     if (medName !== "") {
-      fetch("/doses-for-name?name=" + encodeURIComponent(medName))
+      fetch("/doses-for-name?inventory=" + encodeURIComponent(inventory) + "&name=" + encodeURIComponent(medName))
         .then(res => res.json())
         .then(doses => {
           doseList.innerHTML = "";
@@ -638,15 +371,36 @@ document.addEventListener("DOMContentLoaded", function () {
   medNameInput.addEventListener("input", fetchDoseSuggestions);
   medNameInput.addEventListener("change", fetchDoseSuggestions);
 
+  // Scanners type the code and press Enter: look it up instead of submitting
+  const ndcInput = document.getElementById("ndcInput");
+  function lookupNdc() {
+    const code = ndcInput.value.trim();
+    if (code === "") return;
+    fetch("/ndc-lookup?code=" + encodeURIComponent(code))
+      .then(res => res.json())
+      .then(match => {
+        if (!match) return;
+        medNameInput.value = match.name;
+        document.getElementById("doseInput").value = match.dose;
+        fetchDoseSuggestions();
+      });
+  }
+  ndcInput.addEventListener("keydown", function (event) {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      lookupNdc();
+    }
+  });
+  ndcInput.addEventListener("change", lookupNdc);
+
   const quickAddResults = document.getElementById("quickAddResults");
   if (quickAddResults && quickAddResults.innerHTML.trim() !== "") {
     quickAddResults.scrollIntoView({ behavior: "smooth" });
   }
 });
 </script>
-</body>
-</html>
-  `;
+`,
+  });
 }
 
 // Helper function to render location options with selected attribute - used INSIDE renderInventoryPage
@@ -675,6 +429,154 @@ function renderLocationOptions(selectedLocation) {
     .join("");
 }
 
+// The review page's lists of items a commit left out, for a failed stock plan
+// (null when the error isn't a write failure)
+function describeWriteFailure(error, saved) {
+  if (error instanceof WitnessRequiredError) {
+    return { status: 403, failed: saved, unlogged: [], reason: error.message };
+  }
+  if (error instanceof StockConflictError) {
+    return {
+      status: 409,
+      failed: saved,
+      unlogged: [],
+      reason: "The inventory changed while this was being saved.",
+    };
+  }
+  if (!(error instanceof StockWriteError)) return null;
+  console.error(error.message, error.cause);
+  return error.stockSaved
+    ? { status: 500, failed: [], unlogged: saved, lost: error.unlogged }
+    : {
+        status: 503,
+        failed: saved,
+        unlogged: [],
+        reason: "The spreadsheet couldn't be updated.",
+      };
+}
+
+function renderReviewPage({
+  user,
+  conflicts = [],
+  blocked = [],
+  failed = [],
+  unlogged = [],
+  lost = null,
+  reason = "",
+}) {
+  const searchLink = (item) => {
+    const inventory = SHARED_SHEETS.includes(item.sheetName)
+      ? SHARED_INVENTORY
+      : item.sheetName;
+    return `/search?inventory=${encodeURIComponent(inventory)}&name=${encodeURIComponent(item.name)}`;
+  };
+  const itemList = (list) => `
+      <ul>
+        ${list
+          .map(
+            (item) =>
+              `<li>${escapeHtml(item.name)} ${escapeHtml(item.dose)} (${escapeHtml(item.location)}): ${item.verb || "use"} ${escapeHtml(item.qty)}</li>`,
+          )
+          .join("")}
+      </ul>`;
+  // The entries that weren't logged, with any patient details for those
+  // allowed to see them, so they can be entered by hand
+  const lostEntries = ({ activity, dispensing }) => {
+    const patients = can(user, "viewPatientHistory");
+    return `
+      <table class="top-table">
+        <tr><th>Entry ID</th><th>Action</th><th>Name</th><th>Dose</th><th>Location</th><th>Sheet</th><th>Lot</th><th>Quantity</th>${patients ? "<th>Patient</th><th>Prescriber</th><th>Visit Date</th>" : ""}</tr>
+        ${activity
+          .map((entry) => {
+            const record = dispensing.find((r) => r.entryId === entry.entryId);
+            return `
+        <tr>
+          <td>${escapeHtml(entry.entryId)}</td>
+          <td>${escapeHtml(entry.action)}</td>
+          <td>${escapeHtml(entry.name)}</td>
+          <td>${escapeHtml(entry.dose)}</td>
+          <td>${escapeHtml(entry.location)}</td>
+          <td>${escapeHtml(entry.sheetName)}</td>
+          <td>${escapeHtml(entry.lot || "—")}</td>
+          <td>${escapeHtml(entry.quantity)}</td>${
+            patients
+              ? `
+          <td>${escapeHtml(record?.patientId || "—")}</td>
+          <td>${escapeHtml(record?.prescriber || "—")}</td>
+          <td>${escapeHtml(record?.visitDate || "—")}</td>`
+              : ""
+          }
+        </tr>`;
+          })
+          .join("")}
+      </table>`;
+  };
+  const failedSection = failed.length
+    ? `
+    <div class="notice">
+      <p><strong>Nothing was saved.</strong> ${escapeHtml(reason)} None of these
+      changes were made, so please try again:</p>
+      ${itemList(failed)}
+    </div>`
+    : "";
+  const unloggedSection = unlogged.length
+    ? `
+    <div class="notice">
+      <p><strong>Saved, but not logged.</strong> The inventory was updated, but these
+      changes are missing from Recent Activity. Please let an admin know:</p>
+      ${itemList(unlogged)}
+      ${lost ? lostEntries(lost) : ""}
+    </div>`
+    : "";
+  const conflictSection = conflicts.length
+    ? `
+    <div class="notice">
+      <p><strong>Inventory changed, please review.</strong> Someone else updated these
+      medications after you opened the page, so they were left as they are:</p>
+      <ul>
+        ${conflicts
+          .map(
+            (item) =>
+              `<li>${escapeHtml(item.name)} ${escapeHtml(item.dose)} (${escapeHtml(item.location)}):
+              you saw ${escapeHtml(item.quantity)}, there are now ${escapeHtml(item.current)}.
+              You asked to ${item.verb || "use"} ${escapeHtml(item.qty)}.
+              <a href="${searchLink(item)}">Review</a></li>`,
+          )
+          .join("")}
+      </ul>
+    </div>`
+    : "";
+  const blockedSection = blocked.length
+    ? `
+    <div class="notice">
+      <p>These items were <strong>not</strong> updated because they would use up a lot
+      and remove it from the sheet. Please ask a pharmacist or admin to record them:</p>
+      ${itemList(blocked)}
+    </div>`
+    : "";
+  const title = failed.length
+    ? "Not Saved"
+    : unlogged.length
+      ? "Saved Without Log"
+      : conflicts.length
+        ? "Inventory Changed"
+        : "Pharmacist Needed";
+  return renderLayout({
+    title,
+    user,
+    content: `
+  <div class="container">
+    ${failedSection}
+    ${unloggedSection}
+    ${conflictSection}
+    ${blockedSection}
+    ${failed.length || unlogged.length ? "" : "<p>Everything else was saved.</p>"}
+    <a href="/">Back to inventory</a>
+  </div>
+`,
+  });
+}
+
 // Homepage route
 app.get("/", async (req, res) => {
   const orderedLocations = await getLocationCatalogOrder();
@@ -684,18 +586,28 @@ app.get("/", async (req, res) => {
   if (!locationOptions)
     locationOptions = `<option value="">No locations available</option>`;
   res.send(
-    renderInventoryPage({ resultsSection: "", name: "", locationOptions }),
+    renderInventoryPage({
+      user: req.user,
+      resultsSection: "",
+      name: "",
+      locationOptions,
+      stashes: await getAccessibleStashes(req.user),
+      categories: catalogCategories(await getMedicationCatalog()),
+    }),
   );
 });
 
-// Search route — excludes Past Medication
+// Search route — excludes Past Medication and quarantined (recalled) lots.
+// ?category= keeps medications whose catalog entry has that therapeutic
+// category (a blank name lists them all).
 app.get("/search", async (req, res) => {
   console.log("running search");
-  let { name } = req.query;
-  if (!name) return res.redirect("/");
+  let { name = "", category = "" } = req.query;
+  if (!name && !category) return res.redirect("/");
 
-  const angieMode = isAngieMode(name);
-  const cleanName = stripPlusPlus(name);
+  const inventory = await resolveInventory(req.user, req.query.inventory);
+  if (!inventory)
+    return res.status(403).send("You don't have access to that stash");
 
   const orderedLocations = await getLocationCatalogOrder();
   let locationOptions = orderedLocations
@@ -704,26 +616,36 @@ app.get("/search", async (req, res) => {
   if (!locationOptions)
     locationOptions = `<option value="">No locations available</option>`;
 
-  let data = angieMode
-    ? await getAngiesStashFiltered(cleanName)
-    : await getFilteredData(cleanName);
+  const catalog = await getMedicationCatalog();
+  const inCategory = (item) =>
+    !category ||
+    item.lots.some(
+      (lot) => catalogEntryFor(catalog, lot)?.category === category,
+    );
 
-  // pass cleanName to renderInventoryPage so "sparkles++" doesn’t show in the input
+  const scan = await resolveScannedSearch(name);
+  let data = orderByExpiration(
+    (await searchStock(scan.name, inventory)).filter(
+      (item) => matchesScannedDose(item, scan.dose) && inCategory(item),
+    ),
+  );
 
   let resultsSection = "";
   if (data.length > 0) {
     resultsSection = `
       <form id="updateForm" action="/update" method="POST">
         <table>
-          <tr><th>Name</th><th>Dose</th><th>Location</th><th>Quantity</th><th>Amount Used</th></tr>
+          <tr><th>Name</th><th>Dose</th><th>Location</th><th>Quantity</th><th>Expiration</th><th>Lot</th><th>Amount Used</th><th></th></tr>
           ${data
             .map(
               (item, i) => `
             <tr>
-              <td>${item.name}</td>
+              <td>${item.name}${item.useFirst ? ' <span class="tag use-first">Use first</span>' : ""}${isControlled(catalog, item.lots) ? CONTROLLED_TAG : ""}</td>
               <td>${item.dose}</td>
               <td>${item.location}</td>
               <td>${item.quantity}</td>
+              <td>${item.expiration || "—"}${expirationTag(item.expiration)}</td>
+              <td>${renderLotPicker(item, i)}</td>
               <td>
                 <div class="qty-controls">
                   <button type="button" onclick="decQty(${i})">-</button>
@@ -731,18 +653,40 @@ app.get("/search", async (req, res) => {
                   <button type="button" onclick="incQty(${i})">+</button>
 
                   <input type="hidden" name="items[${i}][sheetName]" value="${item.sheetName}" />
-                  <input type="hidden" name="items[${i}][rowIndex]" value="${item.rowIndex}" />
                   <input type="hidden" name="items[${i}][name]" value="${item.name}" />
                   <input type="hidden" name="items[${i}][quantity]" value="${item.quantity}" />
                   <input type="hidden" name="items[${i}][qty]" id="qtyHidden${i}" value="0" />
                   <input type="hidden" name="items[${i}][dose]" value="${item.dose}" />
                   <input type="hidden" name="items[${i}][location]" value="${item.location}" />
                 </div>
+                <select name="items[${i}][reason]" id="reason${i}" class="reason-select">
+                  ${REASON_OPTIONS}
+                </select>
               </td>
+              <td><a href="/transfer?${escapeHtml(
+                new URLSearchParams({
+                  sheetName: item.sheetName,
+                  name: item.name,
+                  dose: item.dose,
+                  location: item.location,
+                }).toString(),
+              )}">Transfer</a></td>
             </tr>`,
             )
             .join("")}
         </table>
+        <details class="dispensing-record">
+          <summary>Dispensing record (optional, for rows dispensed to the patient)</summary>
+          <label>Patient Identifier</label>
+          <input type="text" name="dispensing[patientId]" autocomplete="off" />
+          <label>Prescriber</label>
+          <input type="text" name="dispensing[prescriber]" />
+          <label>Visit Date</label>
+          <input type="date" name="dispensing[visitDate]" value="${new Date().toISOString().split("T")[0]}" />
+          <label>Notes</label>
+          <input type="text" name="dispensing[notes]" />
+        </details>
+        ${data.some((item) => isControlled(catalog, item.lots)) ? renderWitnessFields() : ""}
         <button type="submit">Submit</button>
       </form>
       <script>
@@ -750,6 +694,8 @@ app.get("/search", async (req, res) => {
           let el = document.getElementById("qty" + index);
           let hidden = document.getElementById("qtyHidden" + index);
           hidden.value = el.value;
+          // Anything taken needs a reason
+          document.getElementById("reason" + index).required = el.value > 0;
         }
         function decQty(index) {
           let el = document.getElementById("qty" + index);
@@ -764,9 +710,30 @@ app.get("/search", async (req, res) => {
       </script>
     `;
   } else {
-    resultsSection = `<div class="no-results"><p>No results found for "${name}".</p></div>`;
+    resultsSection = `<div class="no-results"><p>No results found for "${escapeHtml(scan.name || category)}".</p></div>`;
   }
-  res.send(renderInventoryPage({ resultsSection, name, locationOptions }));
+  // Recalled lots are off the sheet, so say why they aren't listed
+  const quarantined = scan.name
+    ? await countQuarantined(scan.name, inventory)
+    : 0;
+  const recallNotice =
+    quarantined > 0
+      ? `${quarantined} matching lot${quarantined === 1 ? " is" : "s are"} quarantined under a recall and can't be dispensed. <a href="/recalls">See recalls</a>`
+      : "";
+  res.send(
+    renderInventoryPage({
+      user: req.user,
+      resultsSection,
+      name,
+      locationOptions,
+      stashes: await getAccessibleStashes(req.user),
+      inventory,
+      notice: [scan.notice, recallNotice].filter(Boolean).join(" "),
+      ndc: scan.unknownCode,
+      categories: catalogCategories(catalog),
+      category,
+    }),
+  );
 });
 
 // Quick Add (Add Medication search) includes Past Medication meds with location dropdown
@@ -775,9 +742,9 @@ app.get("/quick-add", async (req, res) => {
   const { name } = req.query;
   if (!name) return res.redirect("/");
 
-  // Detect Angie mode and strip the sparkles++ key from the search string
-  const angieMode = isAngieMode(name);
-  const cleanName = stripPlusPlus(name);
+  const inventory = await resolveInventory(req.user, req.query.inventory);
+  if (!inventory)
+    return res.status(403).send("You don't have access to that stash");
 
   // Build location dropdown from Location Catalog
   const orderedLocations = await getLocationCatalogOrder();
@@ -788,20 +755,16 @@ app.get("/quick-add", async (req, res) => {
     locationOptions = `<option value="">No locations available</option>`;
   }
 
-  let currentData = [];
-  let pastData = [];
-
-  if (angieMode) {
-    // Current meds = ONLY Angie’s Stash
-    currentData = await getAngiesStashFiltered(cleanName);
-    // Past meds = only those in Past Medication with location === "Angie Stash"
-    pastData = await getPastMedicationFiltered(cleanName, true);
-  } else {
-    // Current meds = File Meds + Closet Meds
-    currentData = await getFilteredData(cleanName);
-    // Past meds = only those in Past Medication with location !== "Angie Stash"
-    pastData = await getPastMedicationFiltered(cleanName, false);
-  }
+  // Current meds and past meds, both limited to the chosen inventory
+  const scan = await resolveScannedSearch(name);
+  const currentData = (await searchStock(scan.name, inventory)).filter((item) =>
+    matchesScannedDose(item, scan.dose),
+  );
+  const pastData = (await searchPastMedication(scan.name, inventory)).filter(
+    (item) => matchesScannedDose(item, scan.dose),
+  );
+  const catalog = await getMedicationCatalog();
+  const controlled = (item) => isControlled(catalog, item.lots || [item]);
 
   // Build results table with both current + past meds
   let quickAddResultsSection = "";
@@ -810,23 +773,23 @@ app.get("/quick-add", async (req, res) => {
       <form id="quickAddForm" action="/quick-add-update" method="POST">
       <table>
         <tr>
-          <th>Name</th><th>Dose</th><th>Location</th><th>Quantity</th><th>Amount to Add</th>
+          <th>Name</th><th>Dose</th><th>Location</th><th>Quantity</th><th>New Lot</th><th>Amount to Add</th>
         </tr>
         ${currentData
           .map(
             (item, i) => `
             <tr>
-              <td>${item.name}</td>
+              <td>${item.name}${controlled(item) ? CONTROLLED_TAG : ""}</td>
               <td>${item.dose}</td>
               <td>${item.location}</td>
               <td>${item.quantity}</td>
+              <td>${renderNewLotInputs(i)}</td>
               <td>
                 <div class="qty-controls">
                   <button type="button" onclick="quickDecQty(${i})">-</button>
                   <input type="number" min="0" value="0" id="addQty${i}" class="qty-btn" onchange="quickUpdateQty(${i})" />
                   <button type="button" onclick="quickIncQty(${i})">+</button>
                   <input type="hidden" name="items[${i}][sheetName]" value="${item.sheetName}" />
-                  <input type="hidden" name="items[${i}][rowIndex]" value="${item.rowIndex}" />
                   <input type="hidden" name="items[${i}][name]" value="${item.name}" />
                   <input type="hidden" name="items[${i}][dose]" value="${item.dose}" />
                   <input type="hidden" name="items[${i}][location]" value="${item.location}" />
@@ -842,7 +805,11 @@ app.get("/quick-add", async (req, res) => {
         ${pastData
           .map((item, idx) => {
             const index = currentData.length + idx; // continue index count
-            const locOptions = orderedLocations
+            // Keep the row's own location selectable even if it left the catalog
+            const rowLocations = orderedLocations.includes(item.location)
+              ? orderedLocations
+              : [item.location, ...orderedLocations];
+            const locOptions = rowLocations
               .map(
                 (loc) =>
                   `<option value="${loc}"${
@@ -852,7 +819,7 @@ app.get("/quick-add", async (req, res) => {
               .join("");
             return `
             <tr>
-              <td>${item.name}</td>
+              <td>${item.name}${controlled(item) ? CONTROLLED_TAG : ""}</td>
               <td>${item.dose}</td>
               <td>
                 <select name="items[${index}][location]" >
@@ -860,12 +827,14 @@ app.get("/quick-add", async (req, res) => {
                 </select>
               </td>
               <td>0</td>
+              <td>${renderNewLotInputs(index)}</td>
               <td>
                 <div class="qty-controls">
                   <button type="button" onclick="quickDecQty(${index})">-</button>
                   <input type="number" min="0" value="0" id="addQty${index}" class="qty-btn" onchange="quickUpdateQty(${index})" />
                   <button type="button" onclick="quickIncQty(${index})">+</button>
                   <input type="hidden" name="items[${index}][sheetName]" value="Past Medication" />
+                  <input type="hidden" name="items[${index}][inventory]" value="${escapeHtml(item.inventory)}" />
                   <input type="hidden" name="items[${index}][rowIndex]" value="${item.rowIndex}" />
                   <input type="hidden" name="items[${index}][name]" value="${item.name}" />
                   <input type="hidden" name="items[${index}][dose]" value="${item.dose}" />
@@ -878,6 +847,7 @@ app.get("/quick-add", async (req, res) => {
           })
           .join("")}
       </table>
+      ${[...currentData, ...pastData].some(controlled) ? renderWitnessFields() : ""}
       <button type="submit">Add Quantity</button>
       </form>
       <script>
@@ -899,354 +869,414 @@ app.get("/quick-add", async (req, res) => {
       </script>
     `;
   } else {
-    quickAddResultsSection = `<div class="no-results"><p>No results found for "${name}".</p></div>`;
+    quickAddResultsSection = `<div class="no-results"><p>No results found for "${escapeHtml(scan.name)}".</p></div>`;
   }
 
   res.send(
     renderInventoryPage({
+      user: req.user,
       resultsSection: "",
       name, // keep original in the search bar
       locationOptions,
       quickAddResultsSection,
+      stashes: await getAccessibleStashes(req.user),
+      inventory,
+      notice: scan.notice,
+      ndc: scan.unknownCode,
+      categories: catalogCategories(catalog),
     }),
   );
 });
 
-// Quick Add POST handler (updated to handle Past Medication removal if qty added)
+// Quick Add POST handler: tops up lots, or brings Past Medication back into
+// stock. The whole form is saved as one stock plan, which needs a witness if
+// it changes a controlled medication. Stock under an open recall is refused.
 app.post("/quick-add-update", async (req, res) => {
   console.log("running quick-add-update");
   const { items } = req.body;
-  console.log(JSON.stringify(req.body, null, 2));
   if (!items || !Array.isArray(items)) return res.redirect("/");
+  const { witness, error } = await authenticateWitness(
+    req.body.witness,
+    req.user,
+  );
+  if (error) return res.status(403).send(error);
 
-  for (const idx in items) {
-    const item = items[idx];
+  // Work out where each item goes before taking the sheet locks
+  const locations = await getLocations();
+  const resolve = await createCatalogResolver();
+  const recalled = await createRecallCheck();
+  const additions = [];
+  for (const item of items) {
     if (!item.name || !item.addQty) continue;
-
     const addQty = parseInt(item.addQty) || 0;
     if (addQty <= 0) continue;
+    const recall = recalled({
+      ...item,
+      medicationId: resolve(item).item?.medicationId || "",
+    });
+    if (recall) return res.status(409).send(recall);
 
-    const angieMode = isAngieMode(item.name);
-    const cleanName = stripPlusPlus(item.name);
-
-    // 🚀 Direct Angie mode (typed sparkles++)
-    if (angieMode) {
-      // Get all rows from Angie Stash sheet
-      const data = await getSheetData("Angie Stash", "A:C");
-      let found = false;
-      for (let index = 1; index < data.length; index++) {
-        // Start at 1 to skip header
-        const row = data[index];
-        if (
-          (row[0] || "").toLowerCase() === cleanName.toLowerCase() &&
-          normalizeDose(row[1]) === normalizeDose(item.dose)
-        ) {
-          // Found exact match on name and normalized dose, update this row
-          const apiRow = index + 1; // Sheet rows start at 1
-          const currentQty = parseInt(row[2]) || 0;
-          const newQty = currentQty + addQty;
-          await sheets.spreadsheets.values.update({
-            spreadsheetId,
-            range: `Angie Stash!C${apiRow}`, // Quantity is always column C
-            valueInputOption: "RAW",
-            resource: { values: [[newQty]] },
-          });
-          found = true;
-          break;
-        }
-      }
-      if (!found) {
-        // Not found: add new row
-        await sheets.spreadsheets.values.append({
-          spreadsheetId,
-          range: "Angie Stash!A:C",
-          valueInputOption: "RAW",
-          resource: { values: [[cleanName, item.dose, addQty]] },
-        });
-      }
-
-      await logActivity({
-        action: "ADD",
-        name: cleanName,
-        dose: item.dose,
-        location: "Angie Stash",
-        quantity: addQty,
-      });
-      continue;
-    }
-
-    // 🗂 Past Medication item
     if (item.sheetName === "Past Medication") {
-      // Detect if original location is Angie Stash
-      console.log(item.originalLocation);
-      const isAngiePast =
-        (item.originalLocation || "").trim().toLowerCase() === "angie stash";
-
-      // Remove the row from Past Medication immediately
-      await removeFromPastMedication({
-        name: item.name,
-        dose: item.dose,
-        location: item.originalLocation,
+      const inventory = await resolveInventory(req.user, item.inventory);
+      if (!inventory) continue;
+      // Shared stock goes to the location's sheet in the Location Catalog;
+      // stash items go straight back to their stash
+      const location = item.location || item.originalLocation || "";
+      additions.push({
+        item,
+        addQty,
+        location,
+        sheetName: targetSheetFor(inventory, location, locations),
+        fromPastMedication: true,
+        // Restocked under its old name, linked to the catalog when it's there
+        medicationId: resolve(item).item?.medicationId || "",
       });
-
-      console.log(isAngiePast);
-      if (isAngiePast) {
-        console.log("Reached");
-        // Add directly to Angie Stash, ignoring location input
-        await sheets.spreadsheets.values.append({
-          spreadsheetId,
-          range: "Angie Stash!A:C",
-          valueInputOption: "RAW",
-          resource: {
-            values: [[item.name, item.dose, addQty]],
-          },
-        });
-        await logActivity({
-          action: "ADD",
-          name: item.name,
-          dose: item.dose,
-          location: "Angie Stash",
-          quantity: addQty,
-        });
-      } else {
-        const location = item.location || "";
-        // Normal behavior: add to File Meds or Closet Meds depending on location input
-        const targetSheet = location.toLowerCase().includes("closet")
-          ? "Closet Meds"
-          : "File Meds";
-
-        await sheets.spreadsheets.values.append({
-          spreadsheetId,
-          range: `${targetSheet}!A:D`,
-          valueInputOption: "RAW",
-          resource: {
-            values: [[item.name, item.dose, location, addQty]],
-          },
-        });
-        await sortSheetByLocation(targetSheet);
-        await logActivity({
-          action: "ADD",
-          name: item.name,
-          dose: item.dose,
-          location,
-          quantity: addQty,
-        });
-      }
-      continue;
-    }
-    // 📊 Normal current stock update
-    const currentQty = parseInt(item.quantity) || 0;
-    const newQty = currentQty + addQty;
-
-    if (item.sheetName === "Angie Stash") {
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: `Angie Stash!C${item.rowIndex}`, // ✅ Quantity column C
-        valueInputOption: "RAW",
-        resource: { values: [[newQty]] },
-      });
-    } else {
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: `${item.sheetName}!D${item.rowIndex}`, // Normal: Quantity column D
-        valueInputOption: "RAW",
-        resource: { values: [[newQty]] },
+    } else if (await canUseSheet(req.user, item.sheetName)) {
+      additions.push({
+        item,
+        addQty,
+        location: item.location || "",
+        sheetName: item.sheetName,
       });
     }
+  }
 
-    await logActivity({
-      action: "ADD",
-      name: item.name,
-      dose: item.dose || "",
-      location: item.location || "",
-      quantity: addQty,
-    });
+  const conflicts = [];
+  const saved = [];
+  try {
+    await withStockPlan(
+      additions.map((a) => a.sheetName),
+      async (plan) => {
+        for (const addition of additions) {
+          const { item, addQty, location, sheetName } = addition;
+          const newLot = {
+            quantity: addQty,
+            expiration: item.expiration || "",
+            lot: item.lot || "",
+            source: item.source || "",
+            name: item.name,
+            dose: item.dose || "",
+            location,
+            medicationId: addition.medicationId || "",
+          };
+          let row;
+          if (addition.fromPastMedication) {
+            await plan.removeFromPastMedication({
+              name: item.name,
+              dose: item.dose,
+              location: item.originalLocation || "",
+            });
+            ({ row } = await plan.addToLot(sheetName, newLot));
+          } else {
+            // Same lot gets topped up, anything else is a new lot
+            const result = await plan.addToLot(sheetName, newLot, {
+              expectedQuantity: item.quantity,
+            });
+            if (result.status === "conflict") {
+              conflicts.push({
+                ...item,
+                qty: addQty,
+                verb: "add",
+                current: result.current,
+              });
+              continue;
+            }
+            row = result.row;
+          }
+          plan.log({
+            action: "ADD",
+            name: row.name,
+            dose: row.dose || "",
+            location: row.location,
+            quantity: addQty,
+            lot: row.lot || "",
+            user: req.user.username,
+            sheetName,
+            expiration: row.expiration || "",
+            received: row.received || "",
+            source: row.source || "",
+          });
+          saved.push({ ...item, qty: addQty, verb: "add" });
+        }
+      },
+      { witness, requireWitness: true },
+    );
+  } catch (error) {
+    const failure = describeWriteFailure(error, saved);
+    if (!failure) throw error;
+    if (failure.unlogged.length > 0) await afterStockChange();
+    return res
+      .status(failure.status)
+      .send(renderReviewPage({ user: req.user, conflicts, ...failure }));
   }
 
-  await triggerRestockListUpdate();
+  await afterStockChange();
+  if (conflicts.length > 0) {
+    return res
+      .status(409)
+      .send(renderReviewPage({ user: req.user, conflicts }));
+  }
   res.redirect("/");
 });
 
-// Remove/Use Medications - unchanged
+// Remove/Use Medications: takes from the chosen lot, or oldest lot first.
+// Every row with an amount needs a removal reason; the dispensing record only
+// goes with the rows dispensed to the patient. Controlled medications need a
+// witness, as on Quick Add.
 app.post("/update", async (req, res) => {
   const { items } = req.body;
   console.log("running update");
   if (!items || !Array.isArray(items))
     return res.status(400).send("No items to update");
+  // The visit date is pre-filled, so it alone doesn't make a record
+  const { patientId, prescriber, notes } = req.body.dispensing || {};
+  const { record, error } = parseDispensingRecord(
+    patientId || prescriber || notes ? req.body.dispensing : {},
+  );
+  if (error) return res.status(400).send(error);
+  const witnessed = await authenticateWitness(req.body.witness, req.user);
+  if (witnessed.error) return res.status(403).send(witnessed.error);
+
+  const requests = [];
   for (const item of items) {
-    if (!item.sheetName || !item.rowIndex || item.qty === undefined) continue;
+    if (!item.sheetName || item.qty === undefined) continue;
     const qtyToTake = parseInt(item.qty) || 0;
     if (!qtyToTake) continue;
-    const currentQty = parseInt(item.quantity) || 0;
-    const newQty = Math.max(0, currentQty - qtyToTake);
-
-    await logActivity({
-      action: "REMOVE",
-      name: item.name,
-      dose: item.dose || "",
-      location: item.location || "",
-      quantity: qtyToTake,
-    });
+    // The page caps the input at what it showed, but the post can't be trusted to
+    const available = parseInt(item.quantity) || 0;
+    if (qtyToTake < 0 || qtyToTake > available) {
+      return res
+        .status(400)
+        .send(`Only ${available} of ${item.name} in stock to remove`);
+    }
+    if (!(await canUseSheet(req.user, item.sheetName))) continue;
+    const reason = parseRemovalReason(item.reason);
+    if (!reason) {
+      return res.status(400).send(`Choose a removal reason for ${item.name}`);
+    }
+    requests.push({ item, qtyToTake, reason });
+  }
 
-    if (newQty <= 0) {
-      try {
-        await addToPastMedication({
-          name: item.name,
-          dose: item.dose || "",
-          location: item.location || "",
-        });
-        const sheetId = await getSheetIdByName(item.sheetName);
-        if (sheetId === undefined || sheetId === null) continue;
-        console.log(item.rowIndex);
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId,
-          resource: {
-            requests: [
-              {
-                deleteDimension: {
-                  range: {
-                    sheetId,
-                    dimension: "ROWS",
-                    startIndex: item.rowIndex - 1,
-                    endIndex: item.rowIndex,
-                  },
-                },
-              },
-            ],
-          },
-        });
-      } catch (error) {
-        console.error(
-          "Error deleting row and moving to Past Medication:",
-          error,
-        );
-      }
-    } else {
-      try {
-        console.log("checkpoint1");
-        if (item.sheetName === "Angie Stash") {
-          console.log("checkpoint");
-          // Find the true row index by scanning the raw sheet!
-          const data = await getSheetData("Angie Stash", "A:C");
-          let updated = false;
-          for (let index = 1; index < data.length; index++) {
-            // skip header
-            const row = data[index];
-            if (
-              (row[0] || "").toLowerCase() ===
-                (item.name || "").toLowerCase() &&
-              normalizeDose(row[1]) === normalizeDose(item.dose)
-            ) {
-              const apiRow = index + 1;
-              console.log([index, apiRow, row]);
-              await sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range: `Angie Stash!C${apiRow}`,
-                valueInputOption: "RAW",
-                resource: { values: [[newQty]] },
-              });
-              updated = true;
-              break;
+  const blocked = [];
+  const conflicts = [];
+  const saved = [];
+  try {
+    await withStockPlan(
+      requests.map(({ item }) => item.sheetName),
+      async (plan) => {
+        for (const { item, qtyToTake, reason } of requests) {
+          const result = await plan.dispense(
+            {
+              sheetName: item.sheetName,
+              name: item.name,
+              dose: item.dose,
+              location: item.location,
+              quantity: qtyToTake,
+              lotRow: item.lotRow,
+              expectedQuantity: item.quantity,
+              reason,
+            },
+            req.user,
+          );
+          if (result.status === "ok") {
+            if (reason === "dispensed") {
+              plan.recordDispensing(result.entryIds, record);
             }
+            saved.push(item);
+          } else if (
+            result.status === "not-found" ||
+            result.status === "conflict"
+          ) {
+            // Someone else changed (or used up) this medication since the page loaded
+            conflicts.push({ ...item, current: result.current });
+          } else if (result.status === "needs-pharmacist") {
+            blocked.push(item);
           }
-        } else {
-          // All other sheets: quantity is column D
-          await sheets.spreadsheets.values.update({
-            spreadsheetId,
-            range: `${item.sheetName}!D${item.rowIndex}`,
-            valueInputOption: "RAW",
-            resource: { values: [[newQty]] },
-          });
         }
-      } catch (error) {
-        console.error("Error updating row:", error);
-      }
-    }
+      },
+      { witness: witnessed.witness, requireWitness: true },
+    );
+  } catch (error) {
+    const failure = describeWriteFailure(error, saved);
+    if (!failure) throw error;
+    if (failure.unlogged.length > 0) await afterStockChange();
+    return res
+      .status(failure.status)
+      .send(
+        renderReviewPage({ user: req.user, conflicts, blocked, ...failure }),
+      );
+  }
+  await afterStockChange();
+  if (conflicts.length > 0 || blocked.length > 0) {
+    return res
+      .status(conflicts.length > 0 ? 409 : 403)
+      .send(renderReviewPage({ user: req.user, conflicts, blocked }));
   }
-  await triggerRestockListUpdate();
   res.redirect("/");
 });
 
-// Add new medication or update existing (unchanged)
+// Add new medication or top up an existing lot, unless it's under an open recall
 app.post("/add-medication", async (req, res) => {
   console.log("running add-medication");
-  let { name, dose, location, quantity } = req.body;
-  const angieMode = isAngieMode(name);
-  name = stripPlusPlus(name);
-
-  if (angieMode) {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: "Angie Stash!A:C",
-      valueInputOption: "RAW",
-      resource: { values: [[name, dose, quantity]] },
-    });
-    await logActivity({
-      action: "ADD",
-      name,
-      dose,
-      location: "Angie Stash",
-      quantity,
-    });
-    await triggerRestockListUpdate();
-    return res.redirect("/");
+  let {
+    name,
+    dose,
+    location,
+    quantity,
+    expiration = "",
+    lot = "",
+    received = "",
+    source = "",
+    ndc = "",
+  } = req.body;
+  const inventory = await resolveInventory(req.user, req.body.inventory);
+  if (!inventory)
+    return res.status(403).send("You don't have access to that stash");
+  const witnessed = await authenticateWitness(req.body.witness, req.user);
+  if (witnessed.error) return res.status(403).send(witnessed.error);
+  const { item, error } = (await createCatalogResolver())({
+    name,
+    dose,
+    location,
+    quantity: parseInt(quantity) || 0,
+    expiration,
+    lot,
+    received,
+    source,
+  });
+  if (error) {
+    return res.status(400).send(
+      renderLayout({
+        title: "Not in the Catalog",
+        user: req.user,
+        content: `
+  <div class="container">
+    <div class="notice">${escapeHtml(error)}.</div>
+    <p><a href="/medications?${escapeHtml(new URLSearchParams({ name, dose }).toString())}">Propose it for the Medication Catalog</a></p>
+    <a href="/">Back to inventory</a>
+  </div>
+`,
+      }),
+    );
   }
-
-  const sheetNames = ["File Meds", "Closet Meds"];
-  let found = false;
-  for (const sheetName of sheetNames) {
-    const data = await getSheetData(sheetName);
-    if (data.length > 0) {
-      const rowIndex = data
-        .slice(1)
-        .findIndex(
-          (row) =>
-            (row[0] || "").toLowerCase() === (name || "").toLowerCase() &&
-            normalizeDose(row[1]) === normalizeDose(dose) &&
-            (row[2] || "").toLowerCase() === (location || "").toLowerCase(),
-        );
-      if (rowIndex !== -1) {
-        const actualRowIndex = rowIndex + 2;
-        const currentQty = parseInt(data[rowIndex + 1][3]) || 0;
-        const newQty = currentQty + parseInt(quantity);
-        await sheets.spreadsheets.values.update({
-          spreadsheetId,
-          range: `${sheetName}!D${actualRowIndex}`,
-          valueInputOption: "RAW",
-          resource: { values: [[newQty]] },
-        });
-        await logActivity({ action: "ADD", name, dose, location, quantity });
-        found = true;
-        break;
-      }
-    }
+  const recalled = (await createRecallCheck())(item);
+  if (recalled) {
+    return res.status(409).send(
+      renderLayout({
+        title: "Recalled",
+        user: req.user,
+        content: `
+  <div class="container">
+    <div class="notice">${escapeHtml(recalled)}.</div>
+    <p><a href="/recalls">See the recalls</a></p>
+    <a href="/">Back to inventory</a>
+  </div>
+`,
+      }),
+    );
   }
-  if (!found) {
-    // If adding new med, and it exists in Past Medication, remove it first (Location might differ)
-    await removeFromPastMedication({ name, dose, location });
-
-    // Decide target sheet based on location text
-    const targetSheet = location.toLowerCase().includes("closet")
-      ? "Closet Meds"
-      : "File Meds";
-
-    await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: `${targetSheet}!A:D`,
-      valueInputOption: "RAW",
-      resource: { values: [[name, dose, location, quantity]] },
+  try {
+    await addStock(inventory, item, req.user, {
+      witness: witnessed.witness,
+      requireWitness: true,
     });
-    await sortSheetByLocation(targetSheet);
-    await logActivity({ action: "ADD", name, dose, location, quantity });
+  } catch (error) {
+    const failure = describeWriteFailure(error, [
+      { ...item, qty: item.quantity, verb: "add" },
+    ]);
+    if (!failure) throw error;
+    if (failure.unlogged.length > 0) await afterStockChange();
+    return res
+      .status(failure.status)
+      .send(renderReviewPage({ user: req.user, ...failure }));
   }
+  if (ndc && !(await rememberNdc({ code: ndc, name: item.name, dose }))) {
+    console.warn(`NDC ${ndc} already belongs to another medication`);
+  }
+  await afterStockChange();
   res.redirect("/");
 });
 
-// Suggestion for Medication Names
+// Expiring soon: lots expiring within the window (or already expired), grouped by Location Catalog order
+app.get("/expiring", async (req, res) => {
+  const parsedDays = parseInt(req.query.days);
+  const days = parsedDays >= 0 ? parsedDays : EXPIRING_SOON_DAYS;
+  const orderedLocations = await getLocationCatalogOrder();
+
+  const items = [];
+  for (const sheetName of ["File Meds", "Closet Meds"]) {
+    for (const lot of await getStockRows(sheetName)) {
+      const daysLeft = daysUntilExpiration(lot.expiration);
+      if (daysLeft !== null && daysLeft <= days)
+        items.push({ ...lot, daysLeft });
+    }
+  }
+
+  // Catalog order first, then any locations missing from the catalog A→Z
+  const rank = (loc) => {
+    const i = orderedLocations.indexOf(loc);
+    return i === -1 ? orderedLocations.length : i;
+  };
+  const locations = [...new Set(items.map((item) => item.location))].sort(
+    (a, b) => rank(a) - rank(b) || a.localeCompare(b),
+  );
+
+  const groupsSection = locations
+    .map((location) => {
+      const rows = items
+        .filter((item) => item.location === location)
+        .sort((a, b) => compareExpiration(a.expiration, b.expiration));
+      return `
+      <div class="subsection-title">${escapeHtml(location || "No location")}</div>
+      <table class="top-table">
+        <tr><th>Name</th><th>Dose</th><th>Lot</th><th>Sheet</th><th>Quantity</th><th>Expiration</th><th>Days Left</th></tr>
+        ${rows
+          .map(
+            (item) => `
+        <tr>
+          <td>${escapeHtml(item.name)}</td>
+          <td>${escapeHtml(item.dose)}</td>
+          <td>${escapeHtml(item.lot || "—")}</td>
+          <td>${escapeHtml(item.sheetName)}</td>
+          <td>${escapeHtml(item.quantity)}</td>
+          <td>${escapeHtml(item.expiration)}${expirationTag(item.expiration, days)}</td>
+          <td>${item.daysLeft}</td>
+        </tr>`,
+          )
+          .join("")}
+      </table>`;
+    })
+    .join("");
+
+  res.send(
+    renderLayout({
+      title: "Expiring Soon",
+      user: req.user,
+      content: `
+  <div class="container">
+    <form action="/expiring" method="GET">
+      <label>Show medication expiring within (days)</label>
+      <input type="number" name="days" min="0" value="${days}" />
+      <button type="submit">Update</button>
+    </form>
+    ${groupsSection || `<div class="no-results"><p>Nothing expires within ${days} days.</p></div>`}
+  </div>
+`,
+    }),
+  );
+});
+
+// Name + dose for a scanned NDC / UPC (null if the code isn't in NDC Codes)
+app.get("/ndc-lookup", async (req, res) => {
+  res.json(await lookupNdc(req.query.code || ""));
+});
+
+// Suggestion for Medication Names; with ?q= only names matching it, best first
 app.get("/all-med-names", async (req, res) => {
-  const sheetNames = ["File Meds", "Closet Meds"];
+  const inventory = await resolveInventory(req.user, req.query.inventory);
+  if (!inventory) return res.json([]);
   const namesSet = new Set();
-  for (const sheetName of sheetNames) {
+  for (const sheetName of sheetsForInventory(inventory)) {
     const data = await getSheetData(sheetName);
     if (data.length > 0) {
       data.slice(1).forEach((row) => {
@@ -1254,31 +1284,55 @@ app.get("/all-med-names", async (req, res) => {
       });
     }
   }
-  res.json(Array.from(namesSet));
+  const score = await nameMatcher(req.query.q || "");
+  res.json(rankByName(Array.from(namesSet), score, (name) => name));
 });
 
 // Suggestion for Dose based on Med Name
 app.get("/doses-for-name", async (req, res) => {
   const { name } = req.query;
   if (!name) return res.json([]);
-  const sheetNames = ["File Meds", "Closet Meds"];
-  const dosesSet = new Set();
-  for (const sheetName of sheetNames) {
+  const inventory = await resolveInventory(req.user, req.query.inventory);
+  if (!inventory) return res.json([]);
+  // Same medication under any of its names ("Tylenol" also finds Acetaminophen doses)
+  const score = await nameMatcher(name, { wholeName: true });
+  // One suggestion per parsed dose, spelled the way most rows spell it
+  const spellings = new Map(); // normalized dose -> Map(spelling -> count)
+  for (const sheetName of sheetsForInventory(inventory)) {
     const data = await getSheetData(sheetName);
     if (data.length > 1) {
       data.slice(1).forEach((row) => {
-        if (
-          (row[0] || "").trim().toLowerCase() === name.trim().toLowerCase() &&
-          row[1]
-        ) {
-          dosesSet.add(row[1]);
+        if (score(row[0]) > 0 && row[1]) {
+          const key = normalizeDose(row[1]);
+          if (!spellings.has(key)) spellings.set(key, new Map());
+          const counts = spellings.get(key);
+          counts.set(row[1], (counts.get(row[1]) || 0) + 1);
         }
       });
     }
   }
-  res.json(Array.from(dosesSet));
+  // Cataloged strengths are suggested even when none are in stock
+  for (const entry of await getMedicationCatalog()) {
+    if (entry.status !== "active" || score(entry.name) === 0) continue;
+    for (const strength of entry.strengths) {
+      const key = normalizeDose(strength);
+      if (!spellings.has(key)) spellings.set(key, new Map([[strength, 0]]));
+    }
+  }
+  res.json(
+    [...spellings.values()].map(
+      (counts) => [...counts].sort((a, b) => b[1] - a[1])[0][0],
+    ),
+  );
 });
 
+for (const sheetName of await ensureTabs()) {
+  console.log(`Created the ${sheetName} tab`);
+}
+await ensureAdminUser();
+await ensureStashes();
+await startStockAlerts();
+
 app.listen(port, () => {
   console.log(`Server running on http://localhost:${port}`);
 });
@@ -0,0 +1,242 @@
+import {
+  getStockAlerts,
+  addStockAlert,
+  updateStockAlert,
+} from "../storage/inventory.js";
+import { computeStockLevels, medicationKey } from "./restock.js";
+import { createChannels } from "../notifications/index.js";
+
+// Stock alerts: after every stock change, each shared medication is checked
+// against its par level (or LOW_STOCK_THRESHOLD when it has none). An alert is
+// raised once when a medication becomes low or runs out, and stays active in
+// the Stock Alerts tab until it is restocked, so repeat dispenses don't alert
+// again. Running out after a low-stock alert raises a new (out-of-stock) alert.
+
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 0;
+const DIGEST_HOUR = parseInt(process.env.NOTIFY_DIGEST_HOUR) || 8;
+const TIME_ZONE = "America/Los_Angeles";
+
+const channels = createChannels();
+
+// Alert state for one medication: ok / low-stock / out-of-stock
+export function alertStatus(level) {
+  if (level.status === "out-of-stock") return "out-of-stock";
+  if (level.status === "below-par") return "low-stock";
+  if (
+    level.parLevel === null &&
+    level.onHand > 0 &&
+    level.onHand < LOW_STOCK_THRESHOLD
+  ) {
+    return "low-stock";
+  }
+  return "ok";
+}
+
+function describeAlert(alert) {
+  const label = `${alert.name} ${alert.dose}`.trim();
+  const state =
+    alert.status === "out-of-stock"
+      ? "out of stock"
+      : `low (${alert.onHand} on hand)`;
+  return `- ${label}: ${state}${alert.cleared ? " (no longer current)" : ""}`;
+}
+
+function composeMessage(alerts, heading) {
+  const count = alerts.length;
+  return {
+    subject: `${heading}: ${count} medication${count === 1 ? "" : "s"} low or out of stock`,
+    text: alerts.map(describeAlert).join("\n"),
+    alerts: alerts.map(({ rowIndex, sentVia, ...alert }) => alert),
+  };
+}
+
+// Send through one channel; true if it delivered
+async function deliver(channel, message) {
+  try {
+    await channel.send(message);
+    return true;
+  } catch (err) {
+    console.error(`Error sending ${channel.name} notification:`, err);
+    return false;
+  }
+}
+
+async function runCheck({ silent = false } = {}) {
+  const now = new Date().toISOString();
+  const active = new Map(
+    (await getStockAlerts())
+      .filter((alert) => !alert.cleared)
+      .map((alert) => [medicationKey(alert), alert]),
+  );
+
+  for (const level of await computeStockLevels()) {
+    const status = alertStatus(level);
+    const key = medicationKey(level);
+    const current = active.get(key);
+    active.delete(key);
+
+    if (status === "ok") {
+      if (current) {
+        await updateStockAlert(current.rowIndex, {
+          ...current,
+          onHand: level.onHand,
+          cleared: now,
+        });
+      }
+      continue;
+    }
+    // Still (or less) short: keep the existing alert, just refresh its numbers
+    if (current && (current.status === status || status === "low-stock")) {
+      if (current.status !== status || current.onHand !== level.onHand) {
+        await updateStockAlert(current.rowIndex, {
+          ...current,
+          status,
+          onHand: level.onHand,
+        });
+      }
+      continue;
+    }
+    // New problem, or low stock has now run out
+    if (current) {
+      await updateStockAlert(current.rowIndex, { ...current, cleared: now });
+    }
+    await addStockAlert({
+      name: level.name,
+      dose: level.dose,
+      status,
+      onHand: level.onHand,
+      raised: now,
+      // Recording the starting state: nothing to announce
+      sent: silent ? now : "",
+      digested: silent ? now : "",
+    });
+  }
+
+  // Medications that disappeared entirely (e.g. Past Medication row deleted by hand)
+  for (const stale of active.values()) {
+    await updateStockAlert(stale.rowIndex, { ...stale, cleared: now });
+  }
+
+  if (!silent) await sendPendingAlerts();
+}
+
+// New alerts go out immediately on the email / webhook channels. Each channel
+// an alert hasn't reached yet is retried after the next stock change; the
+// alert counts as sent once every channel has delivered it.
+async function sendPendingAlerts() {
+  if (channels.immediate.length === 0) return;
+  const pending = (await getStockAlerts()).filter(
+    (alert) => !alert.sent && !alert.cleared,
+  );
+  if (pending.length === 0) return;
+
+  const sentVia = new Map(
+    pending.map((alert) => [alert, alert.sentVia.split(",").filter(Boolean)]),
+  );
+  const reached = new Set();
+  for (const channel of channels.immediate) {
+    const unsent = pending.filter(
+      (alert) => !sentVia.get(alert).includes(channel.name),
+    );
+    if (unsent.length === 0) continue;
+    if (!(await deliver(channel, composeMessage(unsent, "Stock alert")))) {
+      continue;
+    }
+    for (const alert of unsent) {
+      sentVia.get(alert).push(channel.name);
+      reached.add(alert);
+    }
+  }
+
+  const now = new Date().toISOString();
+  for (const alert of reached) {
+    const via = sentVia.get(alert);
+    const everywhere = channels.immediate.every((channel) =>
+      via.includes(channel.name),
+    );
+    await updateStockAlert(alert.rowIndex, {
+      ...alert,
+      sent: everywhere ? now : "",
+      sentVia: via.join(","),
+    });
+  }
+}
+
+// Checks run one at a time so two quick dispenses can't raise the same alert twice
+let checking = Promise.resolve();
+
+export function checkStockAlerts(options) {
+  checking = checking
+    .then(() => runCheck(options))
+    .catch((err) => console.error("Error checking stock alerts:", err));
+  return checking;
+}
+
+// Daily digest of every alert raised since the last one (including any that
+// were restocked or superseded in the meantime)
+export async function sendDigest() {
+  if (!channels.digest) return;
+  const pending = (await getStockAlerts()).filter((alert) => !alert.digested);
+  if (pending.length === 0) return;
+  if (
+    await deliver(
+      channels.digest,
+      composeMessage(pending, "Daily stock digest"),
+    )
+  ) {
+    const digested = new Date().toISOString();
+    for (const alert of pending) {
+      await updateStockAlert(alert.rowIndex, { ...alert, digested });
+    }
+  }
+}
+
+function localDateAndHour(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: TIME_ZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value]),
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour),
+  };
+}
+
+// Startup: record the current state without alerting the first time (so an
+// old Past Medication tab doesn't send a flood), then schedule the digest
+export async function startStockAlerts() {
+  const existing = await getStockAlerts();
+  await checkStockAlerts({ silent: existing.length === 0 });
+  if (!channels.digest) return;
+
+  const lastDigest = existing
+    .map((alert) => alert.digested)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  let lastDigestDay = lastDigest
+    ? localDateAndHour(new Date(lastDigest)).day
+    : "";
+  const timer = setInterval(
+    async () => {
+      const { day, hour } = localDateAndHour(new Date());
+      if (day === lastDigestDay || hour < DIGEST_HOUR) return;
+      lastDigestDay = day;
+      try {
+        await sendDigest();
+      } catch (err) {
+        console.error("Error sending stock digest:", err);
+      }
+    },
+    10 * 60 * 1000,
+  );
+  timer.unref();
+}
@@ -0,0 +1,209 @@
+import { getActivityRecords } from "../storage/inventory.js";
+import { SHARED_SHEETS } from "./inventories.js";
+import { computeStockLevels, medicationKey } from "./restock.js";
+import { DISPOSAL_REASONS, WASTE_REASONS, removalReason } from "./removals.js";
+
+// Usage reports for the shared stock, built from Activity Records: how much of
+// each medication was dispensed over a period, the weekly burn rate, and how
+// many days the current quantity lasts at that rate. Dispensed means REMOVE
+// entries with the dispensed reason that were not reversed afterwards; expired,
+// damaged and recalled removals are counted as waste and donations apart, so
+// neither inflates the burn rate. Quarantined lots returned or destroyed
+// under a recall (RETURNED / DESTROYED, see lib/recalls.js) count as recalled
+// waste. Transfers move stock, not use it.
+
+export const REPORT_PERIODS = [7, 30, 90, 180, 365];
+export const DEFAULT_REPORT_DAYS = 30;
+const TOP_COUNT = 10;
+const DAY_MS = 86400000;
+const TIME_ZONE = "America/Los_Angeles";
+
+// Activity timestamps are Los Angeles wall-clock time ("10/19/2026, 11:17:33 AM").
+// Dates here are that wall-clock time stored as UTC, so days line up with the log.
+export function parseActivityTimestamp(text) {
+  const match = String(text || "").match(
+    /^(\d{1,2})\/(\d{1,2})\/(\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?/i,
+  );
+  if (!match) return null;
+  const [, month, day, year, hour, minute, second = "0", meridiem] = match;
+  let h = parseInt(hour) % 12;
+  if (!meridiem) h = parseInt(hour);
+  else if (meridiem.toUpperCase() === "PM") h += 12;
+  return new Date(
+    Date.UTC(year, month - 1, day, h, parseInt(minute), parseInt(second)),
+  );
+}
+
+function wallClockNow(now = new Date()) {
+  return parseActivityTimestamp(
+    now.toLocaleString("en-US", { timeZone: TIME_ZONE }),
+  );
+}
+
+function isoDay(date) {
+  return date.toISOString().split("T")[0];
+}
+
+// The period is the last `days` whole days, today included
+function reportPeriod(days, now) {
+  const end = wallClockNow(now);
+  const today = new Date(
+    Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate()),
+  );
+  return { start: new Date(today.getTime() - (days - 1) * DAY_MS), end, today };
+}
+
+const RECALL_ACTIONS = ["RETURNED", "DESTROYED"];
+
+// Shared-stock REMOVE entries in the period that were not reversed, and
+// resolved recall lots, each with its removal reason and when it happened
+function removalsIn(records, { start, end }) {
+  const reversed = new Set(records.map((r) => r.reverses).filter(Boolean));
+  return records.flatMap((record) => {
+    const recall = RECALL_ACTIONS.includes(record.action);
+    if (!recall && record.action !== "REMOVE") return [];
+    if (reversed.has(record.entryId)) return [];
+    // Private stashes aren't part of the shared stock the board buys for
+    if (record.sheetName && !SHARED_SHEETS.includes(record.sheetName)) {
+      return [];
+    }
+    const at = parseActivityTimestamp(record.timestamp);
+    if (!at || at < start || at > end) return [];
+    return [
+      { record, at, reason: recall ? "recalled" : removalReason(record) },
+    ];
+  });
+}
+
+// Pure calculation from loaded rows. records are Activity Records entries,
+// stockLevels come from computeStockLevels.
+export function buildUsageReport({
+  records,
+  stockLevels,
+  days = DEFAULT_REPORT_DAYS,
+  now = new Date(),
+}) {
+  const { start, end, today } = reportPeriod(days, now);
+
+  const meds = new Map();
+  const entryFor = ({ name, dose }) => {
+    const key = medicationKey({ name, dose });
+    if (!meds.has(key)) {
+      meds.set(key, {
+        name: name.trim(),
+        dose: (dose || "").trim(),
+        consumed: 0,
+        wasted: 0,
+        donated: 0,
+        onHand: 0,
+      });
+    }
+    return meds.get(key);
+  };
+  for (const level of stockLevels) entryFor(level).onHand = level.onHand;
+
+  const weeks = Array.from({ length: Math.ceil(days / 7) }, (_, i) => ({
+    start: isoDay(new Date(start.getTime() + i * 7 * DAY_MS)),
+    consumed: 0,
+    wasted: 0,
+  }));
+
+  for (const { record, at, reason } of removalsIn(records, { start, end })) {
+    const quantity = parseInt(record.quantity) || 0;
+    const med = entryFor(record);
+    const week = weeks[Math.floor((at - start) / (7 * DAY_MS))];
+    if (reason === "dispensed") {
+      med.consumed += quantity;
+      week.consumed += quantity;
+    } else if (WASTE_REASONS.includes(reason)) {
+      med.wasted += quantity;
+      week.wasted += quantity;
+    } else {
+      med.donated += quantity;
+    }
+  }
+
+  const medications = [...meds.values()]
+    .map((med) => {
+      const weeklyBurn = (med.consumed / days) * 7;
+      return {
+        ...med,
+        weeklyBurn: Math.round(weeklyBurn * 10) / 10,
+        // null when nothing was used: no stockout in sight
+        daysUntilStockout:
+          med.consumed > 0
+            ? Math.floor(med.onHand / (med.consumed / days))
+            : null,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.consumed - a.consumed ||
+        a.name.localeCompare(b.name, undefined, { sensitivity: "base" }),
+    );
+
+  const total = (field) =>
+    medications.reduce((sum, med) => sum + med[field], 0);
+  return {
+    period: { days, from: isoDay(start), to: isoDay(today) },
+    totalConsumed: total("consumed"),
+    totalWasted: total("wasted"),
+    totalDonated: total("donated"),
+    medications,
+    topDispensed: medications
+      .filter((med) => med.consumed > 0)
+      .slice(0, TOP_COUNT),
+    weekly: weeks,
+  };
+}
+
+// Period length from a query string value, falling back to the default
+export function reportDays(value) {
+  const days = parseInt(value);
+  return REPORT_PERIODS.includes(days) ? days : DEFAULT_REPORT_DAYS;
+}
+
+// What was destroyed (expired or damaged removals, and recalled lots
+// destroyed from quarantine) over the period, newest first, from shared stock
+export function buildDisposalLog({
+  records,
+  days = DEFAULT_REPORT_DAYS,
+  now = new Date(),
+}) {
+  const { start, end, today } = reportPeriod(days, now);
+  const entries = removalsIn(records, { start, end })
+    .filter(
+      ({ record, reason }) =>
+        DISPOSAL_REASONS.includes(reason) || record.action === "DESTROYED",
+    )
+    .map(({ record, reason }) => ({
+      timestamp: record.timestamp,
+      name: record.name,
+      dose: record.dose,
+      location: record.location,
+      sheetName: record.sheetName,
+      lot: record.lot,
+      expiration: record.expiration,
+      quantity: parseInt(record.quantity) || 0,
+      reason,
+      user: record.user,
+      entryId: record.entryId,
+    }));
+  return {
+    period: { days, from: isoDay(start), to: isoDay(today) },
+    totalDisposed: entries.reduce((sum, entry) => sum + entry.quantity, 0),
+    entries,
+  };
+}
+
+export async function computeDisposalLog({ days = DEFAULT_REPORT_DAYS } = {}) {
+  return buildDisposalLog({ records: await getActivityRecords(), days });
+}
+
+export async function computeUsageReport({ days = DEFAULT_REPORT_DAYS } = {}) {
+  return buildUsageReport({
+    records: await getActivityRecords(),
+    stockLevels: await computeStockLevels(),
+    days,
+  });
+}
@@ -0,0 +1,121 @@
+import crypto from "node:crypto";
+
+// Volunteer logins: scrypt password hashes, in-memory sessions keyed by an
+// HttpOnly cookie, and a simple role ladder (volunteer < pharmacist < admin).
+
+export const ROLES = ["volunteer", "pharmacist", "admin"];
+
+// Minimum role for each protected action
+export const PERMISSIONS = {
+  dispense: "volunteer",
+  addStock: "volunteer",
+  transferStock: "volunteer",
+  countStock: "volunteer",
+  approveCounts: "pharmacist",
+  deleteStock: "pharmacist",
+  reverseActivity: "pharmacist", // anyone's entries; volunteers can reverse their own
+  viewPatientHistory: "pharmacist",
+  witnessControlled: "volunteer",
+  viewControlledLedger: "pharmacist",
+  manageRecalls: "pharmacist",
+  manageCatalog: "admin",
+  proposeMedications: "volunteer", // admins' entries go straight into the catalog
+  manageParLevels: "pharmacist",
+  manageStashes: "admin",
+  manageUsers: "admin",
+};
+
+const SESSION_COOKIE = "noor_session";
+const SESSION_HOURS = parseInt(process.env.SESSION_HOURS) || 12;
+const sessions = new Map(); // token -> { username, role, expires }
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password || "", salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+export function can(user, permission) {
+  return hasRole(user, PERMISSIONS[permission]);
+}
+
+export function createSession(res, { username, role }) {
+  const token = crypto.randomBytes(32).toString("hex");
+  sessions.set(token, {
+    username,
+    role,
+    expires: Date.now() + SESSION_HOURS * 3600 * 1000,
+  });
+  const secure = process.env.COOKIE_SECURE === "true" ? "; Secure" : "";
+  res.setHeader(
+    "Set-Cookie",
+    `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${SESSION_HOURS * 3600}${secure}`,
+  );
+}
+
+export function destroySession(req, res) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (token) sessions.delete(token);
+  res.setHeader(
+    "Set-Cookie",
+    `${SESSION_COOKIE}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`,
+  );
+}
+
+// Log a user out everywhere, e.g. after their role changes or they're deactivated
+export function endSessionsFor(username) {
+  for (const [token, session] of sessions) {
+    if (session.username.toLowerCase() === username.toLowerCase()) {
+      sessions.delete(token);
+    }
+  }
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+// Middleware: set req.user from the session cookie (or leave it null)
+export function attachUser(req, res, next) {
+  req.user = null;
+  const token = readCookie(req, SESSION_COOKIE);
+  const session = token && sessions.get(token);
+  if (session && session.expires > Date.now()) {
+    req.user = { username: session.username, role: session.role };
+  } else if (session) {
+    sessions.delete(token);
+  }
+  next();
+}
+
+export function requireLogin(req, res, next) {
+  if (req.user) return next();
+  if (req.method === "GET" && req.accepts("html")) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ error: "Login required" });
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    res.status(403).send(`This page requires the ${role} role.`);
+  };
+}
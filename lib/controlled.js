@@ -0,0 +1,191 @@
+import {
+  getMedicationCatalog,
+  getControlledLedger,
+  getStashes,
+  getStockRows,
+  getUsers,
+  applyWrites,
+  appendControlledLedgerWrites,
+} from "../storage/inventory.js";
+import { can, verifyPassword } from "./auth.js";
+import { normalizeDose } from "./dose.js";
+import { SHARED_SHEETS } from "./inventories.js";
+import { catalogEntryFor } from "./medications.js";
+import { withSheetLock } from "./stockPlan.js";
+
+// Controlled substances: Medication Catalog entries flagged Controlled. Every
+// change to one of their totals on a sheet is appended to the Controlled
+// Ledger with the balance before and after, so the ledger can be checked
+// against the sheet. Dispensing or restocking them from the inventory pages
+// needs a second signed-in person as witness.
+
+function totalQuantity(lots) {
+  return lots.reduce((sum, lot) => sum + (parseInt(lot.quantity) || 0), 0);
+}
+
+// Whether any of these rows (or items) belongs to a controlled catalog entry
+export function isControlled(catalog, rows) {
+  return rows.some((row) => catalogEntryFor(catalog, row)?.controlled);
+}
+
+// Check the witness's own username and password. A blank username is no
+// witness ({ witness: "" }); anything else gives { witness } or { error }.
+export async function authenticateWitness({ username, password } = {}, user) {
+  const name = String(username ?? "").trim();
+  if (!name) return { witness: "" };
+  const witness = (await getUsers()).find(
+    (u) => u.username.toLowerCase() === name.toLowerCase(),
+  );
+  if (
+    !witness ||
+    !witness.active ||
+    !verifyPassword(String(password ?? ""), witness.passwordHash)
+  ) {
+    return { error: "The witness username or password is wrong" };
+  }
+  if (witness.username.toLowerCase() === user.username.toLowerCase()) {
+    return { error: "The witness has to be someone else" };
+  }
+  if (!can(witness, "witnessControlled")) {
+    return {
+      error: `${witness.username} can't witness controlled medications`,
+    };
+  }
+  return { witness: witness.username };
+}
+
+// Ledger rows for a run of changes to one medication on one sheet: rows are
+// its lots before the first change, changes are { action, lot, change,
+// entryId } in order. Empty unless the medication is controlled.
+export function ledgerEntriesFor(
+  catalog,
+  { sheetName, medication, rows, changes, user, witness = "" },
+) {
+  if (!isControlled(catalog, [...rows, medication])) return [];
+  let balance = totalQuantity(rows);
+  return changes
+    .filter(({ change }) => change !== 0)
+    .map(({ action, lot, change, entryId }) => {
+      const balanceBefore = balance;
+      balance += change;
+      return {
+        sheetName,
+        name: medication.name,
+        dose: medication.dose,
+        location: medication.location,
+        lot,
+        action,
+        change,
+        balanceBefore,
+        balanceAfter: balance,
+        user,
+        witness,
+        entryId,
+      };
+    });
+}
+
+function ledgerKey({ sheetName, name, dose, location }) {
+  return [
+    sheetName.trim().toLowerCase(),
+    name.trim().toLowerCase(),
+    normalizeDose(dose),
+    location.trim().toLowerCase(),
+  ].join("|");
+}
+
+// Controlled medications per sheet + location with what the sheet holds and
+// what the ledger says. status is "ok" when the last Balance After matches
+// the sheet and every row picks up where the one before left off; "mismatch"
+// otherwise, and "unopened" for stock the ledger has never seen. breaks counts
+// rows whose Balance Before isn't the previous Balance After.
+export async function reconcileLedger() {
+  const catalog = await getMedicationCatalog();
+  const groups = new Map();
+  const groupFor = (item) => {
+    const key = ledgerKey(item);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        sheetName: item.sheetName,
+        name: item.name,
+        dose: item.dose,
+        location: item.location,
+        onHand: 0,
+        entries: [],
+      });
+    }
+    return groups.get(key);
+  };
+
+  const sheets = [
+    ...SHARED_SHEETS,
+    ...(await getStashes()).map((stash) => stash.name),
+  ];
+  for (const sheetName of sheets) {
+    for (const row of await getStockRows(sheetName)) {
+      if (isControlled(catalog, [row])) {
+        groupFor(row).onHand += parseInt(row.quantity) || 0;
+      }
+    }
+  }
+  for (const entry of await getControlledLedger()) {
+    groupFor(entry).entries.push(entry);
+  }
+
+  return [...groups.values()]
+    .map(({ entries, ...group }) => {
+      const last = entries[entries.length - 1];
+      const breaks = entries.filter(
+        (entry, i) =>
+          i > 0 && entry.balanceBefore !== entries[i - 1].balanceAfter,
+      ).length;
+      const balance = last ? last.balanceAfter : null;
+      return {
+        ...group,
+        balance,
+        breaks,
+        lastEntry: last ? last.timestamp : "",
+        status: !last
+          ? "unopened"
+          : balance === group.onHand && breaks === 0
+            ? "ok"
+            : "mismatch",
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.name.localeCompare(b.name) ||
+        a.location.localeCompare(b.location) ||
+        a.sheetName.localeCompare(b.sheetName),
+    );
+}
+
+// Start the ledger for controlled stock it has never seen, at what the sheet
+// holds now, with an OPENING row
+export async function openLedger(medication, user) {
+  return withSheetLock(medication.sheetName, async () => {
+    const group = (await reconcileLedger()).find(
+      (g) => ledgerKey(g) === ledgerKey(medication),
+    );
+    if (!group) return { error: "No controlled stock matches" };
+    if (group.status !== "unopened") {
+      return { error: "The ledger already has entries for this medication" };
+    }
+    await applyWrites(
+      appendControlledLedgerWrites([
+        {
+          sheetName: group.sheetName,
+          name: group.name,
+          dose: group.dose,
+          location: group.location,
+          action: "OPENING",
+          change: 0,
+          balanceBefore: group.onHand,
+          balanceAfter: group.onHand,
+          user: user.username,
+        },
+      ]),
+    );
+    return {};
+  });
+}
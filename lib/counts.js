@@ -0,0 +1,233 @@
+import crypto from "node:crypto";
+import {
+  getLocationCatalogOrder,
+  getStockRows,
+  getCountSessions,
+  addCountSession,
+  updateCountSession,
+  getCountLines,
+  addCountLines,
+} from "../storage/inventory.js";
+import { SHARED_SHEETS } from "./inventories.js";
+import { compareLotAge, isSameLot, isSameMedication } from "./lots.js";
+import { normalizeDose } from "./dose.js";
+import { createCatalogResolver } from "./medications.js";
+import { createRecallCheck } from "./recalls.js";
+import {
+  StockConflictError,
+  StockWriteError,
+  WitnessRequiredError,
+  withStockPlan,
+} from "./stockPlan.js";
+
+// Cycle counts: a volunteer counts every lot at one Location Catalog location
+// (without seeing the sheet's numbers), submits, and a pharmacist approves.
+// Approval applies each lot's variance as a change, so stock dispensed between
+// the count and the approval isn't put back. Sessions stay in Count Sessions as
+// the record of when each location was last verified.
+
+export const OPEN_STATUSES = ["counting", "submitted"];
+
+function sameLocation(a, b) {
+  return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+}
+
+// Every lot on File Meds / Closet Meds at a location, by name, dose, then age
+export async function lotsAtLocation(location) {
+  const lots = [];
+  for (const sheetName of SHARED_SHEETS) {
+    lots.push(
+      ...(await getStockRows(sheetName)).filter((row) =>
+        sameLocation(row.location, location),
+      ),
+    );
+  }
+  return lots.sort(
+    (a, b) =>
+      a.name.localeCompare(b.name, undefined, { sensitivity: "base" }) ||
+      normalizeDose(a.dose).localeCompare(normalizeDose(b.dose)) ||
+      compareLotAge(a, b),
+  );
+}
+
+export async function findCountSession(sessionId) {
+  return (await getCountSessions()).find((s) => s.sessionId === sessionId);
+}
+
+// Each catalog location with its last approved count and any open session
+export async function getCountOverview() {
+  const sessions = await getCountSessions();
+  return (await getLocationCatalogOrder()).map((location) => {
+    const forLocation = sessions.filter((s) =>
+      sameLocation(s.location, location),
+    );
+    const lastVerified = forLocation
+      .filter((s) => s.status === "applied")
+      .map((s) => s.approved)
+      .sort()
+      .pop();
+    return {
+      location,
+      lastVerified: lastVerified || "",
+      open: forLocation.find((s) => OPEN_STATUSES.includes(s.status)) || null,
+    };
+  });
+}
+
+// Start counting a location, or pick up the session already open there
+export async function startCount(location, user) {
+  const catalogLocation = (await getLocationCatalogOrder()).find((loc) =>
+    sameLocation(loc, location),
+  );
+  if (!catalogLocation) return null;
+  const open = (await getCountSessions()).find(
+    (s) =>
+      sameLocation(s.location, catalogLocation) &&
+      OPEN_STATUSES.includes(s.status),
+  );
+  if (open) return open;
+  const session = {
+    sessionId: crypto.randomUUID(),
+    location: catalogLocation,
+    status: "counting",
+    started: new Date().toISOString(),
+    startedBy: user.username,
+  };
+  await addCountSession(session);
+  return session;
+}
+
+// Record the counted quantities ([{ sheetName, name, dose, lot, expiration,
+// counted }]) against what the sheet holds right now.
+// Returns { lines } or { error }.
+export async function submitCount(session, counts) {
+  if (session.status !== "counting") {
+    return { error: "This count was already submitted" };
+  }
+  if (counts.some((c) => !Number.isInteger(c.counted) || c.counted < 0)) {
+    return { error: "Enter a count of 0 or more for every lot" };
+  }
+  const lots = await lotsAtLocation(session.location);
+  const lines = counts.map((count) => {
+    const lot = lots.find(
+      (row) =>
+        row.sheetName === count.sheetName &&
+        isSameMedication(row, { ...count, location: session.location }) &&
+        isSameLot(row, count),
+    );
+    return {
+      sessionId: session.sessionId,
+      sheetName: count.sheetName,
+      name: lot ? lot.name : count.name,
+      dose: lot ? lot.dose : count.dose,
+      lot: count.lot,
+      expiration: count.expiration,
+      // A lot used up while counting is expected to be gone
+      expected: lot ? parseInt(lot.quantity) || 0 : 0,
+      counted: count.counted,
+    };
+  });
+  await addCountLines(lines);
+  await updateCountSession(session.rowIndex, {
+    ...session,
+    status: "submitted",
+    submitted: new Date().toISOString(),
+  });
+  return { lines };
+}
+
+// Apply every variance as an ADJUST, all in one stock plan, and close the
+// session. options are the plan's witness options, needed for controlled lots.
+// Returns { adjusted: [{ ...line, change }] } or { error } (with stockSaved
+// when the adjustments went in but weren't logged); a missing witness reopens
+// the session and throws WitnessRequiredError.
+export async function approveCount(session, user, options) {
+  if (session.status !== "submitted") {
+    return { error: "Only a submitted count can be approved" };
+  }
+  const lines = (await getCountLines(session.sessionId)).filter(
+    (line) => line.counted !== line.expected,
+  );
+  // Counting more of a recalled lot doesn't put it back on the sheet
+  const resolve = await createCatalogResolver();
+  const recalled = await createRecallCheck();
+  for (const line of lines) {
+    if (line.counted < line.expected) continue;
+    const recall = recalled({
+      ...line,
+      medicationId: resolve(line).item?.medicationId || "",
+    });
+    if (recall) return { error: recall };
+  }
+  // Close it first so a second click can't apply the variances twice; it is
+  // reopened if the adjustments aren't saved
+  await updateCountSession(session.rowIndex, {
+    ...session,
+    status: "applied",
+    approved: new Date().toISOString(),
+    approvedBy: user.username,
+  });
+  try {
+    const adjusted = await withStockPlan(
+      lines.map((line) => line.sheetName),
+      async (plan) => {
+        const adjusted = [];
+        for (const line of lines) {
+          const result = await plan.adjust(
+            line.sheetName,
+            {
+              name: line.name,
+              dose: line.dose,
+              location: session.location,
+              lot: line.lot,
+              expiration: line.expiration,
+            },
+            line.counted - line.expected,
+            user,
+          );
+          adjusted.push({
+            ...line,
+            change: result.status === "ok" ? result.change : 0,
+          });
+        }
+        return adjusted;
+      },
+      options,
+    );
+    return { adjusted };
+  } catch (error) {
+    if (error instanceof StockWriteError && error.stockSaved) {
+      return {
+        error:
+          "The adjustments were applied but the activity log could not be updated",
+        stockSaved: true,
+      };
+    }
+    if (
+      !(error instanceof StockConflictError) &&
+      !(error instanceof StockWriteError) &&
+      !(error instanceof WitnessRequiredError)
+    ) {
+      throw error;
+    }
+    await updateCountSession(session.rowIndex, session);
+    if (error instanceof WitnessRequiredError) throw error;
+    return {
+      error:
+        error instanceof StockConflictError
+          ? "The stock changed while the count was being applied; please approve it again"
+          : "The inventory couldn't be updated; please approve it again",
+    };
+  }
+}
+
+export async function discardCount(session) {
+  if (!OPEN_STATUSES.includes(session.status)) {
+    return { error: "This count is already closed" };
+  }
+  await updateCountSession(session.rowIndex, {
+    ...session,
+    status: "discarded",
+  });
+  return {};
+}
@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV reading and writing for imports and exports
+
+// Rows of strings. Handles quoted fields (with "" escapes and line breaks),
+// CRLF line endings and a leading byte-order mark. Blank lines are dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+// Spreadsheet apps run cells starting with = + - @ as formulas; numbers
+// like "-3" are safe, anything else gets a leading apostrophe
+function neutralizeFormula(value) {
+  if (/^[=+\-@\t\r]/.test(value) && !/^[+-]?\d+(\.\d+)?$/.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+function csvField(value) {
+  const text = neutralizeFormula(String(value ?? ""));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
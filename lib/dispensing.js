@@ -0,0 +1,75 @@
+import {
+  getActivityRecords,
+  getDispensingRecords,
+} from "../storage/inventory.js";
+
+// Dispensing records: which patient a dispense went to, for follow-up and
+// reporting. Optional on every dispense; stored in the Dispensing tab with one
+// row per REMOVE entry so the patient never appears in Activity Records.
+
+export function normalizePatientId(patientId) {
+  return String(patientId ?? "")
+    .trim()
+    .toLowerCase();
+}
+
+// Pull the patient fields out of a form / API body. Returns
+// { record } (null when every field is blank) or { error }.
+export function parseDispensingRecord(input = {}) {
+  const record = {
+    patientId: String(input.patientId ?? "").trim(),
+    prescriber: String(input.prescriber ?? "").trim(),
+    visitDate: String(input.visitDate ?? "").trim(),
+    notes: String(input.notes ?? "").trim(),
+  };
+  if (!Object.values(record).some(Boolean)) return { record: null };
+  if (!record.patientId) {
+    return { error: "A dispensing record needs a patient identifier" };
+  }
+  if (record.visitDate && Number.isNaN(Date.parse(record.visitDate))) {
+    return { error: "Visit date must be a date (YYYY-MM-DD)" };
+  }
+  return { record };
+}
+
+// Dispensing rows for a record (none when there is no record)
+export function dispensingRecordsFor(entryIds, record) {
+  if (!record) return [];
+  const recorded = new Date().toISOString();
+  return entryIds.map((entryId) => ({ ...record, entryId, recorded }));
+}
+
+// Everything dispensed to one patient, newest visit first, with the
+// medication details from the linked Activity Records entry
+export async function getPatientHistory(patientId) {
+  const key = normalizePatientId(patientId);
+  if (!key) return [];
+  const records = (await getDispensingRecords()).filter(
+    (record) => normalizePatientId(record.patientId) === key,
+  );
+  if (records.length === 0) return [];
+
+  const activity = await getActivityRecords();
+  const byId = new Map(activity.map((entry) => [entry.entryId, entry]));
+  const reversed = new Set(activity.map((entry) => entry.reverses));
+  return records
+    .map(({ rowIndex, ...record }) => {
+      const entry = byId.get(record.entryId);
+      return {
+        ...record,
+        name: entry?.name || "",
+        dose: entry?.dose || "",
+        quantity: parseInt(entry?.quantity) || 0,
+        lot: entry?.lot || "",
+        expiration: entry?.expiration || "",
+        sheetName: entry?.sheetName || "",
+        dispensedBy: entry?.user || "",
+        reversed: reversed.has(record.entryId),
+      };
+    })
+    .sort(
+      (a, b) =>
+        (b.visitDate || b.recorded).localeCompare(a.visitDate || a.recorded) ||
+        b.recorded.localeCompare(a.recorded),
+    );
+}
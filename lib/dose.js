@@ -0,0 +1,183 @@
+// Dose parsing and comparison. A dose like "500 mg tab", "0.5 g" or
+// "160mg/5mL susp" is split into strength(s), unit, an optional "per volume"
+// and the dosage form, with units normalized (g / mcg -> mg, L -> mL), so
+// spellings of the same dose compare equal.
+
+// Unit spellings -> [canonical unit, factor to it]
+const UNITS = {
+  mg: ["mg", 1],
+  milligram: ["mg", 1],
+  milligrams: ["mg", 1],
+  g: ["mg", 1000],
+  gm: ["mg", 1000],
+  gram: ["mg", 1000],
+  grams: ["mg", 1000],
+  mcg: ["mg", 0.001],
+  ug: ["mg", 0.001],
+  microgram: ["mg", 0.001],
+  micrograms: ["mg", 0.001],
+  ml: ["ml", 1],
+  milliliter: ["ml", 1],
+  milliliters: ["ml", 1],
+  l: ["ml", 1000],
+  liter: ["ml", 1000],
+  iu: ["unit", 1],
+  unit: ["unit", 1],
+  units: ["unit", 1],
+  meq: ["meq", 1],
+  "%": ["%", 1],
+};
+
+// Dosage form spellings -> canonical form
+const FORMS = {
+  tab: "tablet",
+  tabs: "tablet",
+  tablet: "tablet",
+  tablets: "tablet",
+  cap: "capsule",
+  caps: "capsule",
+  capsule: "capsule",
+  capsules: "capsule",
+  chew: "chewable",
+  chewable: "chewable",
+  susp: "suspension",
+  suspension: "suspension",
+  soln: "solution",
+  sol: "solution",
+  solution: "solution",
+  syrup: "syrup",
+  liquid: "liquid",
+  cream: "cream",
+  oint: "ointment",
+  ointment: "ointment",
+  gel: "gel",
+  inh: "inhaler",
+  inhaler: "inhaler",
+  spray: "spray",
+  drops: "drops",
+  gtt: "drops",
+  patch: "patch",
+  supp: "suppository",
+  suppository: "suppository",
+  inj: "injection",
+  injection: "injection",
+  powder: "powder",
+  lozenge: "lozenge",
+};
+
+// Release modifiers change what the medication is, so they stay part of the dose
+const RELEASE = {
+  er: "er",
+  xr: "er",
+  xl: "er",
+  sr: "er",
+  cr: "er",
+  la: "er",
+  dr: "dr",
+  ec: "dr",
+  odt: "odt",
+};
+
+const UNIT_PATTERN = Object.keys(UNITS)
+  .sort((a, b) => b.length - a.length)
+  .map((u) => u.replace("%", "\\%"))
+  .join("|");
+const NUMBER = "\\d+(?:\\.\\d+)?|\\.\\d+";
+// "500 mg", "5/325 mg", "160 mg / 5 mL", "10 mg/mL"
+const STRENGTH_RE = new RegExp(
+  `(${NUMBER})((?:\\s*[/-]\\s*(?:${NUMBER}))*)\\s*(${UNIT_PATTERN})(?![a-z])` +
+    `(?:\\s*/\\s*(${NUMBER})?\\s*(ml|l)(?![a-z]))?`,
+);
+
+// Drop floating point noise: 0.1 * 1000 -> 100, not 100.00000000000001
+function tidy(n) {
+  return Number(n.toPrecision(12));
+}
+
+// { strengths, unit, per, form, release, other } or null for a blank dose.
+// strengths are in the canonical unit; per is the volume (mL) they come in.
+// Doses without a recognisable strength come back with strengths: [].
+export function parseDose(dose) {
+  const text = String(dose ?? "")
+    .toLowerCase()
+    .replace(/µ/g, "mc")
+    .replace(/(\d),(\d{3})/g, "$1$2")
+    .trim();
+  if (!text) return null;
+
+  let strengths = [];
+  let unit = "";
+  let per = null;
+  let rest = text;
+  const match = text.match(STRENGTH_RE);
+  if (match) {
+    const [whole, first, more, unitText, perAmount, perUnit] = match;
+    const [canonicalUnit, factor] = UNITS[unitText];
+    const values = [first, ...more.split(/[/-]/).slice(1)].map(Number);
+    strengths = values.map((v) => tidy(v * factor));
+    unit = canonicalUnit;
+    if (perUnit) {
+      per = tidy((perAmount ? Number(perAmount) : 1) * UNITS[perUnit][1]);
+    }
+    rest = text.replace(whole, " ");
+  }
+
+  const forms = new Set();
+  const release = new Set();
+  const other = [];
+  for (const word of rest.split(/[^a-z0-9%]+/).filter(Boolean)) {
+    if (FORMS[word]) forms.add(FORMS[word]);
+    else if (RELEASE[word]) release.add(RELEASE[word]);
+    else other.push(word);
+  }
+  return {
+    strengths,
+    unit,
+    per,
+    form: [...forms].sort().join(" "),
+    release: [...release].sort().join(" "),
+    other: other.join(" "),
+  };
+}
+
+// Strength per mL (160 mg/5 mL == 32 mg/mL) and unit, or the whitespace-free
+// text when there's no strength we recognise
+function strengthKey(parsed, dose) {
+  if (parsed.strengths.length === 0) {
+    return (dose || "").replace(/\s+/g, "").toLowerCase();
+  }
+  const strengths = parsed.strengths
+    .map((s) => tidy(parsed.per ? s / parsed.per : s))
+    .join("/");
+  return `${strengths}${parsed.unit}${parsed.per ? "/ml" : ""}`;
+}
+
+// The form a dose that names none is taken to be. A plain solid strength
+// ("500mg") is a tablet, so it matches "500 mg tab" but not "500 mg cap".
+// Liquids (per mL) and percentages have no default, so "1%" matches neither
+// "1% cream" nor "1% ointment".
+function formOf(parsed) {
+  if (parsed.form) return parsed.form;
+  return parsed.per || parsed.unit === "%" ? "" : "tablet";
+}
+
+// Comparison key: strength, dosage form (see formOf), release and any words
+// we don't recognise, so "500mg", "0.5 g" and "500 mg tab" share a key but a
+// cream and an ointment of the same strength don't
+export function normalizeDose(dose) {
+  const parsed = parseDose(dose);
+  if (!parsed) return "";
+  if (parsed.strengths.length === 0) return strengthKey(parsed, dose);
+  return [
+    strengthKey(parsed, dose),
+    formOf(parsed),
+    parsed.release,
+    parsed.other,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+export function isSameDose(a, b) {
+  return normalizeDose(a) === normalizeDose(b);
+}
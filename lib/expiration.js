@@ -0,0 +1,47 @@
+// Expiration date helpers. Dates are stored as YYYY-MM-DD (what <input type="date"> sends),
+// but anything Date can parse (e.g. "3/1/2026" typed into the sheet) is accepted.
+
+export const EXPIRING_SOON_DAYS =
+  parseInt(process.env.EXPIRING_SOON_DAYS) || 60;
+
+export function parseExpiration(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = iso
+    ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]))
+    : new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Whole days from today until the expiration date (negative once expired), or null if unknown
+export function daysUntilExpiration(value, today = new Date()) {
+  const date = parseExpiration(value);
+  if (!date) return null;
+  const start = new Date(
+    today.getFullYear(),
+    today.getMonth(),
+    today.getDate(),
+  );
+  return Math.round((date - start) / 86400000);
+}
+
+// Sort comparator: earliest expiration first, unknown dates last
+export function compareExpiration(a, b) {
+  const da = parseExpiration(a);
+  const db = parseExpiration(b);
+  if (!da && !db) return 0;
+  if (!da) return 1;
+  if (!db) return -1;
+  return da - db;
+}
+
+// Small HTML badge for an expiration date within the given window
+export function expirationTag(value, windowDays = EXPIRING_SOON_DAYS) {
+  const days = daysUntilExpiration(value);
+  if (days === null) return "";
+  if (days < 0) return ' <span class="tag expired">Expired</span>';
+  if (days <= windowDays)
+    return ' <span class="tag expiring">Expiring soon</span>';
+  return "";
+}
@@ -0,0 +1,50 @@
+import { hasRole } from "./auth.js";
+
+// An "inventory" is either the shared stock (File Meds + Closet Meds) or a
+// named private stash. Routes take the inventory explicitly instead of
+// guessing from the search text.
+
+export const SHARED_INVENTORY = "shared";
+export const SHARED_SHEETS = ["File Meds", "Closet Meds"];
+
+// Owners, listed members and admins can use a stash
+export function canUseStash(user, stash) {
+  if (!user || !stash || !stash.active) return false;
+  if (hasRole(user, "admin")) return true;
+  const username = user.username.toLowerCase();
+  return (
+    stash.owner.toLowerCase() === username ||
+    stash.members.some((m) => m.toLowerCase() === username)
+  );
+}
+
+// Owners and admins can change who has access
+export function canManageStash(user, stash) {
+  if (!user || !stash) return false;
+  return (
+    hasRole(user, "admin") ||
+    stash.owner.toLowerCase() === user.username.toLowerCase()
+  );
+}
+
+export function findStash(stashes, name) {
+  return stashes.find(
+    (s) => s.name.toLowerCase() === (name || "").trim().toLowerCase(),
+  );
+}
+
+// Sheets that make up an inventory
+export function sheetsForInventory(inventory) {
+  return inventory && inventory !== SHARED_INVENTORY
+    ? [inventory]
+    : SHARED_SHEETS;
+}
+
+// Which sheet new stock goes to: the stash itself, or the sheet the Location
+// Catalog (from getLocations) names for the location, File Meds if unlisted
+export function targetSheetFor(inventory, location, locations) {
+  if (inventory && inventory !== SHARED_INVENTORY) return inventory;
+  const key = (location || "").trim().toLowerCase();
+  const entry = locations.find((l) => l.name.toLowerCase() === key);
+  return entry ? entry.sheetName : SHARED_SHEETS[0];
+}
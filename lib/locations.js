@@ -0,0 +1,158 @@
+import {
+  getLocations,
+  getStashes,
+  getStockRows,
+  applyWrites,
+  saveLocationsWrites,
+  renameLocationWrites,
+  logActivity,
+} from "../storage/inventory.js";
+import { SHARED_SHEETS } from "./inventories.js";
+import { withSheetLocks } from "./stockPlan.js";
+
+// Location Catalog management: the list of places stock can be, in the order
+// pages show them, and which shared sheet each one's stock lives on. Names are
+// copied into every stock row, so a rename rewrites those rows too.
+// Each change returns { error } on failure, {} otherwise.
+
+function findLocation(locations, name) {
+  const key = (name || "").trim().toLowerCase();
+  return locations.find((l) => l.name.toLowerCase() === key);
+}
+
+// Location names end up in A1 ranges and form values, so keep them simple
+function validateLocationName(name, locations) {
+  if (!name) return "A location name is required";
+  if (/[!'"]/.test(name)) return "Location names can't contain ! ' or \"";
+  if (findLocation(locations, name)) return `"${name}" is already a location`;
+  return "";
+}
+
+function validateSheet(sheetName) {
+  return SHARED_SHEETS.includes(sheetName)
+    ? ""
+    : `Sheet must be one of ${SHARED_SHEETS.join(", ")}`;
+}
+
+async function stockSheets() {
+  return [...SHARED_SHEETS, ...(await getStashes()).map((stash) => stash.name)];
+}
+
+// Lot rows per location name (lowercase) across the shared sheets and stashes
+export async function countLotsByLocation() {
+  const counts = new Map();
+  for (const sheetName of await stockSheets()) {
+    for (const row of await getStockRows(sheetName)) {
+      const key = row.location.trim().toLowerCase();
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+async function saveLocations(locations, previousCount) {
+  await applyWrites(saveLocationsWrites(locations, previousCount));
+}
+
+export async function createLocation({ name, sheetName }) {
+  const locations = await getLocations();
+  const error =
+    validateLocationName(name, locations) || validateSheet(sheetName);
+  if (error) return { error };
+  await saveLocations(
+    [...locations, { name, sheetName, active: true }],
+    locations.length,
+  );
+  return {};
+}
+
+// Swap a location with its neighbour; direction is -1 (up) or 1 (down)
+export async function moveLocation(name, direction) {
+  const locations = await getLocations();
+  const location = findLocation(locations, name);
+  if (!location) return { error: "Unknown location" };
+  const from = locations.indexOf(location);
+  const to = from + direction;
+  if (to < 0 || to >= locations.length) return {};
+  [locations[from], locations[to]] = [locations[to], locations[from]];
+  await saveLocations(locations, locations.length);
+  return {};
+}
+
+// Only new stock follows the change; lots already at the location stay on the
+// other shared sheet until they're transferred. Returns { left } with how
+// many lots that is, and the sheet they're on as leftOn.
+export async function setLocationSheet(name, sheetName) {
+  const error = validateSheet(sheetName);
+  if (error) return { error };
+  const locations = await getLocations();
+  const location = findLocation(locations, name);
+  if (!location) return { error: "Unknown location" };
+  const previous = location.sheetName;
+  if (previous === sheetName) return { left: 0 };
+  location.sheetName = sheetName;
+  await saveLocations(locations, locations.length);
+  const left = (await getStockRows(previous)).filter(
+    (row) => row.location.trim().toLowerCase() === location.name.toLowerCase(),
+  ).length;
+  return { left, leftOn: previous };
+}
+
+// Retiring hides a location from every picker; it has to be empty first
+export async function setLocationActive(name, active) {
+  const locations = await getLocations();
+  const location = findLocation(locations, name);
+  if (!location) return { error: "Unknown location" };
+  if (!active) {
+    const lots =
+      (await countLotsByLocation()).get(location.name.toLowerCase()) || 0;
+    if (lots > 0) {
+      return {
+        error: `${location.name} still holds ${lots} lot${lots === 1 ? "" : "s"}; transfer the stock before retiring it`,
+      };
+    }
+  }
+  location.active = active;
+  await saveLocations(locations, locations.length);
+  return {};
+}
+
+// Rename in the catalog and in every row that names the location, as one
+// batch, and log a RENAME entry with how many rows changed
+export async function renameLocation(name, newName, user) {
+  const sheets = await stockSheets();
+  return withSheetLocks(sheets, async () => {
+    const locations = await getLocations();
+    const location = findLocation(locations, name);
+    if (!location) return { error: "Unknown location" };
+    if (!newName) return { error: "A location name is required" };
+    if (newName === location.name) return {};
+    // A change of capitalisation doesn't clash with itself
+    if (newName.toLowerCase() !== location.name.toLowerCase()) {
+      const error = validateLocationName(newName, locations);
+      if (error) return { error };
+    }
+
+    const { writes, count } = await renameLocationWrites(
+      sheets,
+      location.name,
+      newName,
+    );
+    const from = location.name;
+    location.name = newName;
+    await applyWrites([
+      ...saveLocationsWrites(locations, locations.length),
+      ...writes,
+    ]);
+    await logActivity({
+      action: "RENAME",
+      name: "",
+      dose: "",
+      location: from,
+      quantity: count,
+      user: user.username,
+      toLocation: newName,
+    });
+    return {};
+  });
+}
@@ -0,0 +1,93 @@
+import { compareExpiration } from "./expiration.js";
+import { isSameDose } from "./dose.js";
+
+// Each stock row is one lot of a medication at a location. These helpers group
+// lots back into medications and decide which lot stock comes out of.
+
+// Same medication at the same location (name, dose, location)
+export function isSameMedication(a, b) {
+  return (
+    (a.name || "").trim().toLowerCase() ===
+      (b.name || "").trim().toLowerCase() &&
+    isSameDose(a.dose, b.dose) &&
+    (a.location || "").trim().toLowerCase() ===
+      (b.location || "").trim().toLowerCase()
+  );
+}
+
+// Same medication at the same location, or a row under another name (a
+// synonym, "Tylenol") linked to the same catalog entry as the item
+// ("Acetaminophen"), so stock added under the generic name joins it
+export function isSameStock(row, item) {
+  return (
+    isSameMedication(row, item) ||
+    (!!item.medicationId &&
+      row.medicationId === item.medicationId &&
+      isSameMedication({ ...row, name: item.name }, item))
+  );
+}
+
+// Same lot: matching lot number and expiration (both may be blank on older rows)
+export function isSameLot(a, b) {
+  return (
+    (a.lot || "").trim().toLowerCase() === (b.lot || "").trim().toLowerCase() &&
+    compareExpiration(a.expiration, b.expiration) === 0 &&
+    !!(a.expiration || "").trim() === !!(b.expiration || "").trim()
+  );
+}
+
+// Oldest lot first: expires first, then received first
+export function compareLotAge(a, b) {
+  return (
+    compareExpiration(a.expiration, b.expiration) ||
+    compareExpiration(a.received, b.received)
+  );
+}
+
+// Collapse lot rows into one entry per sheet + medication + location
+export function groupLots(rows) {
+  const groups = [];
+  for (const row of rows) {
+    let group = groups.find(
+      (g) => g.sheetName === row.sheetName && isSameMedication(g, row),
+    );
+    if (!group) {
+      group = {
+        sheetName: row.sheetName,
+        name: row.name,
+        dose: row.dose,
+        location: row.location,
+        quantity: 0,
+        lots: [],
+      };
+      groups.push(group);
+    }
+    group.lots.push(row);
+    group.quantity += parseInt(row.quantity) || 0;
+  }
+  for (const group of groups) {
+    group.lots.sort(compareLotAge);
+    group.expiration = group.lots[0].expiration || "";
+  }
+  return groups;
+}
+
+// How much to take from each lot. With lotRow, only that lot is touched;
+// otherwise stock comes out of the oldest lot first and spills into the next.
+export function planLotDecrement(lots, qty, lotRow) {
+  const sorted = [...lots].sort(compareLotAge);
+  const candidates = lotRow
+    ? sorted.filter((lot) => String(lot.rowIndex) === String(lotRow))
+    : sorted;
+  const plan = [];
+  let remaining = qty;
+  for (const lot of candidates) {
+    if (remaining <= 0) break;
+    const current = parseInt(lot.quantity) || 0;
+    const take = Math.min(current, remaining);
+    if (take <= 0) continue;
+    plan.push({ lot, take, newQty: current - take });
+    remaining -= take;
+  }
+  return plan;
+}
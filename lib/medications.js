@@ -0,0 +1,221 @@
+import crypto from "node:crypto";
+import {
+  getMedicationCatalog,
+  addCatalogMedication,
+  updateCatalogMedication,
+  getStashes,
+  getStockRows,
+  applyWrites,
+  setMedicationIdWrites,
+} from "../storage/inventory.js";
+import { can } from "./auth.js";
+import { isSameDose } from "./dose.js";
+import { createNameMatcher, loadSynonymGroups } from "./search.js";
+import { SHARED_SHEETS } from "./inventories.js";
+import { withSheetLocks } from "./stockPlan.js";
+
+// Medication Catalog: one entry per canonical medication (generic name and
+// form) with the strengths we stock, its therapeutic category, storage needs
+// and whether it's Rx or OTC or controlled (see lib/controlled.js). Stock
+// added through the forms, the API and CSV import must name an active entry
+// (directly or through a synonym) once the catalog has any, and the new lot
+// row carries the entry's Medication ID.
+// Volunteers propose entries; an admin approves them.
+// Each change returns { error } on failure, { entry } otherwise.
+
+export const MEDICATION_STATUSES = ["active", "proposed", "retired"];
+export const RX_OTC = ["Rx", "OTC"];
+
+function sameName(a, b) {
+  return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+}
+
+export function findMedication(catalog, medicationId) {
+  return catalog.find((entry) => entry.medicationId === medicationId);
+}
+
+// Catalog fields from a posted form; strengths are comma-separated
+export function parseMedicationForm(body) {
+  const text = (field) => String(body[field] ?? "").trim();
+  return {
+    name: text("name"),
+    strengths: text("strengths")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+    form: text("form"),
+    category: text("category"),
+    storage: text("storage"),
+    rxOtc: RX_OTC.find((value) => sameName(value, text("rxOtc"))) || "",
+    controlled: !!body.controlled,
+  };
+}
+
+// A generic name + form may only be listed once (retired entries aside)
+function validateMedication(fields, catalog, medicationId = "") {
+  if (!fields.name) return "A generic name is required";
+  if (!fields.rxOtc) return "Choose Rx or OTC";
+  const duplicate = catalog.find(
+    (entry) =>
+      entry.medicationId !== medicationId &&
+      entry.status !== "retired" &&
+      sameName(entry.name, fields.name) &&
+      sameName(entry.form, fields.form),
+  );
+  if (duplicate) {
+    return `${duplicate.name}${duplicate.form ? ` (${duplicate.form})` : ""} is already ${duplicate.status === "proposed" ? "proposed" : "in the catalog"}`;
+  }
+  return "";
+}
+
+// Admins add active entries; anyone else's entry waits as a proposal
+export async function createMedication(fields, user) {
+  const catalog = await getMedicationCatalog();
+  const error = validateMedication(fields, catalog);
+  if (error) return { error };
+  const entry = {
+    ...fields,
+    medicationId: crypto.randomUUID(),
+    status: can(user, "manageCatalog") ? "active" : "proposed",
+    proposedBy: user.username,
+  };
+  await addCatalogMedication(entry);
+  return { entry };
+}
+
+export async function updateMedication(medicationId, fields) {
+  const catalog = await getMedicationCatalog();
+  const entry = findMedication(catalog, medicationId);
+  if (!entry) return { error: "Unknown medication" };
+  const error = validateMedication(fields, catalog, medicationId);
+  if (error) return { error };
+  Object.assign(entry, fields);
+  await updateCatalogMedication(entry.rowIndex, entry);
+  return { entry };
+}
+
+// Approve (proposed -> active), reject or retire (-> retired), or restore
+export async function setMedicationStatus(medicationId, status) {
+  if (!MEDICATION_STATUSES.includes(status)) return { error: "Unknown status" };
+  const catalog = await getMedicationCatalog();
+  const entry = findMedication(catalog, medicationId);
+  if (!entry) return { error: "Unknown medication" };
+  if (status === "active") {
+    const error = validateMedication(entry, catalog, medicationId);
+    if (error) return { error };
+  }
+  entry.status = status;
+  await updateCatalogMedication(entry.rowIndex, entry);
+  return { entry };
+}
+
+// Sorted categories of active entries, for the search filter
+export function catalogCategories(catalog) {
+  return [
+    ...new Set(
+      catalog
+        .filter((entry) => entry.status === "active" && entry.category)
+        .map((entry) => entry.category),
+    ),
+  ].sort((a, b) => a.localeCompare(b));
+}
+
+// The entry a stock row belongs to: its Medication ID, or for older rows an
+// active entry with the same generic name and a matching strength
+export function catalogEntryFor(catalog, row) {
+  if (row.medicationId) return findMedication(catalog, row.medicationId);
+  return catalog.find(
+    (entry) =>
+      entry.status === "active" &&
+      sameName(entry.name, row.name) &&
+      hasStrength(entry, row.dose),
+  );
+}
+
+function hasStrength(entry, dose) {
+  return (
+    entry.strengths.length === 0 ||
+    entry.strengths.some((s) => isSameDose(s, dose))
+  );
+}
+
+// Load the catalog and synonyms once and return a function that checks an
+// item ({ name, dose, ... }) against them: { item } with the catalog's generic
+// name and Medication ID filled in, or { error }. A blank dose (a recall of
+// every strength) matches on the name alone. Until the catalog has an active
+// entry every item passes through unchanged.
+export async function createCatalogResolver() {
+  const active = (await getMedicationCatalog()).filter(
+    (entry) => entry.status === "active",
+  );
+  const groups = await loadSynonymGroups();
+  return (item) => {
+    if (active.length === 0) return { item };
+    // The generic name itself first, then its synonyms or a near-miss typo
+    let named = active.filter((entry) => sameName(entry.name, item.name));
+    if (named.length === 0) {
+      const score = createNameMatcher(item.name, groups, { wholeName: true });
+      named = active.filter((entry) => score(entry.name) > 0);
+    }
+    if (named.length === 0) {
+      return { error: `${item.name} is not in the Medication Catalog` };
+    }
+    const entry = named.find((e) => !item.dose || hasStrength(e, item.dose));
+    if (!entry) {
+      const strengths = named.flatMap((e) => e.strengths);
+      return {
+        error: `${named[0].name} is cataloged as ${strengths.join(", ")}, not ${item.dose}`,
+      };
+    }
+    return {
+      item: { ...item, name: entry.name, medicationId: entry.medicationId },
+    };
+  };
+}
+
+async function stockSheets() {
+  return [...SHARED_SHEETS, ...(await getStashes()).map((stash) => stash.name)];
+}
+
+// Lot rows carrying each Medication ID, across the shared sheets and stashes
+export async function countLinkedLots() {
+  const counts = new Map();
+  for (const sheetName of await stockSheets()) {
+    for (const row of await getStockRows(sheetName)) {
+      if (row.medicationId) {
+        counts.set(row.medicationId, (counts.get(row.medicationId) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+// Fill in the Medication ID of every unlinked lot row that resolves to this
+// entry, as one batch. Names are left as the rows spell them.
+// Returns { count } with the number of rows linked.
+export async function linkStock(medicationId) {
+  const sheets = await stockSheets();
+  return withSheetLocks(sheets, async () => {
+    const entry = findMedication(await getMedicationCatalog(), medicationId);
+    if (!entry) return { error: "Unknown medication" };
+    if (entry.status !== "active") {
+      return { error: "Only active entries can be linked to stock" };
+    }
+    const resolve = await createCatalogResolver();
+    const writes = [];
+    for (const sheetName of sheets) {
+      const rowIndexes = (await getStockRows(sheetName))
+        .filter(
+          (row) =>
+            !row.medicationId &&
+            resolve(row).item?.medicationId === medicationId,
+        )
+        .map((row) => row.rowIndex);
+      writes.push(
+        ...setMedicationIdWrites(sheetName, rowIndexes, medicationId),
+      );
+    }
+    await applyWrites(writes);
+    return { entry, count: writes.length };
+  });
+}
@@ -0,0 +1,97 @@
+import { getNdcCodes, addNdcCode } from "../storage/inventory.js";
+import { isSameDose } from "./dose.js";
+
+// NDC / UPC codes for donated boxes. Codes resolve against the NDC Codes tab
+// only (no outside lookup service), so scanning works offline. The same
+// package can reach us in several shapes:
+//   10-digit NDC, with or without dashes (4-4-2, 5-3-2 or 5-4-1)
+//   11-digit billing NDC (5-4-2, one segment zero-padded)
+//   12-digit UPC-A barcode: "3" + 10-digit NDC + check digit
+//   13-digit EAN-13: a UPC-A with a leading 0
+
+// Digits only, barcode wrappers stripped. Dashes are dropped after they've
+// told us which segment of an 11-digit NDC is padding.
+export function normalizeNdc(code) {
+  const text = String(code ?? "").trim();
+  const segments = text.split("-");
+  if (segments.length === 3 && segments.join("").length === 11) {
+    // 5-4-2 with a padded segment: drop the pad we can see
+    const [labeler, product, pkg] = segments;
+    if (labeler.startsWith("0")) return labeler.slice(1) + product + pkg;
+    if (product.startsWith("0")) return labeler + product.slice(1) + pkg;
+    if (pkg.startsWith("0")) return labeler + product + pkg.slice(1);
+  }
+  let digits = text.replace(/\D/g, "");
+  if (digits.length === 13 && digits.startsWith("0")) digits = digits.slice(1);
+  if (digits.length === 12 && digits.startsWith("3")) {
+    digits = digits.slice(1, 11);
+  }
+  // A spreadsheet may have eaten the leading zero
+  if (digits.length === 9) digits = `0${digits}`;
+  return digits;
+}
+
+// Every 10-digit form an 11-digit NDC without dashes could have come from
+function ndcCandidates(code) {
+  const digits = normalizeNdc(code);
+  if (digits.length !== 11) return [digits];
+  return [
+    digits,
+    ...[0, 5, 9]
+      .filter((i) => digits[i] === "0")
+      .map((i) => digits.slice(0, i) + digits.slice(i + 1)),
+  ];
+}
+
+export function isSameNdc(a, b) {
+  const candidates = ndcCandidates(a);
+  return ndcCandidates(b).some((key) => candidates.includes(key));
+}
+
+// What a keyboard-wedge scanner types: 10 to 13 digits, maybe with dashes
+export function looksLikeNdc(text) {
+  const value = String(text ?? "").trim();
+  const digits = value.replace(/\D/g, "");
+  return /^[\d\s-]+$/.test(value) && digits.length >= 10 && digits.length <= 13;
+}
+
+// { code, name, dose } for a scanned code, or null if we haven't seen it
+export async function lookupNdc(code) {
+  if (!normalizeNdc(code)) return null;
+  const entry = (await getNdcCodes()).find((e) => isSameNdc(e.code, code));
+  return entry
+    ? { code: entry.code, name: entry.name, dose: entry.dose }
+    : null;
+}
+
+function belongsTo(entry, { name, dose }) {
+  return (
+    entry.name.toLowerCase() === name.trim().toLowerCase() &&
+    isSameDose(entry.dose, dose)
+  );
+}
+
+// Whether stock can arrive with a code: it's new, or already remembered for
+// this name and dose. Check before adding the stock; remember after.
+export async function ndcFits({ code, name, dose }) {
+  if (!normalizeNdc(code) || !name) return true;
+  const existing = await lookupNdc(code);
+  return !existing || belongsTo(existing, { name, dose });
+}
+
+// Remember a code the first time stock arrives with it, once that stock is
+// saved. A code already in the table is left alone, even if it now comes in
+// under another name, so a typo can't silently repoint it. Returns false in
+// that case.
+export async function rememberNdc({ code, name, dose }) {
+  const digits = normalizeNdc(code);
+  if (!digits || !name) return true;
+  const existing = await lookupNdc(digits);
+  if (existing) return belongsTo(existing, { name, dose });
+  await addNdcCode({
+    code: digits,
+    name: name.trim(),
+    dose: (dose || "").trim(),
+  });
+  return true;
+}
@@ -0,0 +1,262 @@
+import crypto from "node:crypto";
+import {
+  getRecalls,
+  addRecall,
+  setRecallStatus,
+  getQuarantine,
+  resolveQuarantineWrites,
+  logActivityWrites,
+  getStashes,
+  getStockRows,
+  applyWrites,
+  getMedicationCatalog,
+} from "../storage/inventory.js";
+import { isControlled } from "./controlled.js";
+import { isSameDose } from "./dose.js";
+import { SHARED_SHEETS, sheetsForInventory } from "./inventories.js";
+import { createCatalogResolver } from "./medications.js";
+import { nameMatcher } from "./search.js";
+import {
+  WitnessRequiredError,
+  withSheetLock,
+  withStockPlan,
+} from "./stockPlan.js";
+
+// Manufacturer recalls. Entering one takes every matching lot row on File
+// Meds, Closet Meds and the stashes off its sheet into Quarantine (so it can't
+// be found or dispensed), and while the recall is open matching stock can't be
+// added back. Each quarantined lot is then resolved as returned or destroyed,
+// which is logged in Activity Records as a RETURNED / DESTROYED entry.
+// Each change returns { error } on failure.
+
+export const RECALL_RESOLUTIONS = {
+  returned: "Returned to manufacturer",
+  destroyed: "Destroyed",
+};
+
+function sameText(a, b) {
+  return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+}
+
+// Whether a lot row (or an item being added) falls under a recall: same
+// medication (by catalog entry or name), any strength when the recall has
+// none, any lot when it lists none. Give unlinked rows their catalog entry
+// first (see linkedTo) so synonyms match.
+export function recallMatches(recall, row) {
+  const sameMedication =
+    (recall.medicationId && row.medicationId === recall.medicationId) ||
+    sameText(recall.name, row.name);
+  return (
+    sameMedication &&
+    (!recall.dose || isSameDose(recall.dose, row.dose)) &&
+    (recall.lots.length === 0 ||
+      recall.lots.some((lot) => sameText(lot, row.lot)))
+  );
+}
+
+export function describeRecall(recall) {
+  return `${recall.name}${recall.dose ? ` ${recall.dose}` : ""}${
+    recall.lots.length > 0 ? ` (lot ${recall.lots.join(", ")})` : ""
+  }`;
+}
+
+// Load the catalog once and return a function that fills in the Medication ID
+// of a row that has none from its name, so stock kept under a synonym
+// ("Tylenol") is caught by a recall of the generic name ("Acetaminophen")
+async function linkedTo() {
+  const resolve = await createCatalogResolver();
+  return (row) =>
+    row.medicationId
+      ? row
+      : { ...row, medicationId: resolve(row).item?.medicationId || "" };
+}
+
+// Load the open recalls once and return a function that checks stock about
+// to be added ({ name, dose, lot, medicationId }): an error message when an
+// open recall covers it, "" otherwise
+export async function createRecallCheck() {
+  const open = (await getRecalls()).filter(
+    (recall) => recall.status === "open",
+  );
+  const link = await linkedTo();
+  return (item) => {
+    const recall = open.find((r) => recallMatches(r, link(item)));
+    if (!recall) return "";
+    return `${`${item.name} ${item.dose || ""}`.trim()}${item.lot ? ` lot ${item.lot}` : ""} is recalled (${describeRecall(recall)}${recall.reference ? `, ${recall.reference}` : ""}) and can't be added to stock`;
+  };
+}
+
+// How many lots a name search would find in the inventory if they weren't
+// waiting in quarantine
+export async function countQuarantined(searchName, inventory) {
+  const sheets = sheetsForInventory(inventory);
+  const score = await nameMatcher(searchName);
+  return (await getQuarantine()).filter(
+    (lot) =>
+      lot.status === "quarantined" &&
+      sheets.includes(lot.sheetName) &&
+      score(lot.name) > 0,
+  ).length;
+}
+
+// Recall fields from a posted form; lots are comma-separated
+export function parseRecallForm(body) {
+  const text = (field) => String(body[field] ?? "").trim();
+  return {
+    name: text("name"),
+    dose: text("dose"),
+    lots: text("lots")
+      .split(",")
+      .map((lot) => lot.trim())
+      .filter(Boolean),
+    reference: text("reference"),
+    announced: text("announced"),
+  };
+}
+
+async function stockSheets() {
+  return [...SHARED_SHEETS, ...(await getStashes()).map((stash) => stash.name)];
+}
+
+// The lot rows a recall covers on one sheet
+async function coveredRows(recall, sheetName, link) {
+  return (await getStockRows(sheetName, { fresh: true })).filter((row) =>
+    recallMatches(recall, link(row)),
+  );
+}
+
+// Move every lot row an open recall covers into Quarantine, as one stock plan.
+// Controlled lots need a witness (options as for withStockPlan).
+// Returns the number of lots moved.
+async function quarantineMatching(recall, user, options) {
+  const sheets = await stockSheets();
+  const link = await linkedTo();
+  return withStockPlan(
+    sheets,
+    async (plan) => {
+      let count = 0;
+      for (const sheetName of sheets) {
+        const rows = await coveredRows(recall, sheetName, link);
+        if (rows.length > 0) {
+          count += await plan.quarantine(
+            sheetName,
+            rows,
+            recall.recallId,
+            user,
+          );
+        }
+      }
+      return count;
+    },
+    { ...options, requireWitness: true },
+  );
+}
+
+// Throw WitnessRequiredError before a recall is entered when it covers
+// controlled stock and nobody witnessed, so it isn't left half done
+async function assertWitnessed(recall, { witness = "" } = {}) {
+  if (witness) return;
+  const catalog = await getMedicationCatalog();
+  const link = await linkedTo();
+  const controlled = [];
+  for (const sheetName of await stockSheets()) {
+    controlled.push(
+      ...(await coveredRows(recall, sheetName, link)).filter((row) =>
+        isControlled(catalog, [row]),
+      ),
+    );
+  }
+  if (controlled.length > 0) {
+    throw new WitnessRequiredError([
+      ...new Set(controlled.map((row) => `${row.name} ${row.dose}`)),
+    ]);
+  }
+}
+
+// Enter a recall and quarantine what it covers. The name is matched to the
+// Medication Catalog when it's there, and stock rows to catalog entries by
+// Medication ID or name, so synonyms are caught. Controlled stock needs a
+// witness: options is { witness }, and without one nothing is entered.
+// Returns { recall, count } with the number of lots quarantined.
+export async function createRecall(fields, user, options) {
+  if (!fields.name) return { error: "A medication name is required" };
+  if (fields.announced && Number.isNaN(Date.parse(fields.announced))) {
+    return { error: "Announced must be a date (YYYY-MM-DD)" };
+  }
+  const resolve = await createCatalogResolver();
+  const { item } = resolve({ name: fields.name, dose: fields.dose });
+  const recall = {
+    ...fields,
+    name: item?.name || fields.name,
+    medicationId: item?.medicationId || "",
+    recallId: crypto.randomUUID(),
+    status: "open",
+    createdBy: user.username,
+  };
+  await assertWitnessed(recall, options);
+  // The recall goes in first, so nothing it covers can be added meanwhile
+  await addRecall(recall);
+  return { recall, count: await quarantineMatching(recall, user, options) };
+}
+
+// Quarantine anything an open recall covers that is back on a sheet (e.g.
+// rows entered on the sheet directly), with options as for createRecall.
+// Returns { recall, count }.
+export async function recheckRecall(recallId, user, options) {
+  const recall = (await getRecalls()).find((r) => r.recallId === recallId);
+  if (!recall) return { error: "Unknown recall" };
+  if (recall.status !== "open") return { error: "The recall is closed" };
+  return { recall, count: await quarantineMatching(recall, user, options) };
+}
+
+// Returned or destroyed: mark the quarantined lot and log it, in one batch
+export async function resolveQuarantine(quarantineId, resolution, user) {
+  if (!Object.hasOwn(RECALL_RESOLUTIONS, resolution)) {
+    return { error: "Choose returned or destroyed" };
+  }
+  return withSheetLock("Quarantine", async () => {
+    const lot = (await getQuarantine()).find(
+      (q) => q.quarantineId === quarantineId,
+    );
+    if (!lot) return { error: "Unknown quarantined lot" };
+    if (lot.status !== "quarantined") {
+      return { error: `That lot was already ${lot.status}` };
+    }
+    await applyWrites([
+      ...resolveQuarantineWrites(lot.rowIndex, resolution, user.username),
+      ...logActivityWrites([
+        {
+          action: resolution.toUpperCase(),
+          name: lot.name,
+          dose: lot.dose,
+          location: lot.location,
+          quantity: lot.quantity,
+          lot: lot.lot,
+          user: user.username,
+          sheetName: lot.sheetName,
+          expiration: lot.expiration,
+          received: lot.received,
+          source: lot.source,
+          entryId: crypto.randomUUID(),
+        },
+      ]),
+    ]);
+    return { lot };
+  });
+}
+
+// Close a recall once none of its lots are still waiting in quarantine
+export async function closeRecall(recallId) {
+  const recall = (await getRecalls()).find((r) => r.recallId === recallId);
+  if (!recall) return { error: "Unknown recall" };
+  const waiting = (await getQuarantine()).filter(
+    (lot) => lot.recallId === recallId && lot.status === "quarantined",
+  );
+  if (waiting.length > 0) {
+    return {
+      error: `${waiting.length} quarantined lot${waiting.length === 1 ? " is" : "s are"} still waiting to be returned or destroyed`,
+    };
+  }
+  await setRecallStatus(recall.rowIndex, "closed");
+  return { recall };
+}
@@ -0,0 +1,31 @@
+// Removal reasons: why a REMOVE took stock off the shelf. Every removal from
+// the Amount Used form or the API names one, and it is stored in the Reason
+// column of Activity Records. Dispensed is patient use; expired, damaged and
+// recalled stock is waste; donated stock left for another clinic. Entries
+// logged before reasons existed count as dispensed.
+
+export const REMOVAL_REASONS = {
+  dispensed: "Dispensed",
+  expired: "Expired",
+  damaged: "Damaged",
+  recalled: "Recalled",
+  donated: "Donated onward",
+};
+
+export const WASTE_REASONS = ["expired", "damaged", "recalled"];
+
+// Stock that was destroyed, and so belongs in the disposal log
+export const DISPOSAL_REASONS = ["expired", "damaged"];
+
+// The reason code for a form or API value ("Expired", "expired"), or "" when
+// it isn't one
+export function parseRemovalReason(value) {
+  const reason = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return Object.hasOwn(REMOVAL_REASONS, reason) ? reason : "";
+}
+
+export function removalReason(record) {
+  return parseRemovalReason(record.reason) || "dispensed";
+}
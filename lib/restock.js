@@ -0,0 +1,133 @@
+import {
+  getStockRows,
+  getParLevels,
+  writeRestockList,
+} from "../storage/inventory.js";
+import { normalizeDose } from "./dose.js";
+import { SHARED_INVENTORY, SHARED_SHEETS } from "./inventories.js";
+import { searchPastMedication } from "./stock.js";
+
+// Restock list: what the shared stock (File Meds + Closet Meds) needs ordered.
+// A medication is on the list when it is out of stock (it's in Past Medication
+// or has a par level but nothing on hand) or its total is below its par level.
+
+// Optional tab to mirror the list into after every stock change
+const RESTOCK_LIST_TAB = process.env.RESTOCK_LIST_TAB || "";
+
+// Outcome of the last write to RESTOCK_LIST_TAB, shown on the restock page
+let lastWrite = null;
+
+export function medicationKey({ name, dose }) {
+  return `${(name || "").trim().toLowerCase()}|${normalizeDose(dose)}`;
+}
+
+// Enough to get back to par, and at least the reorder quantity
+function suggestedOrder(onHand, parLevel, reorderQuantity) {
+  return Math.max(parLevel - onHand, reorderQuantity, 0);
+}
+
+// Pure calculation from already-loaded rows: every medication (name + dose)
+// with its total on hand, par level and status (ok / below-par / out-of-stock)
+export function buildStockLevels({ stockRows, pastRows, parLevels }) {
+  const meds = new Map();
+  const entryFor = (row) => {
+    const key = medicationKey(row);
+    if (!meds.has(key)) {
+      meds.set(key, {
+        name: row.name.trim(),
+        dose: (row.dose || "").trim(),
+        onHand: 0,
+        parLevel: null,
+        reorderQuantity: null,
+        inPastMedication: false,
+      });
+    }
+    return meds.get(key);
+  };
+
+  for (const row of stockRows) {
+    entryFor(row).onHand += parseInt(row.quantity) || 0;
+  }
+  for (const row of pastRows) entryFor(row).inPastMedication = true;
+  for (const par of parLevels) {
+    const entry = entryFor(par);
+    entry.parLevel = par.parLevel;
+    entry.reorderQuantity = par.reorderQuantity;
+  }
+
+  return [...meds.values()].map(({ inPastMedication, ...entry }) => {
+    const hasParLevel = entry.parLevel !== null;
+    const out = entry.onHand <= 0 && (inPastMedication || hasParLevel);
+    const belowPar = hasParLevel && entry.onHand < entry.parLevel;
+    return {
+      ...entry,
+      suggestedOrder: hasParLevel
+        ? suggestedOrder(entry.onHand, entry.parLevel, entry.reorderQuantity)
+        : null,
+      status: out ? "out-of-stock" : belowPar ? "below-par" : "ok",
+    };
+  });
+}
+
+// Medications that need ordering, out-of-stock first
+export function buildRestockList(rows) {
+  return buildStockLevels(rows)
+    .filter((entry) => entry.status !== "ok")
+    .sort(
+      (a, b) =>
+        (a.status === b.status ? 0 : a.status === "out-of-stock" ? -1 : 1) ||
+        a.name.localeCompare(b.name, undefined, { sensitivity: "base" }) ||
+        normalizeDose(a.dose).localeCompare(normalizeDose(b.dose)),
+    );
+}
+
+async function loadStockLevelRows() {
+  const stockRows = [];
+  for (const sheetName of SHARED_SHEETS) {
+    stockRows.push(...(await getStockRows(sheetName)));
+  }
+  const pastRows = await searchPastMedication("", SHARED_INVENTORY);
+  const parLevels = await getParLevels();
+  return { stockRows, pastRows, parLevels };
+}
+
+// Every medication in the shared stock (and Past Medication / Par Levels)
+export async function computeStockLevels() {
+  return buildStockLevels(await loadStockLevelRows());
+}
+
+// Load the shared stock, Past Medication and Par Levels and build the list
+export async function computeRestockList() {
+  return buildRestockList(await loadStockLevelRows());
+}
+
+export function getRestockWriteStatus() {
+  return { tab: RESTOCK_LIST_TAB, lastWrite };
+}
+
+// Called after stock changes: rewrite RESTOCK_LIST_TAB when it's configured.
+// Failures never block the stock change; they're logged and shown on /restock.
+export async function refreshRestockList() {
+  if (!RESTOCK_LIST_TAB) return;
+  const at = new Date().toISOString();
+  try {
+    const list = await computeRestockList();
+    await writeRestockList(
+      RESTOCK_LIST_TAB,
+      list.map((item) => [
+        item.name,
+        item.dose,
+        item.onHand,
+        item.parLevel ?? "",
+        item.reorderQuantity ?? "",
+        item.suggestedOrder ?? "",
+        item.status,
+        at,
+      ]),
+    );
+    lastWrite = { at, ok: true, count: list.length };
+  } catch (err) {
+    console.error(`Error writing ${RESTOCK_LIST_TAB}:`, err);
+    lastWrite = { at, ok: false, error: err.message };
+  }
+}
@@ -0,0 +1,179 @@
+import { getSynonymGroups } from "../storage/inventory.js";
+
+// Medication name search shared by the stock search, quick-add, Past Medication
+// and the name / dose suggestions. A query matches a name directly (exact,
+// prefix, substring), through a synonym (brand <-> generic, abbreviations like
+// APAP) or with a typo or two. Higher scores rank first; 0 means no match.
+
+// Always-on synonyms; rows in the Synonyms tab add to (or extend) these
+const DEFAULT_SYNONYMS = [
+  ["acetaminophen", "tylenol", "apap", "paracetamol"],
+  ["ibuprofen", "advil", "motrin"],
+  ["naproxen", "aleve"],
+  ["aspirin", "asa"],
+  ["diphenhydramine", "benadryl"],
+  ["loratadine", "claritin"],
+  ["cetirizine", "zyrtec"],
+  ["fexofenadine", "allegra"],
+  ["omeprazole", "prilosec"],
+  ["famotidine", "pepcid"],
+  ["loperamide", "imodium"],
+  ["guaifenesin", "mucinex"],
+  ["hydrochlorothiazide", "hctz"],
+  ["sulfamethoxazole trimethoprim", "bactrim", "smx tmp"],
+];
+
+const SCORES = {
+  exact: 100,
+  prefix: 90,
+  wordPrefix: 85,
+  contains: 80,
+  typo: 70, // minus 10 per typo
+  typoPrefix: 60, // minus 10 per typo
+};
+// Matching through a synonym ranks just below matching the name itself
+const SYNONYM_PENALTY = 5;
+
+function normalizeName(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Typos allowed for a term of this length: none for short words like "asa"
+function allowedTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length <= 6 ? 1 : 2;
+}
+
+// Edit distance counting a swap of neighbouring letters as one typo
+// ("ibuprofin" -> "ibuprofen" is 1, "tyelnol" -> "tylenol" is 1)
+function typoDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Whole name within typo distance of the term
+function isTypoOf(name, term) {
+  return typoDistance(name, term) <= allowedTypos(term);
+}
+
+// How well one normalized name matches one normalized term
+function scoreTerm(name, term) {
+  if (!name || !term) return 0;
+  if (name === term) return SCORES.exact;
+  if (name.startsWith(term)) return SCORES.prefix;
+  const words = name.split(" ");
+  if (words.some((word) => word.startsWith(term))) return SCORES.wordPrefix;
+  if (name.includes(term)) return SCORES.contains;
+
+  const allowed = allowedTypos(term);
+  if (allowed === 0) return 0;
+  let best = 0;
+  for (const candidate of [name, ...words]) {
+    const whole = typoDistance(candidate, term);
+    if (whole <= allowed) {
+      best = Math.max(best, SCORES.typo - 10 * whole);
+    }
+    // Still typing: "ibupro" against "ibuprofen"
+    if (candidate.length > term.length) {
+      const partial = typoDistance(candidate.slice(0, term.length), term);
+      if (partial <= allowed) {
+        best = Math.max(best, SCORES.typoPrefix - 10 * partial);
+      }
+    }
+  }
+  return best;
+}
+
+// Default synonyms merged with the Synonyms tab; groups sharing a name are joined
+export async function loadSynonymGroups() {
+  const groups = [];
+  for (const names of [...DEFAULT_SYNONYMS, ...(await getSynonymGroups())]) {
+    const group = new Set(names.map(normalizeName).filter(Boolean));
+    const overlapping = groups.filter((g) => [...group].some((n) => g.has(n)));
+    for (const g of overlapping) {
+      g.forEach((n) => group.add(n));
+      groups.splice(groups.indexOf(g), 1);
+    }
+    if (group.size > 1) groups.push(group);
+  }
+  return groups;
+}
+
+// The query plus every synonym of something it names (or nearly names)
+function expandQuery(query, groups) {
+  const terms = new Map([[query, 0]]);
+  for (const group of groups) {
+    const named = [...group].some(
+      (member) =>
+        member === query ||
+        isTypoOf(member, query) ||
+        (query.length >= 4 && member.startsWith(query)),
+    );
+    if (!named) continue;
+    for (const member of group) {
+      if (!terms.has(member)) terms.set(member, SYNONYM_PENALTY);
+    }
+  }
+  return terms;
+}
+
+// Build a scoring function for a query. A blank query matches every name.
+// With wholeName, only names that are the query (or a synonym of it), give or
+// take a typo, match: "Advil" then matches "advil" but not "Advil PM".
+export function createNameMatcher(
+  query,
+  groups = [],
+  { wholeName = false } = {},
+) {
+  const normalized = normalizeName(query);
+  if (!normalized) return () => 1;
+  const terms = expandQuery(normalized, groups);
+  return (name) => {
+    const target = normalizeName(name);
+    let best = 0;
+    for (const [term, penalty] of terms) {
+      let score;
+      if (wholeName) {
+        score = target === term || isTypoOf(target, term) ? SCORES.exact : 0;
+      } else if (penalty && term.length < 4) {
+        // Short synonyms like "asa" only as a whole word, not inside "Nasacort"
+        score = target.split(" ").includes(term) ? SCORES.wordPrefix : 0;
+      } else {
+        score = scoreTerm(target, term);
+      }
+      if (score > 0) best = Math.max(best, score - penalty);
+    }
+    return best;
+  };
+}
+
+// createNameMatcher with the current synonym table
+export async function nameMatcher(query, options) {
+  return createNameMatcher(query, await loadSynonymGroups(), options);
+}
+
+// Matching items, best first; ties keep their original order
+export function rankByName(items, score, getName = (item) => item.name) {
+  return items
+    .map((item, index) => ({ item, index, score: score(getName(item)) }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((entry) => entry.item);
+}
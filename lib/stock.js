@@ -0,0 +1,420 @@
+import {
+  getStockRows,
+  getPastMedication,
+  getActivityRecords,
+  getStashes,
+  getLocations,
+} from "../storage/inventory.js";
+import { can } from "./auth.js";
+import { groupLots } from "./lots.js";
+import {
+  SHARED_INVENTORY,
+  SHARED_SHEETS,
+  canUseStash,
+  findStash,
+  sheetsForInventory,
+  targetSheetFor,
+} from "./inventories.js";
+import { nameMatcher, rankByName } from "./search.js";
+import { createCatalogResolver } from "./medications.js";
+import { createRecallCheck } from "./recalls.js";
+import { StockConflictError, withStockPlan } from "./stockPlan.js";
+
+export { StockConflictError };
+
+// Stock operations shared by the HTML pages and the JSON API: searching,
+// adding lots, dispensing and transfers. Access checks take the signed-in user.
+// Changes take the stock plan's witness options ({ witness, requireWitness },
+// see lib/stockPlan.js) and throw WitnessRequiredError when they would change
+// a controlled medication without a witness.
+
+// Stashes this user may open
+export async function getAccessibleStashes(user) {
+  return (await getStashes()).filter((stash) => canUseStash(user, stash));
+}
+
+// The inventory a request asked for, or null if this user can't use it
+export async function resolveInventory(user, requested) {
+  if (!requested || requested === SHARED_INVENTORY) return SHARED_INVENTORY;
+  const stash = findStash(await getStashes(), requested);
+  return canUseStash(user, stash) ? stash.name : null;
+}
+
+// Whether this user may change stock on a sheet posted back by a form
+export async function canUseSheet(user, sheetName) {
+  if (SHARED_SHEETS.includes(sheetName)) return true;
+  return canUseStash(user, findStash(await getStashes(), sheetName));
+}
+
+// Combine meds from an inventory's sheets (File Meds + Closet Meds, or one stash).
+// One entry per medication + location, carrying its lots (oldest first),
+// best name match first (see lib/search.js). A blank search returns everything.
+export async function searchStock(
+  searchName = "",
+  inventory = SHARED_INVENTORY,
+) {
+  const rows = [];
+  for (const sheetName of sheetsForInventory(inventory)) {
+    rows.push(...(await getStockRows(sheetName)));
+  }
+  return rankByName(groupLots(rows), await nameMatcher(searchName));
+}
+
+// Fetch meds from Past Medication matching search,
+// limited to those that came out of the given inventory
+export async function searchPastMedication(
+  searchName = "",
+  inventory = SHARED_INVENTORY,
+) {
+  const stashes = await getStashes();
+  const score = await nameMatcher(searchName);
+  const rows = (await getPastMedication())
+    .map((row) => {
+      // Older rows have no Inventory; stash items were recorded with the stash as location
+      const legacyStash = findStash(stashes, row.location);
+      const rowInventory =
+        row.inventory && !SHARED_SHEETS.includes(row.inventory)
+          ? row.inventory
+          : !row.inventory && legacyStash
+            ? legacyStash.name
+            : SHARED_INVENTORY;
+      return { ...row, inventory: rowInventory, quantity: "0" };
+    })
+    .filter((row) => row.inventory.toLowerCase() === inventory.toLowerCase());
+  return rankByName(rows, score);
+}
+
+// Plan one lot onto an inventory: onto the sheet already stocking this
+// medication at this location (as the plan stands), otherwise onto the stash /
+// File or Closet Meds, with its ADD entry. Returns the sheet it goes to.
+async function planAddStock(plan, inventory, item, user, locations) {
+  const { name, dose, location } = item;
+  let targetSheet = null;
+  for (const sheetName of sheetsForInventory(inventory)) {
+    if ((await plan.findLot(sheetName, item)).rows.length > 0) {
+      targetSheet = sheetName;
+      break;
+    }
+  }
+  if (!targetSheet) {
+    targetSheet = targetSheetFor(inventory, location, locations);
+    // If adding new med, and it exists in Past Medication, remove it first (Location might differ)
+    await plan.removeFromPastMedication({ name, dose, location });
+  }
+  // The entry describes the lot row as written (the sheet's spelling of the
+  // name and dose, its received date), so reports and reversals find it
+  const { row } = await plan.addToLot(targetSheet, item);
+  plan.log({
+    action: "ADD",
+    name: row.name,
+    dose: row.dose,
+    location: row.location,
+    quantity: item.quantity,
+    lot: row.lot || "",
+    user: user.username,
+    sheetName: targetSheet,
+    expiration: row.expiration || "",
+    received: row.received || "",
+    source: row.source || "",
+  });
+  return targetSheet;
+}
+
+// Add lots to an inventory (bumping the matching one or starting a new row),
+// all in one stock plan: either every lot and its ADD entry is written or none
+// is, and later items merge with earlier ones. Returns the sheet each went to.
+export async function addStockItems(inventory, items, user, options) {
+  const locations = await getLocations();
+  const sheets = [
+    ...sheetsForInventory(inventory),
+    ...items.map((item) => targetSheetFor(inventory, item.location, locations)),
+  ];
+  return withStockPlan(
+    sheets,
+    async (plan) => {
+      const targets = [];
+      for (const item of items) {
+        targets.push(
+          await planAddStock(plan, inventory, item, user, locations),
+        );
+      }
+      return targets;
+    },
+    options,
+  );
+}
+
+// Add one lot as addStockItems does. Returns the sheet the stock went to.
+export async function addStock(inventory, item, user, options) {
+  const [sheetName] = await addStockItems(inventory, [item], user, options);
+  return sheetName;
+}
+
+// Take stock out of one medication on a sheet: from the chosen lot, or oldest lot first.
+// The medication only moves to Past Medication once its last lot is used up.
+// expectedQuantity is the total the volunteer was looking at; if stock moved since,
+// nothing is written and the status is "conflict" so they can review.
+// The lot changes, the REMOVE entries (one per lot) and request.dispensing (the
+// patient record, if any) are written as one stock plan.
+// Returns { status: "ok", entryIds, taken, remaining } or a status of
+// "not-found" / "conflict" / "needs-pharmacist" (with the current total).
+export async function dispenseStock(request, user, options) {
+  try {
+    return await withStockPlan(
+      [request.sheetName],
+      async (plan) => {
+        const result = await plan.dispense(request, user);
+        if (result.status === "ok") {
+          plan.recordDispensing(result.entryIds, request.dispensing);
+        }
+        return result;
+      },
+      options,
+    );
+  } catch (err) {
+    if (!(err instanceof StockConflictError)) throw err;
+    console.error(err.message);
+    return { status: "conflict" };
+  }
+}
+
+// Move some of one medication to another Location Catalog entry. Shared stock
+// lands on the sheet the catalog keeps the new location on (e.g. File Meds ->
+// Closet Meds); a toSheet that isn't that sheet is refused. toSheet may also
+// be SHARED_INVENTORY, and defaults to the inventory the stock is in, so stash
+// stock stays in its stash unless toSheet names another. Lots keep their lot #,
+// expiration, received date and source. Nothing goes to Past Medication: the
+// stock wasn't used, and if it was in Past Medication at the new location it
+// comes back out. Emptying a lot here doesn't need a pharmacist, since the
+// stock lands on the destination row. Both sheets' lots and a single TRANSFER
+// entry are written as one stock plan.
+// Returns { status: "ok", moved, remaining, toSheet } or { status, message }
+// for "not-allowed" / "invalid" / "not-found" / "insufficient" / "conflict"
+// (with the current total where known).
+export async function transferStock(
+  {
+    sheetName,
+    name,
+    dose,
+    location,
+    quantity,
+    lotRow,
+    expectedQuantity,
+    toSheet = "",
+    toLocation,
+  },
+  user,
+  options,
+) {
+  const locations = await getLocations();
+  const catalogLocation = locations.find(
+    (loc) =>
+      loc.active &&
+      loc.name.toLowerCase() === (toLocation || "").trim().toLowerCase(),
+  );
+  if (!catalogLocation) {
+    return {
+      status: "invalid",
+      message: "Pick a destination from the Location Catalog",
+    };
+  }
+  let destination = toSheet || sheetName;
+  if (destination === SHARED_INVENTORY || SHARED_SHEETS.includes(destination)) {
+    if (
+      SHARED_SHEETS.includes(toSheet) &&
+      toSheet !== catalogLocation.sheetName
+    ) {
+      return {
+        status: "invalid",
+        message: `${catalogLocation.name} is kept on ${catalogLocation.sheetName}, not ${toSheet}`,
+      };
+    }
+    destination = catalogLocation.sheetName;
+  }
+  if (
+    !(await canUseSheet(user, sheetName)) ||
+    !(await canUseSheet(user, destination))
+  ) {
+    return { status: "not-allowed", message: "You can't change that stock" };
+  }
+  if (
+    sheetName.trim().toLowerCase() === destination.trim().toLowerCase() &&
+    (location || "").trim().toLowerCase() === catalogLocation.name.toLowerCase()
+  ) {
+    return {
+      status: "invalid",
+      message: "The stock is already at that location",
+    };
+  }
+
+  let result;
+  try {
+    result = await withStockPlan(
+      [sheetName, destination],
+      (plan) =>
+        plan.transfer(
+          {
+            sheetName,
+            name,
+            dose,
+            location,
+            quantity,
+            lotRow,
+            expectedQuantity,
+            toSheet: destination,
+            toLocation: catalogLocation.name,
+          },
+          user,
+        ),
+      options,
+    );
+  } catch (err) {
+    if (!(err instanceof StockConflictError)) throw err;
+    console.error(err.message);
+    result = { status: "conflict" };
+  }
+  switch (result.status) {
+    case "not-found":
+      return { ...result, message: "No matching stock" };
+    case "conflict":
+      return { ...result, message: "Inventory changed, please review" };
+    case "insufficient":
+      return {
+        status: "insufficient",
+        message: `Only ${result.moving} in stock to move`,
+        current: result.current,
+      };
+    default:
+      return { ...result, toSheet: destination };
+  }
+}
+
+// Activity that moved stock and can be undone
+export const REVERSIBLE_ACTIONS = ["ADD", "REMOVE"];
+
+// Why an Activity Records entry can't be reversed (by this user), or "" if it can
+export function reversalBlocker(entry, records, user) {
+  if (!REVERSIBLE_ACTIONS.includes(entry.action)) {
+    return "Only ADD and REMOVE entries can be reversed";
+  }
+  if (!entry.entryId || !entry.sheetName) {
+    return "This entry was logged before reversals were recorded";
+  }
+  if (records.some((r) => r.reverses === entry.entryId)) {
+    return "This entry has already been reversed";
+  }
+  if (
+    !can(user, "reverseActivity") &&
+    entry.user.toLowerCase() !== user.username.toLowerCase()
+  ) {
+    return "Only a pharmacist or admin can reverse someone else's entry";
+  }
+  return "";
+}
+
+// Undo one Activity Records entry by re-applying the opposite change to the
+// same lot, then log a REVERSAL linked to it. The original entry stays as is.
+// A REMOVE that used up the medication brings it back out of Past Medication;
+// an ADD whose lot is reversed away sends it there. Stock under an open recall
+// isn't put back.
+// Returns { status: "ok", entryId } or { status, message } for "not-found" /
+// "not-allowed" / "insufficient" / "needs-pharmacist" / "recalled" / "conflict".
+export async function reverseActivity(entryId, user, options) {
+  const allRecords = await getActivityRecords();
+  const lookup = allRecords.find((r) => r.entryId === entryId);
+  if (!lookup) return { status: "not-found", message: "No such entry" };
+  const earlyBlocker = reversalBlocker(lookup, allRecords, user);
+  if (earlyBlocker) return { status: "not-allowed", message: earlyBlocker };
+  if (!(await canUseSheet(user, lookup.sheetName))) {
+    return { status: "not-allowed", message: "You can't change that stock" };
+  }
+  const resolve = await createCatalogResolver();
+  const recalled = await createRecallCheck();
+
+  try {
+    return await withStockPlan(
+      [lookup.sheetName],
+      async (plan) => {
+        // Re-check inside the lock so two clicks can't reverse the same entry twice
+        const records = await getActivityRecords();
+        const entry = records.find((r) => r.entryId === entryId);
+        const blocker = reversalBlocker(entry, records, user);
+        if (blocker) return { status: "not-allowed", message: blocker };
+
+        const { sheetName, name, dose, location } = entry;
+        const quantity = parseInt(entry.quantity) || 0;
+        const change = entry.action === "ADD" ? -quantity : quantity;
+        const { lot } = await plan.findLot(sheetName, entry);
+        const current = lot ? parseInt(lot.quantity) || 0 : 0;
+        // Activity Records don't keep the Medication ID, so a lot that was
+        // used up gets it back from the catalog
+        const medicationId =
+          lot?.medicationId || resolve(entry).item?.medicationId || "";
+
+        if (change < 0) {
+          if (!lot || current < -change) {
+            return {
+              status: "insufficient",
+              message: `Only ${current} left in that lot, so the ${quantity} added can't be taken back`,
+            };
+          }
+          if (current + change <= 0 && !can(user, "deleteStock")) {
+            return {
+              status: "needs-pharmacist",
+              message: "This would use up a lot; ask a pharmacist or admin",
+            };
+          }
+        } else {
+          const recall = recalled({
+            name,
+            dose,
+            lot: entry.lot,
+            medicationId,
+          });
+          if (recall) return { status: "recalled", message: recall };
+        }
+        // Put the stock back (recreating the lot row if it was used up) or
+        // take it off again
+        await plan.changeLot(
+          sheetName,
+          {
+            name,
+            dose,
+            location,
+            expiration: entry.expiration,
+            lot: entry.lot,
+            received: entry.received,
+            source: entry.source,
+            medicationId,
+          },
+          change,
+        );
+
+        const reversalId = plan.log({
+          action: "REVERSAL",
+          name,
+          dose,
+          location,
+          // Signed stock change, so totals can be rebuilt from the log
+          quantity: change > 0 ? `+${change}` : String(change),
+          lot: entry.lot,
+          user: user.username,
+          sheetName,
+          expiration: entry.expiration,
+          received: entry.received,
+          source: entry.source,
+          reverses: entryId,
+        });
+        return { status: "ok", entryId: reversalId };
+      },
+      options,
+    );
+  } catch (err) {
+    if (!(err instanceof StockConflictError)) throw err;
+    console.error(err.message);
+    return {
+      status: "conflict",
+      message: "The lot changed while reversing; please try again",
+    };
+  }
+}
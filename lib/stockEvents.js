@@ -0,0 +1,10 @@
+import { refreshRestockList } from "./restock.js";
+import { checkStockAlerts } from "./alerts.js";
+
+// Everything that follows a stock change. The restock list is rewritten before
+// responding; alerts are checked in the background so sending email or calling
+// a webhook never holds up the volunteer.
+export async function afterStockChange() {
+  await refreshRestockList();
+  checkStockAlerts();
+}
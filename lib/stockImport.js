@@ -0,0 +1,188 @@
+import {
+  getLocationCatalogOrder,
+  getLocations,
+  getStockRows,
+} from "../storage/inventory.js";
+import { parseCsv } from "./csv.js";
+import { parseExpiration } from "./expiration.js";
+import { isSameLot, isSameStock } from "./lots.js";
+import { sheetsForInventory, targetSheetFor } from "./inventories.js";
+import { addStockItems, searchPastMedication } from "./stock.js";
+import { isSameDose } from "./dose.js";
+import { createCatalogResolver } from "./medications.js";
+import { createRecallCheck } from "./recalls.js";
+
+// Bulk CSV import of donated stock. The file needs a header row naming at least
+// name, dose, location and quantity; expiration, lot, source and received are
+// optional. Rows are checked against the Location and Medication Catalogs and
+// current stock first (preview), then added together, all or nothing, with the
+// same rules as /add-medication.
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Header spellings accepted for each field
+const COLUMNS = {
+  name: ["name", "medication", "medication name"],
+  dose: ["dose", "strength"],
+  location: ["location"],
+  quantity: ["quantity", "qty", "count"],
+  expiration: ["expiration", "expiration date", "expiry", "expires", "exp"],
+  lot: ["lot", "lot number", "lot #"],
+  source: ["source", "donor"],
+  received: ["received", "received date"],
+};
+const REQUIRED = ["name", "dose", "location", "quantity"];
+
+// YYYY-MM-DD, as the date inputs on the add forms send it
+function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Parse the CSV into { rows, error }: one entry per data row, with the
+// spreadsheet line number, the cleaned item and a list of problems
+export function parseImportCsv(text, locations) {
+  const [header, ...data] = parseCsv(text);
+  if (!header) return { rows: [], error: "The file is empty" };
+  const columnIndex = {};
+  header.forEach((title, i) => {
+    const key = title.trim().toLowerCase();
+    const field = Object.keys(COLUMNS).find((f) => COLUMNS[f].includes(key));
+    if (field && columnIndex[field] === undefined) columnIndex[field] = i;
+  });
+  const missing = REQUIRED.filter((field) => columnIndex[field] === undefined);
+  if (missing.length > 0) {
+    return {
+      rows: [],
+      error: `Missing column${missing.length === 1 ? "" : "s"}: ${missing.join(", ")}`,
+    };
+  }
+  if (data.length > MAX_IMPORT_ROWS) {
+    return {
+      rows: [],
+      error: `Import at most ${MAX_IMPORT_ROWS} rows at a time`,
+    };
+  }
+
+  const rows = data.map((cells, i) => {
+    const value = (field) =>
+      columnIndex[field] === undefined
+        ? ""
+        : (cells[columnIndex[field]] || "").trim();
+    const errors = [];
+    const item = {
+      name: value("name"),
+      dose: value("dose"),
+      location: value("location"),
+      quantity: Number(value("quantity")),
+      expiration: value("expiration"),
+      lot: value("lot"),
+      source: value("source"),
+      received: value("received"),
+    };
+    if (!item.name) errors.push("Name is missing");
+    if (!item.dose) errors.push("Dose is missing");
+    const catalogLocation = locations.find(
+      (loc) => loc.trim().toLowerCase() === item.location.toLowerCase(),
+    );
+    if (catalogLocation) {
+      item.location = catalogLocation;
+    } else {
+      errors.push(
+        item.location
+          ? `"${item.location}" is not in the Location Catalog`
+          : "Location is missing",
+      );
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      errors.push("Quantity must be a whole number above 0");
+    }
+    for (const field of ["expiration", "received"]) {
+      if (!item[field]) continue;
+      const date = parseExpiration(item[field]);
+      if (date) item[field] = isoDate(date);
+      else errors.push(`${field} "${item[field]}" is not a date`);
+    }
+    return { line: i + 2, item, errors };
+  });
+  return { rows, error: "" };
+}
+
+// Parse, then put each row's name in Medication Catalog terms (or flag it)
+// and flag recalled stock
+async function readImport(text) {
+  const parsed = parseImportCsv(text, await getLocationCatalogOrder());
+  const resolve = await createCatalogResolver();
+  const recalled = await createRecallCheck();
+  for (const row of parsed.rows) {
+    const { item, error } = resolve(row.item);
+    if (error) row.errors.push(error);
+    else row.item = item;
+    const recall = recalled(row.item);
+    if (recall) row.errors.push(recall);
+  }
+  return parsed;
+}
+
+// Parse and describe what each valid row would do to the inventory
+export async function previewImport(text, inventory) {
+  const { rows, error } = await readImport(text);
+  if (error) return { rows, error };
+
+  const stock = [];
+  for (const sheetName of sheetsForInventory(inventory)) {
+    stock.push(...(await getStockRows(sheetName)));
+  }
+  const past = await searchPastMedication("", inventory);
+  const locations = await getLocations();
+
+  // Earlier rows in the file count as stock for the rows after them
+  for (const row of rows) {
+    if (row.errors.length > 0) continue;
+    const { item } = row;
+    const stocked = stock.filter((lot) => isSameStock(lot, item));
+    const lot = stocked.find((existing) => isSameLot(existing, item));
+    if (lot) {
+      row.outcome = `Adds to lot ${lot.lot || "(no lot #)"} on ${lot.sheetName} (${lot.quantity} before)`;
+      lot.quantity = (parseInt(lot.quantity) || 0) + item.quantity;
+      continue;
+    }
+    let sheetName;
+    if (stocked.length > 0) {
+      sheetName = stocked[0].sheetName;
+      row.outcome = `New lot of ${stocked[0].name} ${stocked[0].dose} on ${sheetName}`;
+    } else {
+      sheetName = targetSheetFor(inventory, item.location, locations);
+      const wasOut = past.some(
+        (p) =>
+          p.name.toLowerCase() === item.name.toLowerCase() &&
+          isSameDose(p.dose, item.dose),
+      );
+      row.outcome = `${wasOut ? "Restocks (was in Past Medication)" : "New medication"} on ${sheetName}`;
+    }
+    stock.push({ ...item, sheetName });
+  }
+  return { rows, error: "" };
+}
+
+// Add every valid row (re-checked, not trusted from the preview) as one stock
+// plan through addStockItems, so each merges and logs an ADD like
+// /add-medication and nothing is added unless everything is. options are the
+// plan's witness options, for controlled rows; the plan's errors are thrown.
+// Returns { added, skipped, error }.
+export async function applyImport(text, inventory, user, options) {
+  const { rows, error } = await readImport(text);
+  if (error) return { added: 0, skipped: 0, error };
+  const valid = rows.filter((row) => row.errors.length === 0);
+  await addStockItems(
+    inventory,
+    valid.map((row) => row.item),
+    user,
+    options,
+  );
+  return {
+    added: valid.length,
+    skipped: rows.length - valid.length,
+    error: "",
+  };
+}
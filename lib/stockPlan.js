@@ -0,0 +1,707 @@
+import crypto from "node:crypto";
+import {
+  getStockRows,
+  getPastMedication,
+  matchPastMedication,
+  applyWrites,
+  setQuantityWrites,
+  appendStockRowsWrites,
+  deleteRowsWrites,
+  sortSheetByLocationWrites,
+  addToPastMedicationWrites,
+  logActivityWrites,
+  addDispensingRecordsWrites,
+  appendControlledLedgerWrites,
+  getMedicationCatalog,
+  addQuarantineWrites,
+} from "../storage/inventory.js";
+import { can } from "./auth.js";
+import {
+  isSameLot,
+  isSameMedication,
+  isSameStock,
+  planLotDecrement,
+} from "./lots.js";
+import { dispensingRecordsFor } from "./dispensing.js";
+import { ledgerEntriesFor } from "./controlled.js";
+
+// A stock plan collects every change one submission makes (quantities, new and
+// deleted lot rows, Past Medication, Quarantine, activity and dispensing
+// records) against the sheets as read under their locks, then writes them in
+// two batches: the stock changes, all or nothing, and only once those are
+// saved the log entries. Changes made through the plan see each other, so two
+// items from one form can't both plan against the same lot. Changes to
+// controlled medications go in the first batch as Controlled Ledger rows, so
+// the ledger and the stock can't disagree.
+
+export class StockConflictError extends Error {
+  constructor(message, current) {
+    super(message);
+    this.name = "StockConflictError";
+    this.current = current; // total now on the sheet, when known
+  }
+}
+
+// A batch that failed. stockSaved tells whether the stock changes went in
+// (and only the activity log is missing) or nothing was saved at all; then
+// unlogged holds the { activity, dispensing } rows that were lost. Those can
+// name patients, so they are shown only to users who may see patient history.
+export class StockWriteError extends Error {
+  constructor(message, { stockSaved, cause, unlogged = null }) {
+    super(message, { cause });
+    this.name = "StockWriteError";
+    this.stockSaved = stockSaved;
+    this.unlogged = unlogged;
+  }
+}
+
+// Controlled medications were changed by a plan that needs a witness and has none
+export class WitnessRequiredError extends Error {
+  constructor(names) {
+    super(
+      `${names.join(", ")} ${names.length === 1 ? "is a controlled medication" : "are controlled medications"}; a second person has to sign in as witness`,
+    );
+    this.name = "WitnessRequiredError";
+    this.names = names;
+  }
+}
+
+// Read-verify-write sequences on a sheet run one at a time in this process,
+// so two requests can't both plan against the same rows
+const sheetLocks = new Map();
+
+export function withSheetLock(sheetName, fn) {
+  const key = sheetName.trim().toLowerCase();
+  const run = (sheetLocks.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  sheetLocks.set(key, tail);
+  tail.then(() => {
+    if (sheetLocks.get(key) === tail) sheetLocks.delete(key);
+  });
+  return run;
+}
+
+// Hold several sheet locks at once, always taken in the same order so two
+// transfers in opposite directions can't wait on each other
+export function withSheetLocks(sheetNames, fn) {
+  const unique = [
+    ...new Map(sheetNames.map((s) => [s.trim().toLowerCase(), s])).entries(),
+  ]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, sheetName]) => sheetName);
+  return unique.reduceRight(
+    (inner, sheetName) => () => withSheetLock(sheetName, inner),
+    fn,
+  )();
+}
+
+function totalQuantity(lots) {
+  return lots.reduce((sum, lot) => sum + (parseInt(lot.quantity) || 0), 0);
+}
+
+// The stock an Activity Records entry moved, as [{ sheetName, location,
+// change }]. ADJUST and REVERSAL entries carry a signed quantity; a TRANSFER
+// takes stock out of one place and puts it in another.
+function stockChanges(entry) {
+  const quantity = parseInt(entry.quantity) || 0;
+  const at = (sheetName, location, change) => ({ sheetName, location, change });
+  switch (entry.action) {
+    case "ADD":
+    case "ADJUST":
+    case "REVERSAL":
+      return [at(entry.sheetName, entry.location, quantity)];
+    case "REMOVE":
+    case "QUARANTINE":
+      return [at(entry.sheetName, entry.location, -quantity)];
+    case "TRANSFER":
+      return [
+        at(entry.sheetName, entry.location, -quantity),
+        at(entry.toSheet, entry.toLocation, quantity),
+      ];
+    default:
+      return [];
+  }
+}
+
+// Lock the sheets, let fn fill a plan, then commit it. Returns fn's result;
+// throws StockConflictError, WitnessRequiredError or StockWriteError when the
+// commit fails. See createStockPlan for the options.
+export async function withStockPlan(sheetNames, fn, options) {
+  return withSheetLocks(sheetNames, async () => {
+    const plan = createStockPlan(options);
+    const result = await fn(plan);
+    await plan.commit();
+    return result;
+  });
+}
+
+// witness is the username that signed off on the changes, if anyone did;
+// with requireWitness, changing a controlled medication without one fails
+export function createStockPlan({ witness = "", requireWitness = false } = {}) {
+  const sheets = new Map(); // lowercase name -> { sheetName, rows, appended, deleted }
+  let pastMedication = null; // rows, loaded on first use
+  const pastRemoved = new Set();
+  let pastAdded = [];
+  const activity = [];
+  const dispensing = [];
+  const quarantined = [];
+
+  async function load(sheetName) {
+    const key = sheetName.trim().toLowerCase();
+    if (!sheets.has(key)) {
+      const rows = (await getStockRows(sheetName, { fresh: true })).map(
+        (row) => ({
+          ...row,
+          original: { ...row },
+        }),
+      );
+      sheets.set(key, { sheetName, rows, appended: [], deleted: new Set() });
+    }
+    return sheets.get(key);
+  }
+
+  // Lot rows as they stand with the plan's changes so far
+  function currentRows(sheet) {
+    return [
+      ...sheet.rows.filter((row) => !sheet.deleted.has(row.rowIndex)),
+      ...sheet.appended,
+    ];
+  }
+
+  function setRowQuantity(row, quantity) {
+    row.quantity = String(quantity);
+  }
+
+  function deleteRow(sheet, row) {
+    if (row.rowIndex) sheet.deleted.add(row.rowIndex);
+    else sheet.appended.splice(sheet.appended.indexOf(row), 1);
+  }
+
+  // One medication's lot rows on a sheet as the plan stands, and the lot
+  // matching identity among them (null when there is none)
+  async function findLot(sheetName, identity) {
+    const rows = currentRows(await load(sheetName)).filter((row) =>
+      isSameStock(row, identity),
+    );
+    return { rows, lot: rows.find((row) => isSameLot(row, identity)) || null };
+  }
+
+  // Change one lot by a signed amount. A lot that isn't on the sheet is
+  // started from identity; one brought to nothing is deleted, and the
+  // medication moves in or out of Past Medication with its first or last lot.
+  async function changeLot(sheetName, identity, change) {
+    const sheet = await load(sheetName);
+    const { rows, lot } = await findLot(sheetName, identity);
+    const quantity = (lot ? parseInt(lot.quantity) || 0 : 0) + change;
+    if (!lot) {
+      sheet.appended.push({
+        ...identity,
+        sheetName,
+        quantity: String(quantity),
+        ...(rows.length > 0 && {
+          name: rows[0].name,
+          dose: rows[0].dose,
+          medicationId: identity.medicationId || rows[0].medicationId || "",
+        }),
+      });
+      if (rows.length === 0) await removeFromPastMedication(identity);
+    } else if (quantity > 0) {
+      setRowQuantity(lot, quantity);
+    } else {
+      deleteRow(sheet, lot);
+      if (rows.length === 1) {
+        addToPastMedication({
+          name: lot.name,
+          dose: lot.dose,
+          location: lot.location,
+          inventory: sheetName,
+        });
+      }
+    }
+  }
+
+  function addToPastMedication(medication) {
+    pastAdded.push(medication);
+  }
+
+  // Also cancels a Past Medication row this plan was going to add
+  async function removeFromPastMedication(medication) {
+    if (!pastMedication) {
+      pastMedication = await getPastMedication({ fresh: true });
+    }
+    for (const row of matchPastMedication(pastMedication, medication)) {
+      pastRemoved.add(row.rowIndex);
+    }
+    const pending = matchPastMedication(pastAdded, medication);
+    pastAdded = pastAdded.filter((m) => !pending.includes(m));
+  }
+
+  // Queue an Activity Records entry; returns its Entry ID
+  function log(entry) {
+    const entryId = crypto.randomUUID();
+    activity.push({ ...entry, entryId });
+    return entryId;
+  }
+
+  // Every changed or deleted row must still hold what the plan was based on.
+  // Like the plan's own loads this reads past the cache, so edits and sorts
+  // made in the spreadsheet meanwhile are caught.
+  async function assertUnchanged() {
+    for (const sheet of sheets.values()) {
+      const touched = sheet.rows.filter(
+        (row) =>
+          sheet.deleted.has(row.rowIndex) ||
+          row.quantity !== row.original.quantity,
+      );
+      if (touched.length === 0) continue;
+      const current = await getStockRows(sheet.sheetName, { fresh: true });
+      for (const { original } of touched) {
+        const row = current.find((r) => r.rowIndex === original.rowIndex);
+        if (
+          !row ||
+          !isSameMedication(row, original) ||
+          !isSameLot(row, original) ||
+          row.quantity !== original.quantity
+        ) {
+          throw new StockConflictError(
+            `Row ${original.rowIndex} of ${sheet.sheetName} changed before it could be updated`,
+          );
+        }
+      }
+    }
+  }
+
+  // Ledger rows for the stock the plan's entries move: one run per sheet and
+  // medication, starting from its total as read
+  async function ledgerEntries() {
+    const runs = [];
+    for (const entry of activity) {
+      for (const { sheetName, location, change } of stockChanges(entry)) {
+        const sheet = sheets.get((sheetName || "").trim().toLowerCase());
+        if (!sheet) continue;
+        const at = { name: entry.name, dose: entry.dose, location };
+        let run = runs.find(
+          (r) => r.sheet === sheet && isSameMedication(r.medication, at),
+        );
+        if (!run) {
+          // The sheet's row (and its Medication ID) names the medication
+          const medication =
+            [...sheet.rows, ...sheet.appended].find((row) =>
+              isSameMedication(row, at),
+            ) || at;
+          run = {
+            sheet,
+            medication,
+            user: entry.user,
+            rows: sheet.rows
+              .filter((row) => isSameMedication(row, at))
+              .map((row) => row.original),
+            changes: [],
+          };
+          runs.push(run);
+        }
+        run.changes.push({
+          action: entry.action,
+          lot: entry.lot,
+          change,
+          entryId: entry.entryId,
+        });
+      }
+    }
+    if (runs.length === 0) return [];
+    const catalog = await getMedicationCatalog();
+    return runs.flatMap((run) =>
+      ledgerEntriesFor(catalog, {
+        sheetName: run.sheet.sheetName,
+        medication: run.medication,
+        rows: run.rows,
+        changes: run.changes,
+        user: run.user,
+        witness,
+      }),
+    );
+  }
+
+  function stockWrites() {
+    const writes = [];
+    for (const sheet of sheets.values()) {
+      // Quantities by row number first, then deletions, then new rows
+      for (const row of sheet.rows) {
+        if (sheet.deleted.has(row.rowIndex)) continue;
+        if (row.quantity !== row.original.quantity) {
+          writes.push(
+            ...setQuantityWrites(
+              sheet.sheetName,
+              row.rowIndex,
+              parseInt(row.quantity),
+            ),
+          );
+        }
+      }
+      writes.push(...deleteRowsWrites(sheet.sheetName, [...sheet.deleted]));
+      writes.push(
+        ...appendStockRowsWrites(
+          sheet.sheetName,
+          sheet.appended.map((row) => ({
+            ...row,
+            quantity: parseInt(row.quantity),
+          })),
+        ),
+      );
+      if (sheet.appended.length > 0) {
+        writes.push(...sortSheetByLocationWrites(sheet.sheetName));
+      }
+    }
+    writes.push(...deleteRowsWrites("Past Medication", [...pastRemoved]));
+    writes.push(...addToPastMedicationWrites(pastAdded));
+    writes.push(...addQuarantineWrites(quarantined));
+    return writes;
+  }
+
+  return {
+    // Add to the matching lot or start a new one (received today unless
+    // given). Returns { status: "ok", row } with the lot row as it will be
+    // written, or { status: "conflict", current } when the medication's total
+    // isn't expectedQuantity.
+    async addToLot(sheetName, item, { expectedQuantity } = {}) {
+      const sheet = await load(sheetName);
+      const sameMedication = currentRows(sheet).filter((row) =>
+        isSameStock(row, item),
+      );
+      const current = totalQuantity(sameMedication);
+      const expected = parseInt(expectedQuantity);
+      if (!Number.isNaN(expected) && current !== expected) {
+        return { status: "conflict", current };
+      }
+      const match = sameMedication.find((row) => isSameLot(row, item));
+      if (match) {
+        setRowQuantity(match, (parseInt(match.quantity) || 0) + item.quantity);
+        return { status: "ok", row: match };
+      }
+      // A new lot keeps the sheet's spelling ("500mg", not "0.5 g tab")
+      // and its catalog entry
+      const row = {
+        ...item,
+        sheetName,
+        quantity: String(item.quantity),
+        received: item.received || new Date().toISOString().split("T")[0],
+        ...(sameMedication.length > 0 && {
+          name: sameMedication[0].name,
+          dose: sameMedication[0].dose,
+          medicationId:
+            item.medicationId || sameMedication[0].medicationId || "",
+        }),
+      };
+      sheet.appended.push(row);
+      return { status: "ok", row };
+    },
+
+    // Take stock out as dispenseStock does, logging one REMOVE per lot with
+    // the removal reason (see lib/removals.js).
+    // Returns { status: "ok", entryIds, taken, remaining } or a status of
+    // "not-found" / "conflict" / "needs-pharmacist" with the current total.
+    async dispense(
+      {
+        sheetName,
+        name,
+        dose,
+        location,
+        quantity,
+        lotRow,
+        expectedQuantity,
+        reason = "dispensed",
+      },
+      user,
+    ) {
+      const sheet = await load(sheetName);
+      const lots = currentRows(sheet).filter((row) =>
+        isSameMedication(row, { name, dose, location }),
+      );
+      const current = totalQuantity(lots);
+      if (lots.length === 0) return { status: "not-found", current };
+
+      const expected = parseInt(expectedQuantity);
+      if (!Number.isNaN(expected) && expected !== current) {
+        return { status: "conflict", current };
+      }
+      // The chosen lot's row now holds something else (or is gone)
+      if (
+        lotRow &&
+        !lots.some((lot) => String(lot.rowIndex) === String(lotRow))
+      ) {
+        return { status: "conflict", current };
+      }
+
+      const steps = planLotDecrement(lots, quantity, lotRow);
+      if (steps.length === 0) return { status: "not-found", current };
+
+      // Emptying a lot deletes sheet rows, which needs the deleteStock role
+      if (steps.some((step) => step.newQty <= 0) && !can(user, "deleteStock")) {
+        return { status: "needs-pharmacist", current };
+      }
+
+      const remaining =
+        current - steps.reduce((sum, step) => sum + step.take, 0);
+      if (remaining <= 0) {
+        // Last lot is gone: drop every lot row and remember it in Past Medication
+        lots.forEach((lot) => deleteRow(sheet, lot));
+        addToPastMedication({
+          name,
+          dose: dose || "",
+          location: location || "",
+          inventory: sheetName,
+        });
+      } else {
+        for (const { lot, newQty } of steps) {
+          if (newQty > 0) setRowQuantity(lot, newQty);
+          else deleteRow(sheet, lot);
+        }
+      }
+
+      const entryIds = steps.map(({ lot, take }) =>
+        log({
+          action: "REMOVE",
+          name: lot.name,
+          dose: lot.dose,
+          location: location || "",
+          quantity: take,
+          lot: lot.lot,
+          user: user.username,
+          sheetName,
+          expiration: lot.expiration,
+          received: lot.received,
+          source: lot.source,
+          reason,
+        }),
+      );
+      return {
+        status: "ok",
+        entryIds,
+        taken: steps.map(({ lot, take }) => ({
+          lot: lot.lot,
+          expiration: lot.expiration,
+          quantity: take,
+        })),
+        remaining,
+      };
+    },
+
+    // Move stock as transferStock does, to a location already checked against
+    // the Location Catalog, logging one TRANSFER entry. The source rows it
+    // empties are deleted without going to Past Medication, since the stock
+    // wasn't used. Returns { status: "ok", moved, remaining } or a status of
+    // "not-found" / "conflict" / "insufficient" with the current total.
+    async transfer(
+      {
+        sheetName,
+        name,
+        dose,
+        location,
+        quantity,
+        lotRow,
+        expectedQuantity,
+        toSheet,
+        toLocation,
+      },
+      user,
+    ) {
+      const sheet = await load(sheetName);
+      const lots = currentRows(sheet).filter((row) =>
+        isSameMedication(row, { name, dose, location }),
+      );
+      const current = totalQuantity(lots);
+      if (lots.length === 0) return { status: "not-found", current };
+      const expected = parseInt(expectedQuantity);
+      if (!Number.isNaN(expected) && expected !== current) {
+        return { status: "conflict", current };
+      }
+      if (
+        lotRow &&
+        !lots.some((lot) => String(lot.rowIndex) === String(lotRow))
+      ) {
+        return { status: "conflict", current };
+      }
+
+      const steps = planLotDecrement(lots, quantity, lotRow);
+      const moving = steps.reduce((sum, step) => sum + step.take, 0);
+      if (moving < quantity) return { status: "insufficient", current, moving };
+
+      for (const { lot, newQty } of steps) {
+        if (newQty > 0) setRowQuantity(lot, newQty);
+        else deleteRow(sheet, lot);
+      }
+      const destination = await load(toSheet);
+      const destinationRows = currentRows(destination).filter((row) =>
+        isSameMedication(row, { name, dose, location: toLocation }),
+      );
+      if (destinationRows.length === 0) {
+        await removeFromPastMedication({ name, dose, location: toLocation });
+      }
+      for (const { lot, take } of steps) {
+        const match = destinationRows.find((row) => isSameLot(row, lot));
+        if (match) {
+          setRowQuantity(match, (parseInt(match.quantity) || 0) + take);
+        } else {
+          const { rowIndex, original, ...fields } = lot;
+          destination.appended.push({
+            ...fields,
+            sheetName: toSheet,
+            location: toLocation,
+            quantity: String(take),
+          });
+        }
+      }
+
+      const [first] = steps;
+      const singleLot = steps.length === 1;
+      log({
+        action: "TRANSFER",
+        name: first.lot.name,
+        dose: first.lot.dose,
+        location: location || "",
+        quantity: moving,
+        lot: steps
+          .map((step) => step.lot.lot)
+          .filter(Boolean)
+          .join(", "),
+        user: user.username,
+        sheetName,
+        expiration: singleLot ? first.lot.expiration : "",
+        received: singleLot ? first.lot.received : "",
+        source: singleLot ? first.lot.source : "",
+        toLocation,
+        toSheet,
+      });
+      return {
+        status: "ok",
+        moved: steps.map(({ lot, take }) => ({
+          lot: lot.lot,
+          expiration: lot.expiration,
+          quantity: take,
+        })),
+        remaining: current - moving,
+      };
+    },
+
+    findLot,
+
+    changeLot,
+
+    // Correct one lot by a signed amount after a physical count and log an
+    // ADJUST entry with the signed change. A lot is never taken below nothing.
+    // Returns { status: "ok", change, quantity } with the change actually
+    // made, or { status: "not-found" } when there is nothing left to take away.
+    async adjust(sheetName, identity, change, user) {
+      const { lot } = await findLot(sheetName, identity);
+      const current = lot ? parseInt(lot.quantity) || 0 : 0;
+      const quantity = Math.max(current + change, 0);
+      const applied = quantity - current;
+      if (applied === 0) {
+        return lot
+          ? { status: "ok", change: 0, quantity }
+          : { status: "not-found" };
+      }
+      await changeLot(sheetName, identity, applied);
+      log({
+        action: "ADJUST",
+        name: lot ? lot.name : identity.name,
+        dose: lot ? lot.dose : identity.dose,
+        location: identity.location,
+        quantity: applied > 0 ? `+${applied}` : String(applied),
+        lot: identity.lot || "",
+        user: user.username,
+        sheetName,
+        expiration: identity.expiration || "",
+        received: lot ? lot.received : "",
+        source: lot ? lot.source : "",
+      });
+      return { status: "ok", change: applied, quantity };
+    },
+
+    // Take whole lot rows (as read, by rowIndex) off a sheet into Quarantine
+    // under a recall, logging one QUARANTINE entry per lot. Returns the
+    // number of lots taken; rows the plan already changed are left alone.
+    async quarantine(sheetName, lotRows, recallId, user) {
+      const sheet = await load(sheetName);
+      let count = 0;
+      for (const { rowIndex } of lotRows) {
+        const row = sheet.rows.find(
+          (r) => r.rowIndex === rowIndex && !sheet.deleted.has(rowIndex),
+        );
+        if (!row || row.quantity !== row.original.quantity) continue;
+        deleteRow(sheet, row);
+        quarantined.push({
+          ...row,
+          quarantineId: crypto.randomUUID(),
+          recallId,
+          sheetName,
+        });
+        log({
+          action: "QUARANTINE",
+          name: row.name,
+          dose: row.dose,
+          location: row.location,
+          quantity: parseInt(row.quantity) || 0,
+          lot: row.lot,
+          user: user.username,
+          sheetName,
+          expiration: row.expiration,
+          received: row.received,
+          source: row.source,
+        });
+        count++;
+      }
+      return count;
+    },
+
+    addToPastMedication,
+    removeFromPastMedication,
+
+    log,
+
+    recordDispensing(entryIds, record) {
+      dispensing.push(...dispensingRecordsFor(entryIds, record));
+    },
+
+    async commit() {
+      await assertUnchanged();
+      const ledger = await ledgerEntries();
+      if (requireWitness && !witness && ledger.length > 0) {
+        throw new WitnessRequiredError([
+          ...new Set(ledger.map((entry) => `${entry.name} ${entry.dose}`)),
+        ]);
+      }
+      try {
+        await applyWrites([
+          ...stockWrites(),
+          ...appendControlledLedgerWrites(ledger),
+        ]);
+      } catch (error) {
+        throw new StockWriteError("The inventory could not be updated", {
+          stockSaved: false,
+          cause: error,
+        });
+      }
+      try {
+        await applyWrites([
+          ...logActivityWrites(activity),
+          ...addDispensingRecordsWrites(dispensing),
+        ]);
+      } catch (error) {
+        // Entry IDs only: dispensing records name patients
+        console.error(
+          `Stock was updated but ${activity.length} activity entries and ${dispensing.length} dispensing records were not logged:`,
+          activity.map((entry) => entry.entryId).join(", "),
+        );
+        throw new StockWriteError(
+          "The inventory was updated but the activity log could not be",
+          {
+            stockSaved: true,
+            cause: error,
+            unlogged: { activity, dispensing },
+          },
+        );
+      }
+    },
+  };
+}
@@ -0,0 +1,40 @@
+import { createEmailChannel } from "./email.js";
+import { createWebhookChannel } from "./webhook.js";
+
+// Notification channels, enabled by configuration:
+//   SMTP_URL + NOTIFY_EMAIL_TO   email each new stock alert
+//   NOTIFY_WEBHOOK_URL           POST each new stock alert as JSON
+//   SMTP_URL + NOTIFY_DIGEST_TO  one email a day listing that day's alerts
+// Returns { immediate: [channel], digest: channel | null }.
+export function createChannels(config = process.env) {
+  const from = config.NOTIFY_EMAIL_FROM || "noor-meds@localhost";
+  const needsSmtp = (setting) => {
+    if (!config.SMTP_URL) throw new Error(`${setting} requires SMTP_URL`);
+    return config.SMTP_URL;
+  };
+
+  const immediate = [];
+  if (config.NOTIFY_EMAIL_TO) {
+    immediate.push(
+      createEmailChannel({
+        smtpUrl: needsSmtp("NOTIFY_EMAIL_TO"),
+        from,
+        to: config.NOTIFY_EMAIL_TO,
+      }),
+    );
+  }
+  if (config.NOTIFY_WEBHOOK_URL) {
+    immediate.push(createWebhookChannel({ url: config.NOTIFY_WEBHOOK_URL }));
+  }
+
+  const digest = config.NOTIFY_DIGEST_TO
+    ? createEmailChannel({
+        name: "digest",
+        smtpUrl: needsSmtp("NOTIFY_DIGEST_TO"),
+        from,
+        to: config.NOTIFY_DIGEST_TO,
+      })
+    : null;
+
+  return { immediate, digest };
+}
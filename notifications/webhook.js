@@ -0,0 +1,17 @@
+// Webhook channel: POSTs each notification as JSON to a URL (Slack-style
+// incoming webhooks, Zapier, a script of your own...)
+export function createWebhookChannel({ url }) {
+  return {
+    name: "webhook",
+    async send({ subject, text, alerts }) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ subject, text, alerts }),
+      });
+      if (!res.ok) {
+        throw new Error(`Webhook responded ${res.status} ${res.statusText}`);
+      }
+    },
+  };
+}
@@ -0,0 +1,162 @@
+import express from "express";
+import {
+  getActivityRecords,
+  getMedicationCatalog,
+} from "../storage/inventory.js";
+import { reversalBlocker, reverseActivity } from "../lib/stock.js";
+import { authenticateWitness, isControlled } from "../lib/controlled.js";
+import { StockWriteError, WitnessRequiredError } from "../lib/stockPlan.js";
+import { afterStockChange } from "../lib/stockEvents.js";
+import { REMOVAL_REASONS, removalReason } from "../lib/removals.js";
+import {
+  renderLayout,
+  renderWitnessFields,
+  escapeHtml,
+} from "../views/layout.js";
+
+const router = express.Router();
+
+const PAGE_SIZE = 50;
+
+// HTTP status for each reverseActivity failure
+export const REVERSAL_STATUS = {
+  "not-found": 404,
+  "not-allowed": 403,
+  "needs-pharmacist": 403,
+  insufficient: 409,
+  recalled: 409,
+  conflict: 409,
+  unlogged: 500,
+  unsaved: 503,
+};
+
+// Recent Activity Records, newest first, with a Reverse button where allowed
+router.get("/activity", async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const records = await getActivityRecords();
+  const catalog = await getMedicationCatalog();
+  const pageRecords = records.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+  const byId = new Map(records.map((r) => [r.entryId, r]));
+  const reversedBy = new Map(
+    records.filter((r) => r.reverses).map((r) => [r.reverses, r]),
+  );
+
+  const rows = pageRecords
+    .map((record) => {
+      let status = "";
+      if (reversedBy.has(record.entryId)) {
+        const reversal = reversedBy.get(record.entryId);
+        status = `<span class="tag expired">Reversed</span> by ${escapeHtml(reversal.user)}`;
+      } else if (record.reverses) {
+        const original = byId.get(record.reverses);
+        status = `Reversal of ${escapeHtml(original ? `${original.action} at ${original.timestamp}` : "an older entry")}`;
+      } else if (!reversalBlocker(record, records, req.user)) {
+        status = `
+          <form action="/activity/reverse" method="POST" onsubmit="return confirm('Reverse this entry?');">
+            <input type="hidden" name="entryId" value="${escapeHtml(record.entryId)}" />
+            ${isControlled(catalog, [record]) ? renderWitnessFields({ open: false }) : ""}
+            <button type="submit">Reverse</button>
+          </form>`;
+      }
+      return `
+      <tr>
+        <td>${escapeHtml(record.timestamp)}</td>
+        <td>${escapeHtml(record.action)}${record.action === "REMOVE" ? ` (${REMOVAL_REASONS[removalReason(record)]})` : ""}</td>
+        <td>${escapeHtml(record.name)}</td>
+        <td>${escapeHtml(record.dose)}</td>
+        <td>${escapeHtml(record.location)}${record.toLocation ? ` → ${escapeHtml(record.toLocation)}` : ""}</td>
+        <td>${escapeHtml(record.quantity)}</td>
+        <td>${escapeHtml(record.lot || "—")}</td>
+        <td>${escapeHtml(record.sheetName || "—")}${record.toSheet && record.toSheet !== record.sheetName ? ` → ${escapeHtml(record.toSheet)}` : ""}</td>
+        <td>${escapeHtml(record.user || "—")}</td>
+        <td>${status}</td>
+      </tr>`;
+    })
+    .join("");
+
+  const pager = [
+    page > 1 ? `<a href="/activity?page=${page - 1}">Newer</a>` : "",
+    page * PAGE_SIZE < records.length
+      ? `<a href="/activity?page=${page + 1}">Older</a>`
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  res.send(
+    renderLayout({
+      title: "Recent Activity",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${req.query.reversed ? `<div class="notice">Entry reversed.</div>` : ""}
+    ${
+      pageRecords.length > 0
+        ? `<table class="top-table">
+      <tr><th>When</th><th>Action</th><th>Name</th><th>Dose</th><th>Location</th><th>Quantity</th><th>Lot</th><th>Sheet</th><th>User</th><th></th></tr>
+      ${rows}
+    </table>`
+        : `<div class="no-results"><p>No activity recorded yet.</p></div>`
+    }
+    <p>${pager}</p>
+  </div>
+`,
+    }),
+  );
+});
+
+// Why a reversal's stock plan didn't commit, as a failed result
+function reversalFailure(error) {
+  if (error instanceof WitnessRequiredError) {
+    return { status: "not-allowed", message: error.message };
+  }
+  if (error instanceof StockWriteError) {
+    return error.stockSaved
+      ? {
+          status: "unlogged",
+          message:
+            "The entry was reversed but the activity log could not be updated; please let an admin know.",
+        }
+      : {
+          status: "unsaved",
+          message: "The spreadsheet couldn't be updated; nothing was reversed.",
+        };
+  }
+  throw error;
+}
+
+router.post("/activity/reverse", async (req, res) => {
+  const witnessed = await authenticateWitness(req.body.witness, req.user);
+  let result;
+  if (witnessed.error) {
+    result = { status: "not-allowed", message: witnessed.error };
+  } else {
+    try {
+      result = await reverseActivity(req.body.entryId || "", req.user, {
+        witness: witnessed.witness,
+        requireWitness: true,
+      });
+    } catch (error) {
+      result = reversalFailure(error);
+    }
+  }
+  if (result.status === "ok") {
+    await afterStockChange();
+    return res.redirect("/activity?reversed=1");
+  }
+  if (result.status === "unlogged") await afterStockChange();
+  res.status(REVERSAL_STATUS[result.status] || 400).send(
+    renderLayout({
+      title: "Can't Reverse",
+      user: req.user,
+      content: `
+  <div class="container">
+    <div class="notice">${escapeHtml(result.message)}</div>
+    <a href="/activity">Back to recent activity</a>
+  </div>
+`,
+    }),
+  );
+});
+
+export default router;
@@ -0,0 +1,472 @@
+import express from "express";
+import {
+  getLocationCatalogOrder,
+  getActivityRecords,
+  getStockRows,
+  getUsers,
+  getMedicationCatalog,
+} from "../storage/inventory.js";
+import { can, verifyPassword } from "../lib/auth.js";
+import { isSameMedication, isSameStock } from "../lib/lots.js";
+import {
+  resolveInventory,
+  canUseSheet,
+  searchStock,
+  searchPastMedication,
+  addStock,
+  dispenseStock,
+  transferStock,
+  reverseActivity,
+  StockConflictError,
+} from "../lib/stock.js";
+import { StockWriteError, WitnessRequiredError } from "../lib/stockPlan.js";
+import { authenticateWitness } from "../lib/controlled.js";
+import { REVERSAL_STATUS } from "./activity.js";
+import { TRANSFER_STATUS } from "./transfer.js";
+import { computeRestockList } from "../lib/restock.js";
+import { afterStockChange } from "../lib/stockEvents.js";
+import { lookupNdc, ndcFits, rememberNdc } from "../lib/ndc.js";
+import {
+  computeDisposalLog,
+  computeUsageReport,
+  reportDays,
+} from "../lib/analytics.js";
+import { parseDispensingRecord, getPatientHistory } from "../lib/dispensing.js";
+import { REMOVAL_REASONS, parseRemovalReason } from "../lib/removals.js";
+import { catalogEntryFor, createCatalogResolver } from "../lib/medications.js";
+import { createRecallCheck } from "../lib/recalls.js";
+
+// JSON API (mounted at /api/v1) for the mobile app and scripts. Every response
+// is JSON; errors are { error: "message" } with a matching status code.
+// Stock changes to a controlled medication need a second person: send
+// witness: { username, password } in the body, or get a 403.
+const router = express.Router();
+
+const ACTIVITY_PAGE_SIZE = 50;
+const ACTIVITY_MAX_PAGE_SIZE = 500;
+
+function sendError(res, status, message) {
+  res.status(status).json({ error: message });
+}
+
+// Stock plan options for the body's witness, or null once a 403 is sent
+async function witnessOptions(req, res) {
+  const { witness, error } = await authenticateWitness(
+    (req.body || {}).witness,
+    req.user,
+  );
+  if (error) {
+    sendError(res, 403, error);
+    return null;
+  }
+  return { witness, requireWitness: true };
+}
+
+// Respond to a stock plan that failed to commit; anything else is rethrown
+function sendStockError(res, err) {
+  if (err instanceof WitnessRequiredError) {
+    return sendError(res, 403, err.message);
+  }
+  if (err instanceof StockConflictError) {
+    return sendError(res, 409, "Inventory changed, please retry");
+  }
+  if (err instanceof StockWriteError) {
+    return sendError(res, err.stockSaved ? 500 : 503, err.message);
+  }
+  throw err;
+}
+
+// Scripts can send HTTP Basic credentials instead of a session cookie
+async function attachBasicAuthUser(req, res, next) {
+  const match = (req.headers.authorization || "").match(/^Basic\s+(\S+)$/i);
+  if (req.user || !match) return next();
+  const [username, ...rest] = Buffer.from(match[1], "base64")
+    .toString("utf8")
+    .split(":");
+  const user = (await getUsers()).find(
+    (u) => u.username.toLowerCase() === username.trim().toLowerCase(),
+  );
+  if (
+    user &&
+    user.active &&
+    verifyPassword(rest.join(":"), user.passwordHash)
+  ) {
+    req.user = { username: user.username, role: user.role };
+  }
+  next();
+}
+
+function requireApiUser(req, res, next) {
+  if (req.user) return next();
+  res.set("WWW-Authenticate", 'Basic realm="noor-meds"');
+  sendError(res, 401, "Login required");
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (can(req.user, permission)) return next();
+    sendError(res, 403, `Your role can't ${permission}`);
+  };
+}
+
+// Quantities come back from the sheet as strings; the API returns numbers
+function lotJson(lot) {
+  return {
+    sheetName: lot.sheetName,
+    rowIndex: lot.rowIndex,
+    name: lot.name,
+    dose: lot.dose,
+    location: lot.location,
+    quantity: parseInt(lot.quantity) || 0,
+    expiration: lot.expiration,
+    lot: lot.lot,
+    received: lot.received,
+    source: lot.source,
+    medicationId: lot.medicationId,
+  };
+}
+
+function itemJson(item) {
+  return { ...item, lots: item.lots.map(lotJson) };
+}
+
+function parsePositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+router.use(attachBasicAuthUser);
+router.use(requireApiUser);
+
+// Stock across an inventory's sheets, one item per medication + location.
+// ?category= keeps medications in that Medication Catalog category.
+router.get("/stock", async (req, res) => {
+  const inventory = await resolveInventory(req.user, req.query.inventory);
+  if (!inventory) return sendError(res, 403, "No access to that inventory");
+  let items = await searchStock(req.query.name || "", inventory);
+  if (req.query.category) {
+    const catalog = await getMedicationCatalog();
+    items = items.filter((item) =>
+      item.lots.some(
+        (lot) => catalogEntryFor(catalog, lot)?.category === req.query.category,
+      ),
+    );
+  }
+  res.json({ inventory, items: items.map(itemJson) });
+});
+
+// One lot row
+router.get("/stock/:sheetName/:rowIndex", async (req, res) => {
+  const { sheetName } = req.params;
+  if (!(await canUseSheet(req.user, sheetName))) {
+    return sendError(res, 404, `Unknown sheet "${sheetName}"`);
+  }
+  const rowIndex = parsePositiveInt(req.params.rowIndex);
+  const lot = (await getStockRows(sheetName)).find(
+    (row) => row.rowIndex === rowIndex,
+  );
+  if (!lot) return sendError(res, 404, "No stock on that row");
+  res.json(lotJson(lot));
+});
+
+// Add a lot (or top up a matching one). The name must be in the Medication
+// Catalog once it has entries (400 otherwise). An ndc code is remembered for
+// the medication; a code that already belongs to another one is a 409.
+router.post("/stock", requirePermission("addStock"), async (req, res) => {
+  const body = req.body || {};
+  const quantity = parsePositiveInt(body.quantity);
+  if (!body.name || !body.dose || !body.location || !quantity) {
+    return sendError(
+      res,
+      400,
+      "name, dose, location and a positive whole quantity are required",
+    );
+  }
+  const inventory = await resolveInventory(req.user, body.inventory);
+  if (!inventory) return sendError(res, 403, "No access to that inventory");
+  const { item, error } = (await createCatalogResolver())({
+    name: String(body.name).trim(),
+    dose: String(body.dose).trim(),
+    location: String(body.location).trim(),
+    quantity,
+    expiration: body.expiration || "",
+    lot: body.lot || "",
+    received: body.received || "",
+    source: body.source || "",
+  });
+  if (error) return sendError(res, 400, error);
+  const recalled = (await createRecallCheck())(item);
+  if (recalled) return sendError(res, 409, recalled);
+  const options = await witnessOptions(req, res);
+  if (!options) return;
+  if (
+    body.ndc &&
+    !(await ndcFits({ code: body.ndc, name: item.name, dose: item.dose }))
+  ) {
+    return sendError(res, 409, `NDC ${body.ndc} belongs to another medication`);
+  }
+  let sheetName;
+  try {
+    sheetName = await addStock(inventory, item, req.user, options);
+  } catch (err) {
+    return sendStockError(res, err);
+  }
+  if (body.ndc) {
+    await rememberNdc({ code: body.ndc, name: item.name, dose: item.dose });
+  }
+  await afterStockChange();
+
+  const stocked = (await searchStock(item.name, inventory)).find(
+    (group) =>
+      group.sheetName === sheetName &&
+      group.lots.some((lot) => isSameStock(lot, item)),
+  );
+  res.status(201).json(itemJson(stocked));
+});
+
+// Dispense from one medication on a sheet: a given lot, or oldest lot first.
+// Send expectedQuantity (the total the caller last saw) to get a 409 instead of
+// dispensing against stock that changed in the meantime.
+// reason is required: dispensed, expired, damaged, recalled or donated. An
+// optional dispensing object ({ patientId, prescriber, visitDate, notes })
+// records who received a dispensed removal, outside the activity log.
+router.post(
+  "/stock/dispense",
+  requirePermission("dispense"),
+  async (req, res) => {
+    const body = req.body || {};
+    const quantity = parsePositiveInt(body.quantity);
+    if (!body.sheetName || !body.name || !quantity) {
+      return sendError(
+        res,
+        400,
+        "sheetName, name and a positive whole quantity are required",
+      );
+    }
+    if (!(await canUseSheet(req.user, body.sheetName))) {
+      return sendError(res, 404, `Unknown sheet "${body.sheetName}"`);
+    }
+    const reason = parseRemovalReason(body.reason);
+    if (!reason) {
+      return sendError(
+        res,
+        400,
+        `reason must be one of ${Object.keys(REMOVAL_REASONS).join(", ")}`,
+      );
+    }
+    const { record, error } = parseDispensingRecord(body.dispensing);
+    if (error) return sendError(res, 400, error);
+    if (record && reason !== "dispensed") {
+      return sendError(
+        res,
+        400,
+        "A dispensing record only goes with a dispensed removal",
+      );
+    }
+
+    const request = {
+      sheetName: body.sheetName,
+      name: body.name,
+      dose: body.dose || "",
+      location: body.location || "",
+      quantity,
+      lotRow: body.lotRow || "",
+      expectedQuantity: body.expectedQuantity,
+      reason,
+      dispensing: record,
+    };
+    const lots = (await getStockRows(request.sheetName)).filter(
+      (row) =>
+        isSameMedication(row, request) &&
+        (!request.lotRow || String(row.rowIndex) === String(request.lotRow)),
+    );
+    if (lots.length === 0) return sendError(res, 404, "No matching stock");
+    const available = lots.reduce(
+      (sum, lot) => sum + (parseInt(lot.quantity) || 0),
+      0,
+    );
+    if (quantity > available) {
+      return sendError(res, 409, `Only ${available} in stock`);
+    }
+    const options = await witnessOptions(req, res);
+    if (!options) return;
+
+    let result;
+    try {
+      result = await dispenseStock(request, req.user, options);
+    } catch (err) {
+      return sendStockError(res, err);
+    }
+    if (result.status === "not-found") {
+      return sendError(res, 404, "No matching stock");
+    }
+    if (result.status === "conflict") {
+      return res.status(409).json({
+        error: "Inventory changed, please review",
+        current: result.current,
+      });
+    }
+    if (result.status === "needs-pharmacist") {
+      return sendError(
+        res,
+        403,
+        "This would use up a lot; a pharmacist or admin must record it",
+      );
+    }
+    await afterStockChange();
+    res.json({ taken: result.taken, remaining: result.remaining });
+  },
+);
+
+// Move stock to another Location Catalog entry. Shared stock goes to the sheet
+// that holds the location; toSheet moves it into a stash (or back to
+// "shared"). Takes expectedQuantity like dispense.
+router.post(
+  "/stock/transfer",
+  requirePermission("transferStock"),
+  async (req, res) => {
+    const body = req.body || {};
+    const quantity = parsePositiveInt(body.quantity);
+    if (!body.sheetName || !body.name || !body.toLocation || !quantity) {
+      return sendError(
+        res,
+        400,
+        "sheetName, name, toLocation and a positive whole quantity are required",
+      );
+    }
+    const options = await witnessOptions(req, res);
+    if (!options) return;
+    let result;
+    try {
+      result = await transferStock(
+        {
+          sheetName: body.sheetName,
+          name: body.name,
+          dose: body.dose || "",
+          location: body.location || "",
+          quantity,
+          lotRow: body.lotRow || "",
+          expectedQuantity: body.expectedQuantity,
+          toSheet: body.toSheet || "",
+          toLocation: body.toLocation,
+        },
+        req.user,
+        options,
+      );
+    } catch (err) {
+      return sendStockError(res, err);
+    }
+    if (result.status !== "ok") {
+      return res.status(TRANSFER_STATUS[result.status] || 400).json({
+        error: result.message,
+        ...(result.current !== undefined && { current: result.current }),
+      });
+    }
+    await afterStockChange();
+    res.json({
+      moved: result.moved,
+      remaining: result.remaining,
+      toSheet: result.toSheet,
+    });
+  },
+);
+
+router.get("/past-medication", async (req, res) => {
+  const inventory = await resolveInventory(req.user, req.query.inventory);
+  if (!inventory) return sendError(res, 403, "No access to that inventory");
+  const items = await searchPastMedication(req.query.name || "", inventory);
+  res.json({
+    inventory,
+    items: items.map(({ quantity, ...row }) => row),
+  });
+});
+
+// Dispensing records for one patient, newest visit first
+router.get(
+  "/patients/:patientId/dispensing",
+  requirePermission("viewPatientHistory"),
+  async (req, res) => {
+    res.json({ records: await getPatientHistory(req.params.patientId) });
+  },
+);
+
+// Activity Records, newest first: ?limit=50&offset=0
+router.get("/activity", async (req, res) => {
+  const limit = Math.min(
+    parsePositiveInt(req.query.limit) || ACTIVITY_PAGE_SIZE,
+    ACTIVITY_MAX_PAGE_SIZE,
+  );
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const records = await getActivityRecords();
+  res.json({
+    total: records.length,
+    offset,
+    limit,
+    records: records.slice(offset, offset + limit),
+  });
+});
+
+// Undo one entry; the response carries the new REVERSAL entry's id
+router.post("/activity/:entryId/reverse", async (req, res) => {
+  const options = await witnessOptions(req, res);
+  if (!options) return;
+  let result;
+  try {
+    result = await reverseActivity(req.params.entryId, req.user, options);
+  } catch (err) {
+    return sendStockError(res, err);
+  }
+  if (result.status !== "ok") {
+    return sendError(
+      res,
+      REVERSAL_STATUS[result.status] || 400,
+      result.message,
+    );
+  }
+  await afterStockChange();
+  res.status(201).json({ entryId: result.entryId });
+});
+
+// What the shared stock needs ordered, out-of-stock first
+router.get("/restock", async (req, res) => {
+  res.json({ items: await computeRestockList() });
+});
+
+// Usage report for the shared stock: ?days=7|30|90|180|365 (default 30)
+router.get("/reports", async (req, res) => {
+  res.json(await computeUsageReport({ days: reportDays(req.query.days) }));
+});
+
+// Expired and damaged removals from the shared stock over the same periods
+router.get("/reports/disposals", async (req, res) => {
+  res.json(await computeDisposalLog({ days: reportDays(req.query.days) }));
+});
+
+// Name + dose for a scanned NDC / UPC
+router.get("/ndc/:code", async (req, res) => {
+  const match = await lookupNdc(req.params.code);
+  if (!match) return sendError(res, 404, "Unknown code");
+  res.json(match);
+});
+
+router.get("/locations", async (req, res) => {
+  res.json({ locations: await getLocationCatalogOrder() });
+});
+
+// Active Medication Catalog entries
+router.get("/medications", async (req, res) => {
+  const medications = (await getMedicationCatalog())
+    .filter((entry) => entry.status === "active")
+    .map(({ rowIndex, proposedBy, ...entry }) => entry);
+  res.json({ medications });
+});
+
+router.use((req, res) => sendError(res, 404, "Not found"));
+
+// Anything thrown by a handler above still comes back as JSON
+router.use((err, req, res, next) => {
+  console.error("API error:", err);
+  sendError(res, 500, "Something went wrong");
+});
+
+export default router;
@@ -0,0 +1,142 @@
+import express from "express";
+import { getControlledLedger } from "../storage/inventory.js";
+import { can } from "../lib/auth.js";
+import { openLedger, reconcileLedger } from "../lib/controlled.js";
+import { renderLayout, escapeHtml } from "../views/layout.js";
+
+const router = express.Router();
+
+const LEDGER_LIMIT = 100;
+
+const STATUS_TAGS = {
+  ok: "Matches",
+  mismatch: '<span class="tag expired">Mismatch</span>',
+  unopened: '<span class="tag expiring">No ledger yet</span>',
+};
+
+function formatTime(iso) {
+  return iso
+    ? new Date(iso).toLocaleString("en-US", {
+        timeZone: "America/Los_Angeles",
+      })
+    : "—";
+}
+
+function signed(change) {
+  return change > 0 ? `+${change}` : String(change);
+}
+
+async function renderControlledPage(req, res, { status = 200, notice = "" }) {
+  const groups = await reconcileLedger();
+  const ledger = (await getControlledLedger()).reverse().slice(0, LEDGER_LIMIT);
+  const mismatches = groups.filter((g) => g.status === "mismatch").length;
+
+  res.status(status).send(
+    renderLayout({
+      title: "Controlled Ledger",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ""}
+    <p>Each controlled medication's ledger balance against what its sheet holds
+    now. A mismatch means the stock changed without a ledger entry (or an
+    entry doesn't pick up where the one before it left off); count the
+    medication to correct it.
+    ${groups.length > 0 ? `<strong>${mismatches} of ${groups.length} ${mismatches === 1 ? "doesn't" : "don't"} match.</strong>` : ""}</p>
+    ${
+      groups.length > 0
+        ? `<table class="top-table">
+      <tr><th>Name</th><th>Dose</th><th>Location</th><th>Sheet</th><th>On Sheet</th><th>Ledger Balance</th><th>Breaks</th><th>Last Entry</th><th>Status</th></tr>
+      ${groups
+        .map(
+          (g) => `
+      <tr>
+        <td>${escapeHtml(g.name)}</td>
+        <td>${escapeHtml(g.dose)}</td>
+        <td>${escapeHtml(g.location)}</td>
+        <td>${escapeHtml(g.sheetName)}</td>
+        <td>${g.onHand}</td>
+        <td>${g.balance ?? "—"}</td>
+        <td>${g.breaks}</td>
+        <td>${escapeHtml(formatTime(g.lastEntry))}</td>
+        <td>${STATUS_TAGS[g.status]}${
+          g.status === "unopened"
+            ? `
+          <form action="/controlled/open" method="POST">
+            ${["sheetName", "name", "dose", "location"]
+              .map(
+                (field) =>
+                  `<input type="hidden" name="${field}" value="${escapeHtml(g[field])}" />`,
+              )
+              .join("")}
+            <button type="submit">Open at ${g.onHand}</button>
+          </form>`
+            : ""
+        }</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`
+        : `<div class="no-results"><p>No medication in the catalog is marked controlled.</p></div>`
+    }
+
+    <div class="subsection-title">Recent Ledger Entries</div>
+    ${
+      ledger.length > 0
+        ? `<table class="top-table">
+      <tr><th>Time</th><th>Action</th><th>Name</th><th>Dose</th><th>Location</th><th>Sheet</th><th>Lot</th><th>Change</th><th>Before</th><th>After</th><th>User</th><th>Witness</th></tr>
+      ${ledger
+        .map(
+          (entry) => `
+      <tr>
+        <td>${escapeHtml(formatTime(entry.timestamp))}</td>
+        <td>${escapeHtml(entry.action)}</td>
+        <td>${escapeHtml(entry.name)}</td>
+        <td>${escapeHtml(entry.dose)}</td>
+        <td>${escapeHtml(entry.location)}</td>
+        <td>${escapeHtml(entry.sheetName)}</td>
+        <td>${escapeHtml(entry.lot || "—")}</td>
+        <td>${signed(entry.change)}</td>
+        <td>${entry.balanceBefore}</td>
+        <td>${entry.balanceAfter}</td>
+        <td>${escapeHtml(entry.user)}</td>
+        <td>${escapeHtml(entry.witness || "—")}</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`
+        : `<div class="no-results"><p>The ledger is empty.</p></div>`
+    }
+  </div>
+`,
+    }),
+  );
+}
+
+router.use("/controlled", (req, res, next) => {
+  if (can(req.user, "viewControlledLedger")) return next();
+  res.status(403).send("Only pharmacists can view the Controlled Ledger");
+});
+
+router.get("/controlled", async (req, res) => {
+  await renderControlledPage(req, res, {});
+});
+
+// Start the ledger for controlled stock at what the sheet holds now
+router.post("/controlled/open", async (req, res) => {
+  const { sheetName, name, dose, location } = req.body;
+  const { error } = await openLedger(
+    {
+      sheetName: sheetName || "",
+      name: name || "",
+      dose: dose || "",
+      location: location || "",
+    },
+    req.user,
+  );
+  if (error)
+    return renderControlledPage(req, res, { status: 409, notice: error });
+  res.redirect("/controlled");
+});
+
+export default router;
@@ -0,0 +1,323 @@
+import express from "express";
+import {
+  getCountLines,
+  getCountSessions,
+  getMedicationCatalog,
+} from "../storage/inventory.js";
+import { can } from "../lib/auth.js";
+import { authenticateWitness, isControlled } from "../lib/controlled.js";
+import {
+  OPEN_STATUSES,
+  lotsAtLocation,
+  findCountSession,
+  getCountOverview,
+  startCount,
+  submitCount,
+  approveCount,
+  discardCount,
+} from "../lib/counts.js";
+import { WitnessRequiredError } from "../lib/stockPlan.js";
+import { afterStockChange } from "../lib/stockEvents.js";
+import {
+  renderLayout,
+  renderWitnessFields,
+  escapeHtml,
+} from "../views/layout.js";
+
+const router = express.Router();
+
+const HISTORY_LIMIT = 25;
+
+function renderCountError(req, res, status, message, backLink = "/counts") {
+  res.status(status).send(
+    renderLayout({
+      title: "Physical Count",
+      user: req.user,
+      content: `
+  <div class="container">
+    <div class="notice">${escapeHtml(message)}</div>
+    <a href="${escapeHtml(backLink)}">Back to counts</a>
+  </div>
+`,
+    }),
+  );
+}
+
+function formatTime(iso) {
+  return iso
+    ? new Date(iso).toLocaleString("en-US", {
+        timeZone: "America/Los_Angeles",
+      })
+    : "—";
+}
+
+function varianceTag(variance) {
+  if (variance === 0) return "0";
+  const text = variance > 0 ? `+${variance}` : String(variance);
+  return `<span class="tag ${variance < 0 ? "expired" : "expiring"}">${text}</span>`;
+}
+
+// Locations with when they were last verified, plus recent sessions
+router.get("/counts", async (req, res) => {
+  const overview = await getCountOverview();
+  const history = (await getCountSessions())
+    .sort((a, b) => b.started.localeCompare(a.started))
+    .slice(0, HISTORY_LIMIT);
+
+  res.send(
+    renderLayout({
+      title: "Physical Counts",
+      user: req.user,
+      content: `
+  <div class="container">
+    <p>Count everything at a location, then a pharmacist reviews the differences
+    and applies them to the inventory as ADJUST entries.</p>
+    ${
+      overview.length > 0
+        ? `<table class="top-table">
+      <tr><th>Location</th><th>Last Verified</th><th></th></tr>
+      ${overview
+        .map(
+          ({ location, lastVerified, open }) => `
+      <tr>
+        <td>${escapeHtml(location)}</td>
+        <td>${lastVerified ? escapeHtml(formatTime(lastVerified)) : "Never"}</td>
+        <td>${
+          open
+            ? `<a href="/counts/${encodeURIComponent(open.sessionId)}">${open.status === "counting" ? "Continue count" : "Review count"}</a>`
+            : can(req.user, "countStock")
+              ? `<form action="/counts/start" method="POST">
+            <input type="hidden" name="location" value="${escapeHtml(location)}" />
+            <button type="submit">Start count</button>
+          </form>`
+              : ""
+        }</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`
+        : `<div class="no-results"><p>The Location Catalog is empty.</p></div>`
+    }
+
+    <div class="subsection-title">Count History</div>
+    ${
+      history.length > 0
+        ? `<table class="top-table">
+      <tr><th>Location</th><th>Status</th><th>Started</th><th>Counted By</th><th>Approved</th><th>Approved By</th></tr>
+      ${history
+        .map(
+          (s) => `
+      <tr>
+        <td><a href="/counts/${encodeURIComponent(s.sessionId)}">${escapeHtml(s.location)}</a></td>
+        <td>${escapeHtml(s.status)}</td>
+        <td>${escapeHtml(formatTime(s.started))}</td>
+        <td>${escapeHtml(s.startedBy)}</td>
+        <td>${s.approved ? escapeHtml(formatTime(s.approved)) : "—"}</td>
+        <td>${escapeHtml(s.approvedBy || "—")}</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`
+        : `<div class="no-results"><p>No counts yet.</p></div>`
+    }
+  </div>
+`,
+    }),
+  );
+});
+
+router.post("/counts/start", async (req, res) => {
+  if (!can(req.user, "countStock")) {
+    return res.status(403).send("Your role can't count stock");
+  }
+  const session = await startCount(req.body.location || "", req.user);
+  if (!session) {
+    return renderCountError(
+      req,
+      res,
+      400,
+      "Choose a location from the Location Catalog",
+    );
+  }
+  res.redirect(`/counts/${encodeURIComponent(session.sessionId)}`);
+});
+
+// Count sheet while counting (no expected quantities shown), the variance
+// review once submitted, and the result afterwards
+router.get("/counts/:sessionId", async (req, res) => {
+  const session = await findCountSession(req.params.sessionId);
+  if (!session) return renderCountError(req, res, 404, "Count not found");
+
+  let content;
+  if (session.status === "counting") {
+    const lots = await lotsAtLocation(session.location);
+    content = `
+    <p>Count every lot at ${escapeHtml(session.location)} and enter what you find,
+    0 if it's gone. Stock not listed here belongs on the Add form.</p>
+    <form action="/counts/${encodeURIComponent(session.sessionId)}/submit" method="POST">
+      ${
+        lots.length > 0
+          ? `<table class="top-table">
+        <tr><th>Name</th><th>Dose</th><th>Lot</th><th>Expiration</th><th>Sheet</th><th>Counted</th></tr>
+        ${lots
+          .map(
+            (lot, i) => `
+        <tr>
+          <td>${escapeHtml(lot.name)}</td>
+          <td>${escapeHtml(lot.dose)}</td>
+          <td>${escapeHtml(lot.lot || "—")}</td>
+          <td>${escapeHtml(lot.expiration || "—")}</td>
+          <td>${escapeHtml(lot.sheetName)}</td>
+          <td>
+            ${["sheetName", "name", "dose", "lot", "expiration"]
+              .map(
+                (field) =>
+                  `<input type="hidden" name="counts[${i}][${field}]" value="${escapeHtml(lot[field] || "")}" />`,
+              )
+              .join("")}
+            <input type="number" name="counts[${i}][counted]" min="0" required style="width: 80px;" />
+          </td>
+        </tr>`,
+          )
+          .join("")}
+      </table>`
+          : `<div class="no-results"><p>The inventory lists nothing at this location.</p></div>`
+      }
+      <button type="submit">Submit count</button>
+    </form>`;
+  } else {
+    const lines = await getCountLines(session.sessionId);
+    const differences = lines.filter((line) => line.counted !== line.expected);
+    content = `
+    <p>Counted by ${escapeHtml(session.startedBy)}, submitted ${escapeHtml(formatTime(session.submitted))}.
+    ${
+      session.status === "applied"
+        ? `Approved by ${escapeHtml(session.approvedBy)} ${escapeHtml(formatTime(session.approved))}.`
+        : session.status === "discarded"
+          ? "Discarded without changing the inventory."
+          : `${differences.length} of ${lines.length} lot${lines.length === 1 ? "" : "s"} differ from the inventory.`
+    }</p>
+    ${
+      lines.length > 0
+        ? `<table class="top-table">
+      <tr><th>Name</th><th>Dose</th><th>Lot</th><th>Expiration</th><th>Sheet</th><th>Expected</th><th>Counted</th><th>Variance</th></tr>
+      ${lines
+        .map(
+          (line) => `
+      <tr>
+        <td>${escapeHtml(line.name)}</td>
+        <td>${escapeHtml(line.dose)}</td>
+        <td>${escapeHtml(line.lot || "—")}</td>
+        <td>${escapeHtml(line.expiration || "—")}</td>
+        <td>${escapeHtml(line.sheetName)}</td>
+        <td>${line.expected}</td>
+        <td>${line.counted}</td>
+        <td>${varianceTag(line.counted - line.expected)}</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`
+        : ""
+    }
+    ${
+      session.status === "submitted" && can(req.user, "approveCounts")
+        ? `<form action="/counts/${encodeURIComponent(session.sessionId)}/approve" method="POST">
+      ${isControlled(await getMedicationCatalog(), differences) ? renderWitnessFields() : ""}
+      <button type="submit">${differences.length > 0 ? `Apply ${differences.length} adjustment${differences.length === 1 ? "" : "s"}` : "Approve count"}</button>
+    </form>`
+        : ""
+    }`;
+  }
+  if (
+    OPEN_STATUSES.includes(session.status) &&
+    (can(req.user, "approveCounts") || session.startedBy === req.user.username)
+  ) {
+    content += `
+    <form action="/counts/${encodeURIComponent(session.sessionId)}/discard" method="POST" onsubmit="return confirm('Discard this count?');">
+      <button type="submit">Discard count</button>
+    </form>`;
+  }
+
+  res.send(
+    renderLayout({
+      title: `Count: ${session.location}`,
+      user: req.user,
+      content: `
+  <div class="container">
+    ${content}
+    <p><a href="/counts">Back to counts</a></p>
+  </div>
+`,
+    }),
+  );
+});
+
+router.post("/counts/:sessionId/submit", async (req, res) => {
+  if (!can(req.user, "countStock")) {
+    return res.status(403).send("Your role can't count stock");
+  }
+  const session = await findCountSession(req.params.sessionId);
+  if (!session) return renderCountError(req, res, 404, "Count not found");
+  // More than 20 rows arrive as an object keyed by index
+  const counts = Object.values(req.body.counts || {}).map((count) => ({
+    sheetName: count.sheetName || "",
+    name: count.name || "",
+    dose: count.dose || "",
+    lot: count.lot || "",
+    expiration: count.expiration || "",
+    counted: count.counted === "" ? NaN : Number(count.counted),
+  }));
+  const { error } = await submitCount(session, counts);
+  const back = `/counts/${encodeURIComponent(session.sessionId)}`;
+  if (error) return renderCountError(req, res, 400, error, back);
+  res.redirect(back);
+});
+
+router.post("/counts/:sessionId/approve", async (req, res) => {
+  if (!can(req.user, "approveCounts")) {
+    return res.status(403).send("Your role can't approve counts");
+  }
+  const session = await findCountSession(req.params.sessionId);
+  if (!session) return renderCountError(req, res, 404, "Count not found");
+  const back = `/counts/${encodeURIComponent(session.sessionId)}`;
+  const witnessed = await authenticateWitness(
+    (req.body || {}).witness,
+    req.user,
+  );
+  if (witnessed.error) {
+    return renderCountError(req, res, 403, witnessed.error, back);
+  }
+  let result;
+  try {
+    result = await approveCount(session, req.user, {
+      witness: witnessed.witness,
+      requireWitness: true,
+    });
+  } catch (err) {
+    if (!(err instanceof WitnessRequiredError)) throw err;
+    return renderCountError(req, res, 403, err.message, back);
+  }
+  const { adjusted, error, stockSaved } = result;
+  if (error) {
+    if (stockSaved) await afterStockChange();
+    return renderCountError(req, res, 409, error, back);
+  }
+  if (adjusted.length > 0) await afterStockChange();
+  res.redirect(back);
+});
+
+router.post("/counts/:sessionId/discard", async (req, res) => {
+  const session = await findCountSession(req.params.sessionId);
+  if (!session) return renderCountError(req, res, 404, "Count not found");
+  if (
+    !can(req.user, "approveCounts") &&
+    session.startedBy !== req.user.username
+  ) {
+    return res.status(403).send("Only the counter or a pharmacist can discard");
+  }
+  const { error } = await discardCount(session);
+  if (error) return renderCountError(req, res, 409, error);
+  res.redirect("/counts");
+});
+
+export default router;
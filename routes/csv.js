@@ -0,0 +1,252 @@
+import express from "express";
+import { getMedicationCatalog, getSheetData } from "../storage/inventory.js";
+import { TAB_HEADERS } from "../storage/schema.js";
+import { can } from "../lib/auth.js";
+import { authenticateWitness, isControlled } from "../lib/controlled.js";
+import {
+  StockConflictError,
+  StockWriteError,
+  WitnessRequiredError,
+} from "../lib/stockPlan.js";
+import { toCsv } from "../lib/csv.js";
+import { getAccessibleStashes, resolveInventory } from "../lib/stock.js";
+import { SHARED_INVENTORY } from "../lib/inventories.js";
+import {
+  MAX_IMPORT_ROWS,
+  previewImport,
+  applyImport,
+} from "../lib/stockImport.js";
+import { afterStockChange } from "../lib/stockEvents.js";
+import {
+  renderLayout,
+  renderInventoryPicker,
+  renderWitnessFields,
+  escapeHtml,
+} from "../views/layout.js";
+
+const router = express.Router();
+
+// Tabs that can be downloaded as CSV
+const EXPORT_TABS = [
+  "File Meds",
+  "Closet Meds",
+  "Past Medication",
+  "Activity Records",
+];
+
+function renderImportPage(
+  req,
+  res,
+  {
+    status = 200,
+    notice = "",
+    csv = "",
+    inventory = SHARED_INVENTORY,
+    stashes,
+    preview = "",
+  },
+) {
+  res.status(status).send(
+    renderLayout({
+      title: "Import / Export",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${notice ? `<div class="notice">${notice}</div>` : ""}
+    ${preview}
+    <div class="subsection-title">Import Donations from CSV</div>
+    <form action="/import/preview" method="POST">
+      ${renderInventoryPicker(stashes, inventory)}
+      <p>Columns: <strong>name, dose, location, quantity</strong>, and optionally
+      expiration, lot, source and received. The first row must name the columns.
+      Up to ${MAX_IMPORT_ROWS} rows at a time.</p>
+      <label>CSV File</label>
+      <input type="file" id="csvFile" accept=".csv,text/csv" />
+      <label>Or paste CSV</label>
+      <textarea name="csv" id="csvText" rows="10" style="width: 100%;" required>${escapeHtml(csv)}</textarea>
+      <button type="submit">Preview</button>
+    </form>
+
+    <div class="subsection-title">Export to CSV</div>
+    <ul>
+      ${EXPORT_TABS.map(
+        (tab) =>
+          `<li><a href="/export?tab=${encodeURIComponent(tab)}">${escapeHtml(tab)}</a></li>`,
+      ).join("")}
+    </ul>
+  </div>
+`,
+      script: `
+<script>
+document.getElementById("csvFile").addEventListener("change", function (event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  file.text().then(text => {
+    document.getElementById("csvText").value = text;
+  });
+});
+</script>
+`,
+    }),
+  );
+}
+
+router.get("/import", async (req, res) => {
+  renderImportPage(req, res, {
+    stashes: await getAccessibleStashes(req.user),
+  });
+});
+
+// Check every row and show what it would do, with a button to apply it
+router.post("/import/preview", async (req, res) => {
+  if (!can(req.user, "addStock")) {
+    return res.status(403).send("Your role can't add stock");
+  }
+  const stashes = await getAccessibleStashes(req.user);
+  const csv = req.body.csv || "";
+  const inventory = await resolveInventory(req.user, req.body.inventory);
+  if (!inventory)
+    return res.status(403).send("You don't have access to that stash");
+
+  const { rows, error } = await previewImport(csv, inventory);
+  if (error) {
+    return renderImportPage(req, res, {
+      status: 400,
+      notice: escapeHtml(error),
+      csv,
+      inventory,
+      stashes,
+    });
+  }
+  const validRows = rows.filter((row) => row.errors.length === 0);
+  const valid = validRows.length;
+  const catalog = await getMedicationCatalog();
+  const preview = `
+    <div class="subsection-title">Preview</div>
+    <table class="top-table">
+      <tr><th>Line</th><th>Name</th><th>Dose</th><th>Location</th><th>Quantity</th><th>Expiration</th><th>Lot</th><th>Result</th></tr>
+      ${rows
+        .map(
+          ({ line, item, errors, outcome }) => `
+      <tr>
+        <td>${line}</td>
+        <td>${escapeHtml(item.name)}</td>
+        <td>${escapeHtml(item.dose)}</td>
+        <td>${escapeHtml(item.location)}</td>
+        <td>${Number.isFinite(item.quantity) ? item.quantity : ""}</td>
+        <td>${escapeHtml(item.expiration || "—")}</td>
+        <td>${escapeHtml(item.lot || "—")}</td>
+        <td>${
+          errors.length > 0
+            ? `<span class="tag expired">Skipped</span> ${escapeHtml(errors.join("; "))}`
+            : escapeHtml(outcome)
+        }</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>
+    ${
+      valid > 0
+        ? `<form action="/import/apply" method="POST">
+      <input type="hidden" name="inventory" value="${escapeHtml(inventory)}" />
+      <input type="hidden" name="csv" value="${escapeHtml(csv)}" />
+      ${
+        isControlled(
+          catalog,
+          validRows.map((row) => row.item),
+        )
+          ? renderWitnessFields()
+          : ""
+      }
+      <button type="submit">Add ${valid} row${valid === 1 ? "" : "s"}${valid < rows.length ? `, skip ${rows.length - valid}` : ""}</button>
+    </form>`
+        : `<div class="no-results"><p>No rows can be imported; fix the file and preview again.</p></div>`
+    }`;
+  renderImportPage(req, res, { csv, inventory, stashes, preview });
+});
+
+// Why an import's stock plan didn't commit, as { status, error }; anything
+// else is rethrown
+function importFailure(error) {
+  if (error instanceof WitnessRequiredError) {
+    return { status: 403, error: error.message };
+  }
+  if (error instanceof StockConflictError) {
+    return {
+      status: 409,
+      error:
+        "The inventory changed while the file was being imported; nothing was added, so please import it again.",
+    };
+  }
+  if (error instanceof StockWriteError) {
+    return error.stockSaved
+      ? {
+          status: 500,
+          error:
+            "Every row was added but the activity log could not be updated; please let an admin know.",
+        }
+      : {
+          status: 503,
+          error: "The spreadsheet couldn't be updated; nothing was added.",
+        };
+  }
+  throw error;
+}
+
+router.post("/import/apply", async (req, res) => {
+  if (!can(req.user, "addStock")) {
+    return res.status(403).send("Your role can't add stock");
+  }
+  const stashes = await getAccessibleStashes(req.user);
+  const inventory = await resolveInventory(req.user, req.body.inventory);
+  if (!inventory)
+    return res.status(403).send("You don't have access to that stash");
+
+  const witnessed = await authenticateWitness(req.body.witness, req.user);
+  let result;
+  if (witnessed.error) {
+    result = { status: 403, error: witnessed.error };
+  } else {
+    try {
+      result = await applyImport(req.body.csv || "", inventory, req.user, {
+        witness: witnessed.witness,
+        requireWitness: true,
+      });
+    } catch (err) {
+      result = importFailure(err);
+      if (err instanceof StockWriteError && err.stockSaved) {
+        await afterStockChange();
+      }
+    }
+  }
+  const { added, skipped, error, status = 400 } = result;
+  if (error) {
+    return renderImportPage(req, res, {
+      status,
+      notice: escapeHtml(error),
+      csv: req.body.csv || "",
+      inventory,
+      stashes,
+    });
+  }
+  await afterStockChange();
+  renderImportPage(req, res, {
+    notice: `Added ${added} row${added === 1 ? "" : "s"}${skipped ? `; skipped ${skipped} with problems` : ""}.`,
+    inventory,
+    stashes,
+  });
+});
+
+// Download one tab as CSV, header row included
+router.get("/export", async (req, res) => {
+  const tab = EXPORT_TABS.find((t) => t === req.query.tab);
+  if (!tab) return res.status(404).send("Unknown tab");
+  const lastColumn = String.fromCharCode(64 + TAB_HEADERS[tab].length);
+  const rows = await getSheetData(tab, `A:${lastColumn}`);
+  const date = new Date().toISOString().split("T")[0];
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.attachment(`${tab} ${date}.csv`);
+  res.send(toCsv(rows.length > 0 ? rows : [TAB_HEADERS[tab]]));
+});
+
+export default router;
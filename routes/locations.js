@@ -0,0 +1,168 @@
+import express from "express";
+import { getLocations } from "../storage/inventory.js";
+import { can } from "../lib/auth.js";
+import { SHARED_SHEETS } from "../lib/inventories.js";
+import {
+  countLotsByLocation,
+  createLocation,
+  moveLocation,
+  renameLocation,
+  setLocationActive,
+  setLocationSheet,
+} from "../lib/locations.js";
+import { renderLayout, escapeHtml } from "../views/layout.js";
+
+const router = express.Router();
+
+function sheetOptions(selected) {
+  return SHARED_SHEETS.map(
+    (sheetName) =>
+      `<option value="${escapeHtml(sheetName)}"${sheetName === selected ? " selected" : ""}>${escapeHtml(sheetName)}</option>`,
+  ).join("");
+}
+
+async function renderLocationsPage(
+  req,
+  res,
+  { status = 200, notice = "" } = {},
+) {
+  const locations = await getLocations();
+  const lots = await countLotsByLocation();
+
+  const rows = locations
+    .map((location, i) => {
+      const count = lots.get(location.name.toLowerCase()) || 0;
+      return `
+      <tr>
+        <td>
+          <button type="submit" form="move${i}" name="direction" value="up"${i === 0 ? " disabled" : ""}>↑</button>
+          <button type="submit" form="move${i}" name="direction" value="down"${i === locations.length - 1 ? " disabled" : ""}>↓</button>
+        </td>
+        <td><input type="text" name="newName" form="location${i}" value="${escapeHtml(location.name)}" required /></td>
+        <td><select name="sheetName" form="location${i}">${sheetOptions(location.sheetName)}</select></td>
+        <td>${count}</td>
+        <td>${location.active ? "Yes" : "Retired"}</td>
+        <td>
+          <button type="submit" form="location${i}">Save</button>
+          <button type="submit" form="active${i}">${location.active ? "Retire" : "Restore"}</button>
+        </td>
+      </tr>`;
+    })
+    .join("");
+
+  const forms = locations
+    .map(
+      (location, i) => `
+    <form id="location${i}" action="/locations/update" method="POST" hidden>
+      <input type="hidden" name="location" value="${escapeHtml(location.name)}" />
+    </form>
+    <form id="move${i}" action="/locations/move" method="POST" hidden>
+      <input type="hidden" name="location" value="${escapeHtml(location.name)}" />
+    </form>
+    <form id="active${i}" action="/locations/active" method="POST" hidden>
+      <input type="hidden" name="location" value="${escapeHtml(location.name)}" />
+      <input type="hidden" name="active" value="${location.active ? "false" : "true"}" />
+    </form>`,
+    )
+    .join("");
+
+  res.status(status).send(
+    renderLayout({
+      title: "Locations",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ""}
+    <p>Locations are listed in this order everywhere. Shared stock added at a
+    location goes on its sheet. Renaming a location updates every lot, Past
+    Medication row and count that names it.</p>
+    ${
+      locations.length > 0
+        ? `<table class="top-table">
+      <tr><th>Order</th><th>Location</th><th>Sheet</th><th>Lots</th><th>Active</th><th></th></tr>
+      ${rows}
+    </table>
+    ${forms}`
+        : `<div class="no-results"><p>The Location Catalog is empty.</p></div>`
+    }
+
+    <div class="subsection-title">Add Location</div>
+    <form action="/locations" method="POST">
+      <label>Name</label>
+      <input type="text" name="name" required />
+      <label>Sheet</label>
+      <select name="sheetName">${sheetOptions(SHARED_SHEETS[0])}</select>
+      <button type="submit">Add Location</button>
+    </form>
+  </div>
+`,
+    }),
+  );
+}
+
+// Every page and action here is for catalog managers only
+router.use("/locations", (req, res, next) => {
+  if (can(req.user, "manageCatalog")) return next();
+  res.status(403).send("Only admins can change the Location Catalog");
+});
+
+router.get("/locations", async (req, res) => {
+  await renderLocationsPage(req, res);
+});
+
+router.post("/locations", async (req, res) => {
+  const { error } = await createLocation({
+    name: (req.body.name || "").trim(),
+    sheetName: req.body.sheetName,
+  });
+  if (error)
+    return renderLocationsPage(req, res, { status: 400, notice: error });
+  res.redirect("/locations");
+});
+
+// Rename and/or move to another sheet
+router.post("/locations/update", async (req, res) => {
+  const location = req.body.location || "";
+  const newName = (req.body.newName || "").trim();
+  const renamed = await renameLocation(location, newName, req.user);
+  if (renamed.error) {
+    return renderLocationsPage(req, res, {
+      status: 400,
+      notice: renamed.error,
+    });
+  }
+  const { error, left, leftOn } = await setLocationSheet(
+    newName || location,
+    req.body.sheetName,
+  );
+  if (error)
+    return renderLocationsPage(req, res, { status: 400, notice: error });
+  if (left > 0) {
+    return renderLocationsPage(req, res, {
+      notice: `New stock at ${newName || location} now goes to ${req.body.sheetName}. ${left} lot${left === 1 ? " is" : "s are"} still on ${leftOn}; transfer ${left === 1 ? "it" : "them"} to ${newName || location} to move ${left === 1 ? "it" : "them"} across.`,
+    });
+  }
+  res.redirect("/locations");
+});
+
+router.post("/locations/move", async (req, res) => {
+  const { error } = await moveLocation(
+    req.body.location,
+    req.body.direction === "up" ? -1 : 1,
+  );
+  if (error)
+    return renderLocationsPage(req, res, { status: 400, notice: error });
+  res.redirect("/locations");
+});
+
+router.post("/locations/active", async (req, res) => {
+  const { error } = await setLocationActive(
+    req.body.location,
+    req.body.active === "true",
+  );
+  if (error)
+    return renderLocationsPage(req, res, { status: 409, notice: error });
+  res.redirect("/locations");
+});
+
+export default router;
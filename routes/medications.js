@@ -0,0 +1,264 @@
+import express from "express";
+import { getMedicationCatalog } from "../storage/inventory.js";
+import { can } from "../lib/auth.js";
+import {
+  RX_OTC,
+  countLinkedLots,
+  createMedication,
+  linkStock,
+  parseMedicationForm,
+  setMedicationStatus,
+  updateMedication,
+} from "../lib/medications.js";
+import { renderLayout, escapeHtml } from "../views/layout.js";
+
+const router = express.Router();
+
+const FIELDS = ["name", "strengths", "form", "category", "storage"];
+
+function rxOtcOptions(selected) {
+  return RX_OTC.map(
+    (value) =>
+      `<option value="${value}"${value === selected ? " selected" : ""}>${value}</option>`,
+  ).join("");
+}
+
+function fieldValue(entry, field) {
+  return field === "strengths" ? entry.strengths.join(", ") : entry[field];
+}
+
+// Editable cells for an admin, plain text for everyone else
+function renderEntryCells(entry, formId, editable) {
+  if (!editable) {
+    return [
+      ...FIELDS.map((field) => fieldValue(entry, field)),
+      entry.rxOtc,
+      entry.controlled ? "Yes" : "",
+    ]
+      .map((value) => `<td>${escapeHtml(value || "—")}</td>`)
+      .join("");
+  }
+  return `${FIELDS.map(
+    (field) =>
+      `<td><input type="text" name="${field}" form="${formId}" value="${escapeHtml(fieldValue(entry, field))}"${field === "name" ? " required" : ""} /></td>`,
+  ).join("")}
+        <td><select name="rxOtc" form="${formId}">${rxOtcOptions(entry.rxOtc)}</select></td>
+        <td><input type="checkbox" name="controlled" value="true" form="${formId}"${entry.controlled ? " checked" : ""} /></td>`;
+}
+
+function statusForm(id, entry, status) {
+  return `
+    <form id="${id}" action="/medications/status" method="POST" hidden>
+      <input type="hidden" name="medicationId" value="${escapeHtml(entry.medicationId)}" />
+      <input type="hidden" name="status" value="${status}" />
+    </form>`;
+}
+
+async function renderMedicationsPage(
+  req,
+  res,
+  { status = 200, notice = "", draft = {} } = {},
+) {
+  const catalog = await getMedicationCatalog();
+  const manage = can(req.user, "manageCatalog");
+  const lots = await countLinkedLots();
+  const listed = catalog
+    .filter((entry) => entry.status !== "proposed")
+    .sort(
+      (a, b) =>
+        (a.status === "retired") - (b.status === "retired") ||
+        a.name.localeCompare(b.name),
+    );
+  const proposed = catalog.filter((entry) => entry.status === "proposed");
+
+  const rows = listed
+    .map(
+      (entry, i) => `
+      <tr>
+        ${renderEntryCells(entry, `medication${i}`, manage)}
+        <td>${lots.get(entry.medicationId) || 0}</td>
+        <td>${entry.status === "active" ? "Yes" : "Retired"}</td>
+        ${
+          manage
+            ? `<td>
+          <button type="submit" form="medication${i}">Save</button>
+          <button type="submit" form="status${i}">${entry.status === "active" ? "Retire" : "Restore"}</button>
+          ${entry.status === "active" ? `<button type="submit" form="link${i}">Link stock</button>` : ""}
+        </td>`
+            : ""
+        }
+      </tr>`,
+    )
+    .join("");
+
+  const forms = manage
+    ? listed
+        .map(
+          (entry, i) => `
+    <form id="medication${i}" action="/medications/update" method="POST" hidden>
+      <input type="hidden" name="medicationId" value="${escapeHtml(entry.medicationId)}" />
+    </form>
+    ${statusForm(`status${i}`, entry, entry.status === "active" ? "retired" : "active")}
+    <form id="link${i}" action="/medications/link" method="POST" hidden>
+      <input type="hidden" name="medicationId" value="${escapeHtml(entry.medicationId)}" />
+    </form>`,
+        )
+        .join("")
+    : "";
+
+  const proposals = proposed
+    .map(
+      (entry, i) => `
+      <tr>
+        ${renderEntryCells(entry, "", false)}
+        <td>${escapeHtml(entry.proposedBy || "—")}</td>
+        ${
+          manage
+            ? `<td>
+          <button type="submit" form="approve${i}">Approve</button>
+          <button type="submit" form="reject${i}">Reject</button>
+          ${statusForm(`approve${i}`, entry, "active")}
+          ${statusForm(`reject${i}`, entry, "retired")}
+        </td>`
+            : ""
+        }
+      </tr>`,
+    )
+    .join("");
+
+  const header = `<th>Generic Name</th><th>Strengths</th><th>Form</th><th>Category</th><th>Storage</th><th>Rx/OTC</th><th>Controlled</th>`;
+
+  res.status(status).send(
+    renderLayout({
+      title: "Medication Catalog",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ""}
+    <p>Stock can only be added under a medication and strength listed here
+    (once the catalog has entries). Link stock fills in the Medication ID of
+    existing lots that match an entry.</p>
+    ${
+      listed.length > 0
+        ? `<table class="top-table">
+      <tr>${header}<th>Lots</th><th>Active</th>${manage ? "<th></th>" : ""}</tr>
+      ${rows}
+    </table>
+    ${forms}`
+        : `<div class="no-results"><p>The Medication Catalog is empty.</p></div>`
+    }
+
+    ${
+      proposed.length > 0
+        ? `<div class="subsection-title">Proposed</div>
+    <table class="top-table">
+      <tr>${header}<th>Proposed By</th>${manage ? "<th></th>" : ""}</tr>
+      ${proposals}
+    </table>`
+        : ""
+    }
+
+    ${
+      can(req.user, "proposeMedications")
+        ? `<div class="subsection-title">${manage ? "Add Medication" : "Propose a Medication"}</div>
+    <form action="/medications" method="POST">
+      <label>Generic Name</label>
+      <input type="text" name="name" value="${escapeHtml(draft.name || "")}" required />
+      <label>Strengths (comma-separated)</label>
+      <input type="text" name="strengths" value="${escapeHtml(draft.strengths || "")}" placeholder="250 mg, 500 mg" />
+      <label>Form</label>
+      <input type="text" name="form" value="${escapeHtml(draft.form || "")}" placeholder="Tablet, capsule, suspension..." />
+      <label>Therapeutic Category</label>
+      <input type="text" name="category" value="${escapeHtml(draft.category || "")}" placeholder="Analgesic, antibiotic..." />
+      <label>Storage</label>
+      <input type="text" name="storage" value="${escapeHtml(draft.storage || "")}" placeholder="Room temperature, refrigerate..." />
+      <label>Rx/OTC</label>
+      <select name="rxOtc">${rxOtcOptions(draft.rxOtc || "Rx")}</select>
+      <label>
+        <input type="checkbox" name="controlled" value="true"${draft.controlled ? " checked" : ""} />
+        Controlled substance (dispensing and restocking need a witness)
+      </label>
+      <button type="submit">${manage ? "Add Medication" : "Propose"}</button>
+    </form>`
+        : ""
+    }
+  </div>
+`,
+    }),
+  );
+}
+
+// Active generic names for the Add NEW Medication form
+router.get("/medications/names", async (req, res) => {
+  const names = (await getMedicationCatalog())
+    .filter((entry) => entry.status === "active")
+    .map((entry) => entry.name);
+  res.json([...new Set(names)].sort((a, b) => a.localeCompare(b)));
+});
+
+function requireManager(req, res, next) {
+  if (can(req.user, "manageCatalog")) return next();
+  res.status(403).send("Only admins can change the Medication Catalog");
+}
+
+// ?name= and ?dose= prefill the form (from a name the add form didn't know)
+router.get("/medications", async (req, res) => {
+  await renderMedicationsPage(req, res, {
+    draft: { name: req.query.name, strengths: req.query.dose },
+  });
+});
+
+router.post("/medications", async (req, res) => {
+  if (!can(req.user, "proposeMedications")) {
+    return res.status(403).send("Your role can't propose medications");
+  }
+  const fields = parseMedicationForm(req.body);
+  const { entry, error } = await createMedication(fields, req.user);
+  if (error) {
+    return renderMedicationsPage(req, res, {
+      status: 400,
+      notice: error,
+      draft: { ...req.body },
+    });
+  }
+  if (entry.status === "proposed") {
+    return renderMedicationsPage(req, res, {
+      notice: `${entry.name} was proposed; an admin will review it.`,
+    });
+  }
+  res.redirect("/medications");
+});
+
+router.post("/medications/update", requireManager, async (req, res) => {
+  const { error } = await updateMedication(
+    req.body.medicationId,
+    parseMedicationForm(req.body),
+  );
+  if (error) {
+    return renderMedicationsPage(req, res, { status: 400, notice: error });
+  }
+  res.redirect("/medications");
+});
+
+router.post("/medications/status", requireManager, async (req, res) => {
+  const { error } = await setMedicationStatus(
+    req.body.medicationId,
+    req.body.status,
+  );
+  if (error) {
+    return renderMedicationsPage(req, res, { status: 409, notice: error });
+  }
+  res.redirect("/medications");
+});
+
+router.post("/medications/link", requireManager, async (req, res) => {
+  const { entry, count, error } = await linkStock(req.body.medicationId);
+  if (error) {
+    return renderMedicationsPage(req, res, { status: 409, notice: error });
+  }
+  await renderMedicationsPage(req, res, {
+    notice: `Linked ${count} lot${count === 1 ? "" : "s"} to ${entry.name}.`,
+  });
+});
+
+export default router;
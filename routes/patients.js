@@ -0,0 +1,63 @@
+import express from "express";
+import { can } from "../lib/auth.js";
+import { getPatientHistory } from "../lib/dispensing.js";
+import { renderLayout, escapeHtml } from "../views/layout.js";
+
+const router = express.Router();
+
+// Per-patient dispensing history. Looked up by exact patient identifier only;
+// there is deliberately no list of every patient.
+router.get("/patients", async (req, res) => {
+  if (!can(req.user, "viewPatientHistory")) {
+    return res
+      .status(403)
+      .send("Only a pharmacist or admin can view patient history");
+  }
+  const patientId = (req.query.patient || "").trim();
+  const history = patientId ? await getPatientHistory(patientId) : [];
+
+  let results = "";
+  if (patientId && history.length === 0) {
+    results = `<div class="no-results"><p>No dispensing records for "${escapeHtml(patientId)}".</p></div>`;
+  } else if (history.length > 0) {
+    results = `
+    <table class="top-table">
+      <tr><th>Visit Date</th><th>Name</th><th>Dose</th><th>Quantity</th><th>Lot</th><th>Prescriber</th><th>Notes</th><th>Dispensed By</th><th></th></tr>
+      ${history
+        .map(
+          (record) => `
+      <tr>
+        <td>${escapeHtml(record.visitDate || record.recorded.split("T")[0])}</td>
+        <td>${escapeHtml(record.name || "—")}</td>
+        <td>${escapeHtml(record.dose)}</td>
+        <td>${record.quantity}</td>
+        <td>${escapeHtml(record.lot || "—")}</td>
+        <td>${escapeHtml(record.prescriber || "—")}</td>
+        <td>${escapeHtml(record.notes)}</td>
+        <td>${escapeHtml(record.dispensedBy || "—")}</td>
+        <td>${record.reversed ? '<span class="tag expired">Reversed</span>' : ""}</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`;
+  }
+
+  res.send(
+    renderLayout({
+      title: "Patient History",
+      user: req.user,
+      content: `
+  <div class="container">
+    <form action="/patients" method="GET">
+      <label>Patient Identifier</label>
+      <input type="text" name="patient" required value="${escapeHtml(patientId)}" autocomplete="off" />
+      <button type="submit">Look Up</button>
+    </form>
+    ${results}
+  </div>
+`,
+    }),
+  );
+});
+
+export default router;
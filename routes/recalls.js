@@ -0,0 +1,288 @@
+import express from "express";
+import { getQuarantine, getRecalls } from "../storage/inventory.js";
+import { can } from "../lib/auth.js";
+import {
+  RECALL_RESOLUTIONS,
+  closeRecall,
+  createRecall,
+  describeRecall,
+  parseRecallForm,
+  recheckRecall,
+  resolveQuarantine,
+} from "../lib/recalls.js";
+import { authenticateWitness } from "../lib/controlled.js";
+import { canUseSheet } from "../lib/stock.js";
+import {
+  StockConflictError,
+  StockWriteError,
+  WitnessRequiredError,
+} from "../lib/stockPlan.js";
+import { afterStockChange } from "../lib/stockEvents.js";
+import {
+  renderLayout,
+  renderWitnessFields,
+  escapeHtml,
+} from "../views/layout.js";
+
+const router = express.Router();
+
+const STATUS_TAGS = {
+  quarantined: '<span class="tag expired">Quarantined</span>',
+  returned: "Returned",
+  destroyed: "Destroyed",
+};
+
+function formatTime(iso) {
+  return iso
+    ? new Date(iso).toLocaleString("en-US", {
+        timeZone: "America/Los_Angeles",
+      })
+    : "—";
+}
+
+function lotsTable(lots, manager) {
+  if (lots.length === 0) {
+    return `<div class="no-results"><p>No stock has been quarantined for this recall.</p></div>`;
+  }
+  return `<table class="top-table">
+      <tr><th>Name</th><th>Dose</th><th>Lot</th><th>Expiration</th><th>Quantity</th><th>Location</th><th>Sheet</th><th>Quarantined</th><th>Status</th></tr>
+      ${lots
+        .map(
+          (lot) => `
+      <tr>
+        <td>${escapeHtml(lot.name)}</td>
+        <td>${escapeHtml(lot.dose)}</td>
+        <td>${escapeHtml(lot.lot || "—")}</td>
+        <td>${escapeHtml(lot.expiration || "—")}</td>
+        <td>${lot.quantity}</td>
+        <td>${escapeHtml(lot.location)}</td>
+        <td>${escapeHtml(lot.sheetName)}</td>
+        <td>${escapeHtml(formatTime(lot.quarantined))}</td>
+        <td>${STATUS_TAGS[lot.status] || escapeHtml(lot.status)}${
+          lot.status === "quarantined"
+            ? manager
+              ? `
+          <form action="/recalls/quarantine/${escapeHtml(lot.quarantineId)}/resolve" method="POST">
+            ${Object.entries(RECALL_RESOLUTIONS)
+              .map(
+                ([value, label]) =>
+                  `<button type="submit" name="resolution" value="${value}">${label}</button>`,
+              )
+              .join(" ")}
+          </form>`
+              : ""
+            : ` ${escapeHtml(formatTime(lot.resolved))} by ${escapeHtml(lot.resolvedBy)}`
+        }</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`;
+}
+
+async function renderRecallsPage(
+  req,
+  res,
+  { status = 200, notice = "", draft = {} },
+) {
+  const manager = can(req.user, "manageRecalls");
+  const recalls = (await getRecalls()).reverse();
+  // Volunteers only see quarantined stash stock from stashes they use
+  const quarantine = [];
+  for (const lot of await getQuarantine()) {
+    if (await canUseSheet(req.user, lot.sheetName)) quarantine.push(lot);
+  }
+  const value = (field) => escapeHtml(draft[field] ?? "");
+
+  const sections = ["open", "closed"].map((state) => {
+    const listed = recalls.filter((recall) => recall.status === state);
+    if (listed.length === 0) {
+      return state === "open"
+        ? `<div class="no-results"><p>No open recalls.</p></div>`
+        : "";
+    }
+    return listed
+      .map((recall) => {
+        const lots = quarantine.filter(
+          (lot) => lot.recallId === recall.recallId,
+        );
+        return `
+    <div class="subsection-title">${escapeHtml(describeRecall(recall))}${state === "closed" ? " (closed)" : ""}</div>
+    <p>${recall.reference ? `${escapeHtml(recall.reference)}. ` : ""}${recall.announced ? `Announced ${escapeHtml(recall.announced)}. ` : ""}Entered by ${escapeHtml(recall.createdBy)}.</p>
+    ${lotsTable(lots, manager)}
+    ${
+      manager && state === "open"
+        ? `
+    <form method="POST">
+      ${renderWitnessFields({ open: false })}
+      <button type="submit" formaction="/recalls/${escapeHtml(recall.recallId)}/recheck">Re-check stock</button>
+      <button type="submit" formaction="/recalls/${escapeHtml(recall.recallId)}/close">Close recall</button>
+    </form>`
+        : ""
+    }`;
+      })
+      .join("");
+  });
+
+  res.status(status).send(
+    renderLayout({
+      title: "Recalls",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ""}
+    ${
+      manager
+        ? `
+    <form action="/recalls" method="POST">
+      <div class="add-section-title">Enter a Recall</div>
+      <p>Every matching lot on File Meds, Closet Meds and the stashes is taken off its
+      sheet into quarantine, and matching stock can't be added while the recall is open.</p>
+      <label>Medication</label>
+      <input type="text" name="name" value="${value("name")}" required />
+      <label>Dose (blank for every strength)</label>
+      <input type="text" name="dose" value="${value("dose")}" />
+      <label>Lot numbers (comma-separated, blank for every lot)</label>
+      <input type="text" name="lots" value="${value("lots")}" />
+      <label>Reference (e.g. the FDA or manufacturer notice)</label>
+      <input type="text" name="reference" value="${value("reference")}" />
+      <label>Announced</label>
+      <input type="date" name="announced" value="${value("announced")}" />
+      ${renderWitnessFields({ open: false })}
+      <button type="submit">Enter Recall</button>
+    </form>`
+        : ""
+    }
+    ${sections.join("")}
+  </div>
+`,
+    }),
+  );
+}
+
+function requireManager(req, res, next) {
+  if (can(req.user, "manageRecalls")) return next();
+  res.status(403).send("Only pharmacists can manage recalls");
+}
+
+// Why a quarantine didn't save, as { status, notice }; anything else is
+// rethrown. A missing witness is caught before a new recall is entered; the
+// other failures leave it entered, and Re-check retries.
+function quarantineFailure(error) {
+  if (error instanceof WitnessRequiredError) {
+    return { status: 403, notice: error.message };
+  }
+  if (error instanceof StockConflictError) {
+    return {
+      status: 409,
+      notice:
+        "The stock changed while it was being quarantined; use Re-check stock to try again.",
+    };
+  }
+  if (error instanceof StockWriteError) {
+    return {
+      status: 409,
+      notice: error.stockSaved
+        ? "The stock was quarantined but the activity log could not be updated."
+        : "The stock could not be quarantined; use Re-check stock to try again.",
+    };
+  }
+  throw error;
+}
+
+// The witness signed in on the form, or null after sending a 403
+async function witnessOptions(req, res, draft) {
+  const witnessed = await authenticateWitness(
+    (req.body || {}).witness,
+    req.user,
+  );
+  if (witnessed.error) {
+    await renderRecallsPage(req, res, {
+      status: 403,
+      notice: witnessed.error,
+      draft,
+    });
+    return null;
+  }
+  return { witness: witnessed.witness };
+}
+
+function quarantinedNotice(recall, count) {
+  return `${count} lot${count === 1 ? "" : "s"} of ${describeRecall(recall)} quarantined.`;
+}
+
+router.get("/recalls", async (req, res) => {
+  await renderRecallsPage(req, res, {});
+});
+
+router.post("/recalls", requireManager, async (req, res) => {
+  const fields = parseRecallForm(req.body);
+  const options = await witnessOptions(req, res, { ...req.body });
+  if (!options) return;
+  let result;
+  try {
+    result = await createRecall(fields, req.user, options);
+  } catch (error) {
+    const { status, notice } = quarantineFailure(error);
+    await afterStockChange();
+    return renderRecallsPage(req, res, {
+      status,
+      notice,
+      draft: { ...req.body },
+    });
+  }
+  if (result.error) {
+    return renderRecallsPage(req, res, {
+      status: 400,
+      notice: result.error,
+      draft: { ...req.body },
+    });
+  }
+  await afterStockChange();
+  await renderRecallsPage(req, res, {
+    notice: quarantinedNotice(result.recall, result.count),
+  });
+});
+
+router.post("/recalls/:recallId/recheck", requireManager, async (req, res) => {
+  const options = await witnessOptions(req, res);
+  if (!options) return;
+  let result;
+  try {
+    result = await recheckRecall(req.params.recallId, req.user, options);
+  } catch (error) {
+    const { status, notice } = quarantineFailure(error);
+    await afterStockChange();
+    return renderRecallsPage(req, res, { status, notice });
+  }
+  if (result.error) {
+    return renderRecallsPage(req, res, { status: 409, notice: result.error });
+  }
+  await afterStockChange();
+  await renderRecallsPage(req, res, {
+    notice: quarantinedNotice(result.recall, result.count),
+  });
+});
+
+router.post("/recalls/:recallId/close", requireManager, async (req, res) => {
+  const { error } = await closeRecall(req.params.recallId);
+  if (error) return renderRecallsPage(req, res, { status: 409, notice: error });
+  res.redirect("/recalls");
+});
+
+router.post(
+  "/recalls/quarantine/:quarantineId/resolve",
+  requireManager,
+  async (req, res) => {
+    const { error } = await resolveQuarantine(
+      req.params.quarantineId,
+      req.body.resolution,
+      req.user,
+    );
+    if (error) {
+      return renderRecallsPage(req, res, { status: 409, notice: error });
+    }
+    res.redirect("/recalls");
+  },
+);
+
+export default router;
@@ -0,0 +1,185 @@
+import express from "express";
+import {
+  REPORT_PERIODS,
+  computeDisposalLog,
+  computeUsageReport,
+  reportDays,
+} from "../lib/analytics.js";
+import { REMOVAL_REASONS } from "../lib/removals.js";
+import { renderLayout, escapeHtml } from "../views/layout.js";
+
+const router = express.Router();
+
+// Horizontal bars, scaled to the largest value
+function renderBarChart(rows) {
+  const max = Math.max(...rows.map((row) => row.value), 1);
+  return `
+    <div class="bar-chart">
+      ${rows
+        .map(
+          (row) => `
+      <div class="bar-row">
+        <span class="bar-label">${escapeHtml(row.label)}</span>
+        <span class="bar" style="width: ${((row.value / max) * 60).toFixed(1)}%;"></span>
+        <span class="bar-value">${row.value}</span>
+      </div>`,
+        )
+        .join("")}
+    </div>`;
+}
+
+function stockoutTag(days) {
+  if (days === null) return "—";
+  if (days <= 14) return `<span class="tag expired">${days}</span>`;
+  if (days <= 30) return `<span class="tag expiring">${days}</span>`;
+  return String(days);
+}
+
+function renderPeriodForm(action, days) {
+  return `
+    <form action="${action}" method="GET">
+      <label>Period</label>
+      <select name="days">
+        ${REPORT_PERIODS.map(
+          (d) =>
+            `<option value="${d}"${d === days ? " selected" : ""}>Last ${d} days</option>`,
+        ).join("")}
+      </select>
+      <button type="submit">Update</button>
+    </form>`;
+}
+
+router.get("/reports", async (req, res) => {
+  const days = reportDays(req.query.days);
+  const report = await computeUsageReport({ days });
+  const label = (med) => `${med.name} ${med.dose}`.trim();
+
+  const used = report.medications.filter(
+    (med) =>
+      med.consumed > 0 || med.wasted > 0 || med.donated > 0 || med.onHand > 0,
+  );
+  const table =
+    used.length > 0
+      ? `<table class="top-table">
+      <tr><th>Name</th><th>Dose</th><th>Dispensed</th><th>Wasted</th><th>Donated</th><th>Weekly Burn</th><th>On Hand</th><th>Days Until Stockout</th></tr>
+      ${used
+        .map(
+          (med) => `
+      <tr>
+        <td>${escapeHtml(med.name)}</td>
+        <td>${escapeHtml(med.dose)}</td>
+        <td>${med.consumed}</td>
+        <td>${med.wasted}</td>
+        <td>${med.donated}</td>
+        <td>${med.weeklyBurn}</td>
+        <td>${med.onHand}</td>
+        <td>${stockoutTag(med.daysUntilStockout)}</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`
+      : `<div class="no-results"><p>No stock or dispensing to report.</p></div>`;
+
+  res.send(
+    renderLayout({
+      title: "Usage Reports",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${renderPeriodForm("/reports", days)}
+    <p>${report.period.from} to ${report.period.to}: ${report.totalConsumed} dispensed from the shared stock,
+    ${report.totalWasted} wasted (expired, damaged or recalled) and ${report.totalDonated} donated onward.
+    Stockout forecasts assume the period's average daily use continues.
+    <a href="/reports/disposals?days=${days}">Disposal log</a> ·
+    <a href="/api/v1/reports?days=${days}">JSON</a></p>
+
+    <div class="subsection-title">Use vs Waste</div>
+    ${renderBarChart([
+      { label: "Dispensed", value: report.totalConsumed },
+      { label: "Wasted", value: report.totalWasted },
+      { label: "Donated onward", value: report.totalDonated },
+    ])}
+
+    <div class="subsection-title">Most Dispensed</div>
+    ${
+      report.topDispensed.length > 0
+        ? renderBarChart(
+            report.topDispensed.map((med) => ({
+              label: label(med),
+              value: med.consumed,
+            })),
+          )
+        : `<div class="no-results"><p>Nothing dispensed in this period.</p></div>`
+    }
+
+    <div class="subsection-title">Dispensed per Week</div>
+    ${renderBarChart(
+      report.weekly.map((week) => ({
+        label: `Week of ${week.start}`,
+        value: week.consumed,
+      })),
+    )}
+
+    <div class="subsection-title">Wasted per Week</div>
+    ${renderBarChart(
+      report.weekly.map((week) => ({
+        label: `Week of ${week.start}`,
+        value: week.wasted,
+      })),
+    )}
+
+    <div class="subsection-title">By Medication</div>
+    ${table}
+  </div>
+`,
+    }),
+  );
+});
+
+// Expired and damaged stock taken off the shelf to be destroyed
+router.get("/reports/disposals", async (req, res) => {
+  const days = reportDays(req.query.days);
+  const log = await computeDisposalLog({ days });
+
+  res.send(
+    renderLayout({
+      title: "Disposal Log",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${renderPeriodForm("/reports/disposals", days)}
+    <p>${log.period.from} to ${log.period.to}: ${log.totalDisposed} removed from the shared stock as expired or damaged, or destroyed under a recall.
+    Reversed removals are left out.
+    <a href="/reports?days=${days}">Usage report</a> ·
+    <a href="/api/v1/reports/disposals?days=${days}">JSON</a></p>
+    ${
+      log.entries.length > 0
+        ? `<table class="top-table">
+      <tr><th>When</th><th>Name</th><th>Dose</th><th>Lot</th><th>Expiration</th><th>Quantity</th><th>Reason</th><th>Location</th><th>Sheet</th><th>Removed By</th></tr>
+      ${log.entries
+        .map(
+          (entry) => `
+      <tr>
+        <td>${escapeHtml(entry.timestamp)}</td>
+        <td>${escapeHtml(entry.name)}</td>
+        <td>${escapeHtml(entry.dose)}</td>
+        <td>${escapeHtml(entry.lot || "—")}</td>
+        <td>${escapeHtml(entry.expiration || "—")}</td>
+        <td>${entry.quantity}</td>
+        <td>${REMOVAL_REASONS[entry.reason]}</td>
+        <td>${escapeHtml(entry.location)}</td>
+        <td>${escapeHtml(entry.sheetName || "—")}</td>
+        <td>${escapeHtml(entry.user || "—")}</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`
+        : `<div class="no-results"><p>Nothing was disposed of in this period.</p></div>`
+    }
+  </div>
+`,
+    }),
+  );
+});
+
+export default router;
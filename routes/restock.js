@@ -0,0 +1,119 @@
+import express from "express";
+import {
+  getParLevels,
+  addParLevel,
+  updateParLevel,
+} from "../storage/inventory.js";
+import { can } from "../lib/auth.js";
+import { isSameDose } from "../lib/dose.js";
+import { computeRestockList, getRestockWriteStatus } from "../lib/restock.js";
+import { afterStockChange } from "../lib/stockEvents.js";
+import { renderLayout, escapeHtml } from "../views/layout.js";
+
+const router = express.Router();
+
+const STATUS_LABELS = {
+  "out-of-stock": '<span class="tag expired">Out of stock</span>',
+  "below-par": '<span class="tag expiring">Below par</span>',
+};
+
+function renderWriteStatus() {
+  const { tab, lastWrite } = getRestockWriteStatus();
+  if (!tab) return "";
+  if (!lastWrite) {
+    return `<p>This list is copied to the "${escapeHtml(tab)}" tab after every stock change.</p>`;
+  }
+  return lastWrite.ok
+    ? `<p>Copied to the "${escapeHtml(tab)}" tab at ${escapeHtml(lastWrite.at)}.</p>`
+    : `<div class="notice">Writing the "${escapeHtml(tab)}" tab failed at ${escapeHtml(lastWrite.at)}: ${escapeHtml(lastWrite.error)}</div>`;
+}
+
+router.get("/restock", async (req, res) => {
+  const list = await computeRestockList();
+  const canEdit = can(req.user, "manageParLevels");
+  const dash = (value) => (value === null ? "—" : value);
+
+  const table =
+    list.length > 0
+      ? `<table class="top-table">
+      <tr><th>Name</th><th>Dose</th><th>On Hand</th><th>Par Level</th><th>Reorder Qty</th><th>Suggested Order</th><th>Status</th></tr>
+      ${list
+        .map(
+          (item) => `
+      <tr>
+        <td>${escapeHtml(item.name)}</td>
+        <td>${escapeHtml(item.dose)}</td>
+        <td>${item.onHand}</td>
+        <td>${dash(item.parLevel)}</td>
+        <td>${dash(item.reorderQuantity)}</td>
+        <td>${dash(item.suggestedOrder)}</td>
+        <td>${STATUS_LABELS[item.status]}</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>`
+      : `<div class="no-results"><p>Nothing needs restocking.</p></div>`;
+
+  const parForm = canEdit
+    ? `
+    <div class="subsection-title">Set Par Level</div>
+    <form action="/restock/par" method="POST">
+      <label>Medication Name</label>
+      <input type="text" name="name" required />
+      <label>Dose</label>
+      <input type="text" name="dose" required />
+      <label>Par Level (minimum to keep on hand)</label>
+      <input type="number" name="parLevel" min="0" required />
+      <label>Reorder Quantity</label>
+      <input type="number" name="reorderQuantity" min="0" value="0" />
+      <button type="submit">Save</button>
+    </form>`
+    : "";
+
+  res.send(
+    renderLayout({
+      title: "Restock List",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${renderWriteStatus()}
+    ${table}
+    ${parForm}
+  </div>
+`,
+    }),
+  );
+});
+
+// Add or change the par level for a name + dose
+router.post("/restock/par", async (req, res) => {
+  if (!can(req.user, "manageParLevels")) {
+    return res
+      .status(403)
+      .send("Only a pharmacist or admin can set par levels");
+  }
+  const name = (req.body.name || "").trim();
+  const dose = (req.body.dose || "").trim();
+  const parLevel = parseInt(req.body.parLevel);
+  const reorderQuantity = parseInt(req.body.reorderQuantity) || 0;
+  if (!name || !dose || !(parLevel >= 0) || reorderQuantity < 0) {
+    return res
+      .status(400)
+      .send("Name, dose and a par level of 0 or more are required");
+  }
+
+  const existing = (await getParLevels()).find(
+    (par) =>
+      par.name.toLowerCase() === name.toLowerCase() &&
+      isSameDose(par.dose, dose),
+  );
+  if (existing) {
+    await updateParLevel(existing.rowIndex, { parLevel, reorderQuantity });
+  } else {
+    await addParLevel({ name, dose, parLevel, reorderQuantity });
+  }
+  await afterStockChange();
+  res.redirect("/restock");
+});
+
+export default router;
@@ -0,0 +1,186 @@
+import express from "express";
+import {
+  getStashes,
+  addStash,
+  updateStash,
+  getUsers,
+  listTabs,
+  migrateLegacyStashTab,
+} from "../storage/inventory.js";
+import { can, requireRole } from "../lib/auth.js";
+import {
+  SHARED_INVENTORY,
+  canManageStash,
+  canUseStash,
+  findStash,
+} from "../lib/inventories.js";
+import { renderLayout, escapeHtml } from "../views/layout.js";
+
+const router = express.Router();
+
+// The stash that used to be reached with the "sparkles++" search prefix
+const LEGACY_STASH = "Angie Stash";
+
+// Startup: register the legacy stash tab if nothing is configured yet, then
+// bring any stash tabs still on the old column layout up to date
+export async function ensureStashes() {
+  let stashes = await getStashes();
+  if (stashes.length === 0) {
+    const tabs = await listTabs();
+    if (tabs.some((t) => t.toLowerCase() === LEGACY_STASH.toLowerCase())) {
+      await addStash({
+        name: LEGACY_STASH,
+        owner: process.env.LEGACY_STASH_OWNER || "",
+        members: [],
+      });
+      console.log(`Registered existing '${LEGACY_STASH}' tab as a stash`);
+      stashes = await getStashes();
+    }
+  }
+  for (const stash of stashes) {
+    try {
+      await migrateLegacyStashTab(stash.name);
+    } catch (err) {
+      console.error(`Error migrating stash '${stash.name}':`, err);
+    }
+  }
+}
+
+function parseMembers(members) {
+  return [
+    ...new Set(
+      (members || "")
+        .split(",")
+        .map((m) => m.trim())
+        .filter(Boolean),
+    ),
+  ];
+}
+
+// Stash names become sheet names and A1 ranges, so keep them simple
+function validateStashName(name, tabs) {
+  if (!name) return "A stash name is required";
+  if (name.toLowerCase() === SHARED_INVENTORY) return `"${name}" is reserved`;
+  if (/[!'"\[\]*?:\/\\]/.test(name)) {
+    return "Stash names can't contain ! ' \" [ ] * ? : / or \\";
+  }
+  if (tabs.some((t) => t.toLowerCase() === name.toLowerCase())) {
+    return `A tab called "${name}" already exists`;
+  }
+  return "";
+}
+
+// Stashes this user can open; admins also see inactive ones so they can re-enable them
+router.get("/stashes", async (req, res) => {
+  const isAdmin = can(req.user, "manageStashes");
+  const stashes = (await getStashes()).filter(
+    (stash) => isAdmin || canUseStash(req.user, stash),
+  );
+  const usernames = (await getUsers()).map((u) => u.username);
+
+  const rows = stashes
+    .map((stash, i) => {
+      const manage = canManageStash(req.user, stash);
+      return `
+      <tr>
+        <td>${escapeHtml(stash.name)}</td>
+        <td>${
+          isAdmin
+            ? `<input type="text" name="owner" form="stash${i}" value="${escapeHtml(stash.owner)}" list="usernames" />`
+            : escapeHtml(stash.owner || "—")
+        }</td>
+        <td>${
+          manage
+            ? `<input type="text" name="members" form="stash${i}" value="${escapeHtml(stash.members.join(", "))}" placeholder="Comma-separated usernames" />`
+            : escapeHtml(stash.members.join(", ") || "—")
+        }</td>
+        <td>${
+          isAdmin
+            ? `<input type="checkbox" name="active" value="true" form="stash${i}"${stash.active ? " checked" : ""} />`
+            : stash.active
+              ? "Yes"
+              : "No"
+        }</td>
+        <td>${manage ? `<button type="submit" form="stash${i}">Save</button>` : ""}</td>
+      </tr>`;
+    })
+    .join("");
+
+  const forms = stashes
+    .map(
+      (stash, i) => `
+    <form id="stash${i}" action="/stashes/update" method="POST" hidden>
+      <input type="hidden" name="name" value="${escapeHtml(stash.name)}" />
+    </form>`,
+    )
+    .join("");
+
+  res.send(
+    renderLayout({
+      title: "Stashes",
+      user: req.user,
+      content: `
+  <div class="container">
+    ${
+      stashes.length > 0
+        ? `<table class="top-table">
+      <tr><th>Name</th><th>Owner</th><th>Members</th><th>Active</th><th></th></tr>
+      ${rows}
+    </table>
+    ${forms}`
+        : `<div class="no-results"><p>You don't have access to any stashes.</p></div>`
+    }
+    <datalist id="usernames">
+      ${usernames.map((u) => `<option value="${escapeHtml(u)}"></option>`).join("")}
+    </datalist>
+    ${
+      isAdmin
+        ? `
+    <div class="subsection-title">Add Stash</div>
+    <form action="/stashes" method="POST">
+      <label>Name</label>
+      <input type="text" name="name" required />
+      <label>Owner</label>
+      <input type="text" name="owner" list="usernames" required />
+      <label>Members</label>
+      <input type="text" name="members" placeholder="Comma-separated usernames" />
+      <button type="submit">Add Stash</button>
+    </form>`
+        : ""
+    }
+  </div>
+`,
+    }),
+  );
+});
+
+router.post("/stashes", requireRole("admin"), async (req, res) => {
+  const name = (req.body.name || "").trim();
+  const owner = (req.body.owner || "").trim();
+  const error = validateStashName(name, await listTabs());
+  if (error) return res.status(400).send(escapeHtml(error));
+  if (!owner) return res.status(400).send("A stash needs an owner");
+  await addStash({ name, owner, members: parseMembers(req.body.members) });
+  console.log(`${req.user.username} created stash '${name}'`);
+  res.redirect("/stashes");
+});
+
+// Owners can change members; only admins can hand a stash over or switch it off
+router.post("/stashes/update", async (req, res) => {
+  const stash = findStash(await getStashes(), req.body.name);
+  if (!stash) return res.status(404).send("Unknown stash");
+  if (!canManageStash(req.user, stash)) {
+    return res
+      .status(403)
+      .send("Only the owner or an admin can change a stash");
+  }
+  const isAdmin = can(req.user, "manageStashes");
+  await updateStash(stash.rowIndex, {
+    owner: isAdmin ? (req.body.owner || "").trim() || stash.owner : stash.owner,
+    members: parseMembers(req.body.members),
+    active: isAdmin ? req.body.active === "true" : stash.active,
+  });
+  res.redirect("/stashes");
+});
+
+export default router;
@@ -0,0 +1,228 @@
+import express from "express";
+import {
+  getLocationCatalogOrder,
+  getMedicationCatalog,
+  getStockRows,
+} from "../storage/inventory.js";
+import { can } from "../lib/auth.js";
+import { authenticateWitness, isControlled } from "../lib/controlled.js";
+import { isSameMedication, compareLotAge } from "../lib/lots.js";
+import { SHARED_INVENTORY, SHARED_SHEETS } from "../lib/inventories.js";
+import {
+  getAccessibleStashes,
+  canUseSheet,
+  transferStock,
+} from "../lib/stock.js";
+import { StockWriteError, WitnessRequiredError } from "../lib/stockPlan.js";
+import { afterStockChange } from "../lib/stockEvents.js";
+import {
+  renderLayout,
+  renderWitnessFields,
+  escapeHtml,
+} from "../views/layout.js";
+
+const router = express.Router();
+
+// HTTP status for each transferStock failure
+export const TRANSFER_STATUS = {
+  "not-allowed": 403,
+  invalid: 400,
+  "not-found": 404,
+  insufficient: 409,
+  conflict: 409,
+};
+
+function searchLink(sheetName, name) {
+  const inventory = SHARED_SHEETS.includes(sheetName)
+    ? SHARED_INVENTORY
+    : sheetName;
+  return `/search?inventory=${encodeURIComponent(inventory)}&name=${encodeURIComponent(name)}`;
+}
+
+function renderTransferError(req, res, status, message, backLink) {
+  res.status(status).send(
+    renderLayout({
+      title: "Can't Transfer",
+      user: req.user,
+      content: `
+  <div class="container">
+    <div class="notice">${escapeHtml(message)}</div>
+    <a href="${escapeHtml(backLink)}">Back to inventory</a>
+  </div>
+`,
+    }),
+  );
+}
+
+// Transfer form for one medication at one location on a sheet
+router.get("/transfer", async (req, res) => {
+  const { sheetName = "", name = "", dose = "", location = "" } = req.query;
+  if (!(await canUseSheet(req.user, sheetName))) {
+    return res.status(403).send("You don't have access to that stock");
+  }
+  const lots = (await getStockRows(sheetName))
+    .filter((row) => isSameMedication(row, { name, dose, location }))
+    .sort(compareLotAge);
+  if (lots.length === 0) {
+    return renderTransferError(
+      req,
+      res,
+      404,
+      "That medication is no longer at this location",
+      searchLink(sheetName, name),
+    );
+  }
+  const total = lots.reduce(
+    (sum, lot) => sum + (parseInt(lot.quantity) || 0),
+    0,
+  );
+
+  // Shared stock goes to whichever sheet holds the new location
+  const inventories = [
+    [SHARED_INVENTORY, "Shared stock (the location's sheet)"],
+    ...(await getAccessibleStashes(req.user)).map((stash) => [
+      stash.name,
+      stash.name,
+    ]),
+  ];
+  const current = SHARED_SHEETS.includes(sheetName)
+    ? SHARED_INVENTORY
+    : sheetName;
+  const describe = (lot) =>
+    `${lot.lot || "No lot #"}${lot.expiration ? ` · exp ${lot.expiration}` : ""} · qty ${lot.quantity}`;
+
+  res.send(
+    renderLayout({
+      title: "Transfer Stock",
+      user: req.user,
+      content: `
+  <div class="container">
+    <p><strong>${escapeHtml(lots[0].name)} ${escapeHtml(lots[0].dose)}</strong>:
+    ${total} at ${escapeHtml(location || "no location")} on ${escapeHtml(sheetName)}</p>
+    <form action="/transfer" method="POST">
+      <input type="hidden" name="sheetName" value="${escapeHtml(sheetName)}" />
+      <input type="hidden" name="name" value="${escapeHtml(name)}" />
+      <input type="hidden" name="dose" value="${escapeHtml(dose)}" />
+      <input type="hidden" name="location" value="${escapeHtml(location)}" />
+      <input type="hidden" name="expectedQuantity" value="${total}" />
+
+      <label>Lot</label>
+      <select name="lotRow">
+        ${lots.length > 1 ? `<option value="">Oldest first (${lots.length} lots)</option>` : ""}
+        ${lots
+          .map(
+            (lot) =>
+              `<option value="${lot.rowIndex}">${escapeHtml(describe(lot))}</option>`,
+          )
+          .join("")}
+      </select>
+
+      <label>Quantity to Move</label>
+      <input type="number" name="quantity" min="1" max="${total}" required />
+
+      <label>New Location</label>
+      <select name="toLocation" required>
+        <option value="">-- Select Location --</option>
+        ${(await getLocationCatalogOrder())
+          .map(
+            (loc) =>
+              `<option value="${escapeHtml(loc)}">${escapeHtml(loc)}</option>`,
+          )
+          .join("")}
+      </select>
+
+      <label>Inventory</label>
+      <select name="toSheet">
+        ${inventories
+          .map(
+            ([value, label]) =>
+              `<option value="${escapeHtml(value)}"${value === current ? " selected" : ""}>${escapeHtml(label)}</option>`,
+          )
+          .join("")}
+      </select>
+      ${isControlled(await getMedicationCatalog(), lots) ? renderWitnessFields() : ""}
+      <button type="submit">Transfer</button>
+    </form>
+    <a href="${escapeHtml(searchLink(sheetName, name))}">Back to inventory</a>
+  </div>
+`,
+    }),
+  );
+});
+
+router.post("/transfer", async (req, res) => {
+  const { sheetName = "", name = "", toSheet = "" } = req.body;
+  if (!can(req.user, "transferStock")) {
+    return res.status(403).send("Your role can't transfer stock");
+  }
+  const quantity = parseInt(req.body.quantity) || 0;
+  if (!sheetName || !name || !toSheet || quantity <= 0) {
+    return res
+      .status(400)
+      .send("Medication, destination and a quantity of 1 or more are required");
+  }
+
+  const witnessed = await authenticateWitness(req.body.witness, req.user);
+  if (witnessed.error) {
+    return renderTransferError(
+      req,
+      res,
+      403,
+      witnessed.error,
+      searchLink(sheetName, name),
+    );
+  }
+
+  let result;
+  try {
+    result = await transferStock(
+      {
+        sheetName,
+        name,
+        dose: req.body.dose || "",
+        location: req.body.location || "",
+        quantity,
+        lotRow: req.body.lotRow || "",
+        expectedQuantity: req.body.expectedQuantity,
+        toSheet,
+        toLocation: req.body.toLocation || "",
+      },
+      req.user,
+      { witness: witnessed.witness, requireWitness: true },
+    );
+  } catch (error) {
+    if (error instanceof WitnessRequiredError) {
+      result = { status: "not-allowed", message: error.message };
+    } else if (error instanceof StockWriteError) {
+      if (error.stockSaved) await afterStockChange();
+      return renderTransferError(
+        req,
+        res,
+        error.stockSaved ? 500 : 503,
+        error.stockSaved
+          ? "The stock was moved but the activity log could not be updated; please let an admin know."
+          : "The spreadsheet couldn't be updated; nothing was moved.",
+        searchLink(sheetName, name),
+      );
+    } else {
+      throw error;
+    }
+  }
+  if (result.status !== "ok") {
+    const message =
+      result.status === "conflict" && result.current !== undefined
+        ? `${result.message}: there are now ${result.current}`
+        : result.message;
+    return renderTransferError(
+      req,
+      res,
+      TRANSFER_STATUS[result.status] || 400,
+      message,
+      searchLink(sheetName, name),
+    );
+  }
+  await afterStockChange();
+  res.redirect(searchLink(result.toSheet, name));
+});
+
+export default router;
@@ -0,0 +1,201 @@
+import express from "express";
+import { getUsers, addUser, updateUser } from "../storage/inventory.js";
+import {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  destroySession,
+  endSessionsFor,
+  requireLogin,
+  requireRole,
+} from "../lib/auth.js";
+import { renderLayout, escapeHtml } from "../views/layout.js";
+
+const router = express.Router();
+
+// First run: create the admin from ADMIN_USERNAME / ADMIN_PASSWORD if there are no users yet
+export async function ensureAdminUser() {
+  const users = await getUsers();
+  if (users.length > 0) return;
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn(
+      "No users exist yet. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.",
+    );
+    return;
+  }
+  await addUser({
+    username: ADMIN_USERNAME,
+    passwordHash: hashPassword(ADMIN_PASSWORD),
+    role: "admin",
+  });
+  console.log(`Created admin user "${ADMIN_USERNAME}"`);
+}
+
+function findUser(users, username) {
+  return users.find(
+    (u) => u.username.toLowerCase() === (username || "").trim().toLowerCase(),
+  );
+}
+
+// Only allow redirects back into this app after login
+function safeNext(next) {
+  return typeof next === "string" &&
+    next.startsWith("/") &&
+    !next.startsWith("//")
+    ? next
+    : "/";
+}
+
+function renderLoginPage({ next = "/", error = "" }) {
+  return renderLayout({
+    title: "Volunteer Login",
+    content: `
+  <div class="container">
+    ${error ? `<div class="notice">${escapeHtml(error)}</div>` : ""}
+    <form action="/login" method="POST">
+      <input type="hidden" name="next" value="${escapeHtml(next)}" />
+      <label>Username</label>
+      <input type="text" name="username" required autocomplete="username" />
+      <label>Password</label>
+      <input type="password" name="password" required autocomplete="current-password" />
+      <button type="submit">Log in</button>
+    </form>
+  </div>
+`,
+  });
+}
+
+router.get("/login", (req, res) => {
+  if (req.user) return res.redirect(safeNext(req.query.next));
+  res.send(renderLoginPage({ next: safeNext(req.query.next) }));
+});
+
+router.post("/login", async (req, res) => {
+  const { username, password, next } = req.body;
+  const user = findUser(await getUsers(), username);
+  if (!user || !user.active || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).send(
+      renderLoginPage({
+        next: safeNext(next),
+        error: "Incorrect username or password.",
+      }),
+    );
+  }
+  createSession(res, user);
+  console.log(`${user.username} logged in`);
+  res.redirect(safeNext(next));
+});
+
+router.post("/logout", (req, res) => {
+  destroySession(req, res);
+  res.redirect("/login");
+});
+
+// User management (admin only)
+router.get("/users", requireLogin, requireRole("admin"), async (req, res) => {
+  const users = await getUsers();
+  const roleOptions = (selected) =>
+    ROLES.map(
+      (role) =>
+        `<option value="${role}"${role === selected ? " selected" : ""}>${role}</option>`,
+    ).join("");
+
+  res.send(
+    renderLayout({
+      title: "Users",
+      user: req.user,
+      content: `
+  <div class="container">
+    <table class="top-table">
+      <tr><th>Username</th><th>Role</th><th>Active</th><th>New Password</th><th></th></tr>
+      ${users
+        .map(
+          (user, i) => `
+      <tr>
+        <td>${escapeHtml(user.username)}</td>
+        <td><select name="role" form="user${i}">${roleOptions(user.role)}</select></td>
+        <td><input type="checkbox" name="active" value="true" form="user${i}"${user.active ? " checked" : ""} /></td>
+        <td><input type="password" name="password" form="user${i}" placeholder="Leave blank to keep" autocomplete="new-password" /></td>
+        <td><button type="submit" form="user${i}">Save</button></td>
+      </tr>`,
+        )
+        .join("")}
+    </table>
+    ${users
+      .map(
+        (user, i) => `
+    <form id="user${i}" action="/users/update" method="POST" hidden>
+      <input type="hidden" name="username" value="${escapeHtml(user.username)}" />
+    </form>`,
+      )
+      .join("")}
+
+    <div class="subsection-title">Add User</div>
+    <form action="/users" method="POST">
+      <label>Username</label>
+      <input type="text" name="username" required />
+      <label>Password</label>
+      <input type="password" name="password" required autocomplete="new-password" />
+      <label>Role</label>
+      <select name="role">${roleOptions("volunteer")}</select>
+      <button type="submit">Add User</button>
+    </form>
+  </div>
+`,
+    }),
+  );
+});
+
+router.post("/users", requireLogin, requireRole("admin"), async (req, res) => {
+  const { username, password, role } = req.body;
+  if (!username || !password || !ROLES.includes(role)) {
+    return res
+      .status(400)
+      .send("Username, password and a valid role are required");
+  }
+  if (findUser(await getUsers(), username)) {
+    return res
+      .status(409)
+      .send(`User "${escapeHtml(username)}" already exists`);
+  }
+  await addUser({
+    username: username.trim(),
+    passwordHash: hashPassword(password),
+    role,
+  });
+  res.redirect("/users");
+});
+
+router.post(
+  "/users/update",
+  requireLogin,
+  requireRole("admin"),
+  async (req, res) => {
+    const { username, password, role, active } = req.body;
+    const user = findUser(await getUsers(), username);
+    if (!user || !ROLES.includes(role)) {
+      return res.status(400).send("Unknown user or role");
+    }
+    // Keep at least one way back in: admins can't demote or deactivate themselves
+    if (
+      user.username.toLowerCase() === req.user.username.toLowerCase() &&
+      (role !== "admin" || active !== "true")
+    ) {
+      return res.status(400).send("You can't remove your own admin access");
+    }
+    await updateUser(user.rowIndex, {
+      passwordHash: password ? hashPassword(password) : user.passwordHash,
+      role,
+      active: active === "true",
+    });
+    // Role or access changed: make them log in again (but don't kick the admin doing the editing)
+    if (user.username.toLowerCase() !== req.user.username.toLowerCase()) {
+      endSessionsFor(user.username);
+    }
+    res.redirect("/users");
+  },
+);
+
+export default router;
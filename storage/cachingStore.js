@@ -0,0 +1,105 @@
+// Read-through cache in front of another store. getValues results are kept per
+// range for ttlMs and every write to a tab drops that tab's cached ranges, so
+// our own changes show up at once; edits made directly in the spreadsheet show
+// up once the entries expire (or at once for a fresh read). Concurrent reads of
+// the same range share one call.
+
+function tabKey(sheetName) {
+  return sheetName
+    .replace(/^'(.*)'$/, "$1")
+    .trim()
+    .toLowerCase();
+}
+
+function tabOfRange(range) {
+  const bang = range.lastIndexOf("!");
+  return tabKey(bang === -1 ? range : range.slice(0, bang));
+}
+
+export function createCachingStore(store, { ttlMs }) {
+  const values = new Map(); // tab -> Map(range -> { expires, promise })
+  let tabs = null; // { expires, promise } for listTabs
+
+  function invalidate(sheetName) {
+    values.delete(tabKey(sheetName));
+  }
+
+  // Run a write, then forget what we had cached for the tabs it touches. Dropping
+  // them again after the write keeps a read that started mid-write from being kept.
+  async function writeTo(sheetNames, write) {
+    const forget = () => [sheetNames].flat().forEach(invalidate);
+    forget();
+    try {
+      return await write();
+    } finally {
+      forget();
+    }
+  }
+
+  return {
+    async listTabs() {
+      if (!tabs || tabs.expires <= Date.now()) {
+        const promise = store.listTabs();
+        tabs = { expires: Date.now() + ttlMs, promise };
+        promise.catch(() => {
+          if (tabs?.promise === promise) tabs = null;
+        });
+      }
+      return [...(await tabs.promise)];
+    },
+
+    async addTab(sheetName, headers) {
+      tabs = null;
+      return writeTo(sheetName, () => store.addTab(sheetName, headers));
+    },
+
+    // fresh skips the cache (and refreshes it), for reads a write is checked
+    // against
+    async getValues(range, { fresh = false } = {}) {
+      const tab = tabOfRange(range);
+      if (!values.has(tab)) values.set(tab, new Map());
+      const ranges = values.get(tab);
+      let entry = ranges.get(range);
+      if (fresh || !entry || entry.expires <= Date.now()) {
+        const promise = store.getValues(range);
+        entry = { expires: Date.now() + ttlMs, promise };
+        ranges.set(range, entry);
+        // Don't keep failures around
+        promise.catch(() => {
+          if (values.get(tab)?.get(range) === entry) ranges.delete(range);
+        });
+      }
+      // Copies, so callers can't change what the next reader gets
+      return (await entry.promise).map((row) => [...row]);
+    },
+
+    async updateValues(range, rows) {
+      return writeTo(tabOfRange(range), () => store.updateValues(range, rows));
+    },
+
+    async appendValues(range, rows) {
+      return writeTo(tabOfRange(range), () => store.appendValues(range, rows));
+    },
+
+    async insertRows(sheetName, startIndex, count) {
+      return writeTo(sheetName, () =>
+        store.insertRows(sheetName, startIndex, count),
+      );
+    },
+
+    async deleteRows(sheetName, rowNumbers) {
+      return writeTo(sheetName, () => store.deleteRows(sheetName, rowNumbers));
+    },
+
+    async sortRows(sheetName, options) {
+      return writeTo(sheetName, () => store.sortRows(sheetName, options));
+    },
+
+    async batchWrite(operations) {
+      return writeTo(
+        operations.map((op) => op.sheetName ?? tabOfRange(op.range)),
+        () => store.batchWrite(operations),
+      );
+    },
+  };
+}
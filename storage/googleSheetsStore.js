@@ -0,0 +1,270 @@
+import { google } from "googleapis";
+
+// "Sheet!B5" or "'Sheet'!A2:P3" -> sheet name and zero-based top-left cell
+function parseStartCell(range) {
+  const bang = range.lastIndexOf("!");
+  const sheetName = range.slice(0, bang).replace(/^'(.*)'$/, "$1");
+  const match = range.slice(bang + 1).match(/^([A-Z]+)(\d+)?/i);
+  let columnIndex = 0;
+  for (const ch of match[1].toUpperCase()) {
+    columnIndex = columnIndex * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return {
+    sheetName,
+    columnIndex: columnIndex - 1,
+    rowIndex: match[2] ? parseInt(match[2]) - 1 : 0,
+  };
+}
+
+// Cell values as written with valueInputOption RAW: numbers stay numbers,
+// everything else is stored as text without being parsed
+function toRowData(values) {
+  return values.map((row) => ({
+    values: row.map((value) => ({
+      userEnteredValue:
+        typeof value === "number"
+          ? { numberValue: value }
+          : {
+              stringValue:
+                value === undefined || value === null ? "" : String(value),
+            },
+    })),
+  }));
+}
+
+// Google Sheets backend: every call goes straight to the live spreadsheet
+// (createStore puts cachingStore.js in front of it for reads)
+export async function createGoogleSheetsStore({
+  credentials,
+  spreadsheetId,
+  sheetIdTtlMs,
+}) {
+  let auth;
+  try {
+    auth = new google.auth.JWT({
+      email: credentials.client_email,
+      key: credentials.private_key.replace(/\\n/g, "\n"),
+      scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+    });
+    await auth.authorize();
+    console.log("Google Sheets authentication successful");
+  } catch (error) {
+    console.error("Google Sheets authentication failed:", error);
+    throw new Error("Authentication setup failed");
+  }
+  const sheets = google.sheets({ version: "v4", auth });
+
+  // Sheet IDs don't change unless a tab is deleted and re-created, so the
+  // title -> sheetId map is fetched once per sheetIdTtlMs instead of per write
+  let sheetIds = null; // { expires, promise }
+
+  function fetchSheetIds() {
+    if (!sheetIds || sheetIds.expires <= Date.now()) {
+      const promise = sheets.spreadsheets
+        .get({ spreadsheetId, fields: "sheets.properties" })
+        .then((response) =>
+          response.data.sheets.map((s) => ({
+            title: s.properties.title,
+            sheetId: s.properties.sheetId,
+          })),
+        );
+      sheetIds = { expires: Date.now() + sheetIdTtlMs, promise };
+      promise.catch(() => {
+        if (sheetIds?.promise === promise) sheetIds = null;
+      });
+    }
+    return sheetIds.promise;
+  }
+
+  // Look up a sheet ID by name (robust to invisible/trailing spaces and case)
+  async function getSheetIdByName(sheetName) {
+    const sheet = (await fetchSheetIds()).find(
+      (s) => s.title.trim().toLowerCase() === sheetName.trim().toLowerCase(),
+    );
+    if (!sheet) {
+      sheetIds = null; // maybe added since; look again next time
+      throw new Error(`Sheet "${sheetName}" not found.`);
+    }
+    return sheet.sheetId;
+  }
+
+  async function sendRequests(requests) {
+    if (requests.length === 0) return;
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: { requests },
+    });
+  }
+
+  // batchUpdate requests for one write (see batchWrite)
+  async function toRequests(operation) {
+    switch (operation.type) {
+      case "update": {
+        const { sheetName, rowIndex, columnIndex } = parseStartCell(
+          operation.range,
+        );
+        return [
+          {
+            updateCells: {
+              start: {
+                sheetId: await getSheetIdByName(sheetName),
+                rowIndex,
+                columnIndex,
+              },
+              rows: toRowData(operation.values),
+              fields: "userEnteredValue",
+            },
+          },
+        ];
+      }
+      case "append": {
+        const { sheetName } = parseStartCell(operation.range);
+        return [
+          {
+            appendCells: {
+              sheetId: await getSheetIdByName(sheetName),
+              rows: toRowData(operation.values),
+              fields: "userEnteredValue",
+            },
+          },
+        ];
+      }
+      case "insertRows": {
+        const { sheetName, startIndex, count = 1 } = operation;
+        return [
+          {
+            insertDimension: {
+              range: {
+                sheetId: await getSheetIdByName(sheetName),
+                dimension: "ROWS",
+                startIndex,
+                endIndex: startIndex + count,
+              },
+              inheritFromBefore: false,
+            },
+          },
+        ];
+      }
+      case "deleteRows": {
+        const sheetId = await getSheetIdByName(operation.sheetName);
+        return [...operation.rowNumbers]
+          .sort((a, b) => b - a)
+          .map((rowNumber) => ({
+            deleteDimension: {
+              range: {
+                sheetId,
+                dimension: "ROWS",
+                startIndex: rowNumber - 1, // zero based
+                endIndex: rowNumber,
+              },
+            },
+          }));
+      }
+      case "sortRows":
+        return [
+          {
+            sortRange: {
+              range: {
+                sheetId: await getSheetIdByName(operation.sheetName),
+                startRowIndex: 1, // skip header row; no end row sorts to the bottom
+                startColumnIndex: 0,
+                endColumnIndex: operation.columnCount,
+              },
+              sortSpecs: operation.sortColumns.map((dimensionIndex) => ({
+                dimensionIndex,
+                sortOrder: "ASCENDING",
+              })),
+            },
+          },
+        ];
+      default:
+        throw new Error(`Unknown write "${operation.type}"`);
+    }
+  }
+
+  return {
+    async listTabs() {
+      return (await fetchSheetIds()).map((s) => s.title.trim());
+    },
+
+    // Create a new tab with the given header row
+    async addTab(sheetName, headers) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+          requests: [{ addSheet: { properties: { title: sheetName } } }],
+        },
+      });
+      sheetIds = null;
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${sheetName}!A1`,
+        valueInputOption: "RAW",
+        resource: { values: [headers] },
+      });
+    },
+
+    async getValues(range) {
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range,
+      });
+      return response.data.values || [];
+    },
+
+    async updateValues(range, values) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range,
+        valueInputOption: "RAW",
+        resource: { values },
+      });
+    },
+
+    async appendValues(range, values) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range,
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        resource: { values },
+      });
+    },
+
+    // Insert empty rows before zero-based startIndex
+    async insertRows(sheetName, startIndex, count = 1) {
+      await sendRequests(
+        await toRequests({ type: "insertRows", sheetName, startIndex, count }),
+      );
+    },
+
+    // Delete rows by 1-based sheet row number; deletes bottom-up so indices don't shift
+    async deleteRows(sheetName, rowNumbers) {
+      await sendRequests(
+        await toRequests({ type: "deleteRows", sheetName, rowNumbers }),
+      );
+    },
+
+    // Sort everything below the header row by the given zero-based columns
+    async sortRows(sheetName, { columnCount, sortColumns }) {
+      await sendRequests(
+        await toRequests({
+          type: "sortRows",
+          sheetName,
+          columnCount,
+          sortColumns,
+        }),
+      );
+    },
+
+    // Apply several writes as one batchUpdate, which Sheets applies all
+    // together or not at all
+    async batchWrite(operations) {
+      const requests = [];
+      for (const operation of operations) {
+        requests.push(...(await toRequests(operation)));
+      }
+      await sendRequests(requests);
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import { createGoogleSheetsStore } from "./googleSheetsStore.js";
+import { createLocalStore } from "./localStore.js";
+import { createCachingStore } from "./cachingStore.js";
+import { TAB_HEADERS } from "./schema.js";
+
+function cacheSeconds(value, fallback) {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : fallback;
+}
+
+// Pick the storage backend from config.
+// INVENTORY_BACKEND=sheets (default) uses GOOGLE_SHEETS_CREDENTIALS + GOOGLE_SHEET_ID,
+// INVENTORY_BACKEND=local uses a JSON file at LOCAL_INVENTORY_FILE.
+// Sheets reads are cached for SHEETS_CACHE_SECONDS (default 30, 0 turns it off)
+// and sheet IDs for SHEET_ID_CACHE_SECONDS (default 600).
+export async function createStore(config = process.env) {
+  const backend = (config.INVENTORY_BACKEND || "sheets").trim().toLowerCase();
+  if (backend === "local") {
+    return createLocalStore({
+      file: config.LOCAL_INVENTORY_FILE || ".data/inventory.json",
+      tabs: TAB_HEADERS,
+    });
+  }
+  if (backend === "sheets") {
+    if (!config.GOOGLE_SHEETS_CREDENTIALS) {
+      throw new Error(
+        "GOOGLE_SHEETS_CREDENTIALS is required for INVENTORY_BACKEND=sheets",
+      );
+    }
+    const sheetsStore = await createGoogleSheetsStore({
+      credentials: JSON.parse(config.GOOGLE_SHEETS_CREDENTIALS),
+      spreadsheetId: config.GOOGLE_SHEET_ID,
+      sheetIdTtlMs: cacheSeconds(config.SHEET_ID_CACHE_SECONDS, 600) * 1000,
+    });
+    const ttlMs = cacheSeconds(config.SHEETS_CACHE_SECONDS, 30) * 1000;
+    return ttlMs > 0 ? createCachingStore(sheetsStore, { ttlMs }) : sheetsStore;
+  }
+  throw new Error(`Unknown INVENTORY_BACKEND "${backend}"`);
+}
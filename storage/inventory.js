@@ -0,0 +1,935 @@
+import crypto from "node:crypto";
+import { createStore } from "./index.js";
+import { TAB_HEADERS, RESTOCK_LIST_HEADERS } from "./schema.js";
+import { isSameDose } from "../lib/dose.js";
+
+// Inventory repository: every read/write of the inventory tabs goes through
+// here so routes don't care which backend is configured.
+const store = await createStore();
+
+// Each stock row is one lot. File Meds, Closet Meds and every stash share the
+// same columns (A:I): Name, Dose, Location, Quantity, Expiration, Lot, Received,
+// Source, Medication ID (the Medication Catalog entry, blank on older rows).
+export const STOCK_HEADERS = TAB_HEADERS["File Meds"];
+const STOCK_FIELDS = [
+  "name",
+  "dose",
+  "location",
+  "quantity",
+  "expiration",
+  "lot",
+  "received",
+  "source",
+  "medicationId",
+];
+const STOCK_RANGE = "A:I";
+
+function columnLetter(field) {
+  return String.fromCharCode(65 + STOCK_FIELDS.indexOf(field));
+}
+
+// A read of a tab that doesn't exist: the stores' own lookup, or the Sheets
+// API rejecting the range
+function isMissingTab(error) {
+  return /not found|Unable to parse range/i.test(error?.message || "");
+}
+
+// Fetch sheet data (default columns A:D). A missing tab reads as empty; any
+// other failure (auth, quota, network) is thrown rather than passed off as no rows.
+// fresh reads the spreadsheet as it is now, past the read cache.
+export async function getSheetData(sheetName, range = "A:D", { fresh } = {}) {
+  try {
+    return await store.getValues(`${sheetName}!${range}`, { fresh });
+  } catch (error) {
+    if (!isMissingTab(error)) throw error;
+    console.error(`Error fetching data from ${sheetName}:`, error);
+    return [];
+  }
+}
+
+// Location Catalog rows in catalog order: Location, Sheet, Active. Rows from
+// before the Sheet column get the old rule: "closet" in the name means Closet Meds.
+export async function getLocations() {
+  const data = await getSheetData("Location Catalog", "A:C");
+  return data
+    .slice(1)
+    .map((row, index) => {
+      const name = (row[0] || "").trim();
+      return {
+        rowIndex: index + 2,
+        name,
+        sheetName:
+          (row[1] || "").trim() ||
+          (name.toLowerCase().includes("closet") ? "Closet Meds" : "File Meds"),
+        active: (row[2] || "TRUE").toUpperCase() !== "FALSE",
+      };
+    })
+    .filter((location) => location.name);
+}
+
+// Active location names in catalog order
+export async function getLocationCatalogOrder() {
+  try {
+    return (await getLocations())
+      .filter((location) => location.active)
+      .map((location) => location.name);
+  } catch (err) {
+    console.error("Error fetching Location Catalog:", err);
+    return [];
+  }
+}
+
+// Rewrite the whole catalog in the given order (blanking leftover rows)
+export function saveLocationsWrites(locations, previousCount) {
+  const values = [
+    TAB_HEADERS["Location Catalog"],
+    ...locations.map((location) => [
+      location.name,
+      location.sheetName,
+      location.active ? "TRUE" : "FALSE",
+    ]),
+  ];
+  while (values.length < previousCount + 1) values.push(["", "", ""]);
+  return [
+    {
+      type: "update",
+      range: `Location Catalog!A1:C${values.length}`,
+      values,
+    },
+  ];
+}
+
+// Point every row at a location to its new name: the Location column of the
+// given stock sheets, Past Medication, Count Sessions, the Controlled Ledger and
+// Quarantine, and the Location and To Location of Activity Records (earlier
+// RENAME entries keep the names they record).
+// Returns { writes, count } with the number of rows changed.
+export async function renameLocationWrites(stockSheets, from, to) {
+  const key = from.trim().toLowerCase();
+  const tabs = [
+    ...stockSheets.map((sheetName) => ({ sheetName, column: "C" })),
+    { sheetName: "Past Medication", column: "C" },
+    { sheetName: "Count Sessions", column: "B" },
+    { sheetName: "Controlled Ledger", column: "E" },
+    { sheetName: "Quarantine", column: "F" },
+  ];
+  const writes = [];
+  for (const { sheetName, column } of tabs) {
+    const data = await getSheetData(sheetName, `${column}:${column}`);
+    data.forEach((row, i) => {
+      if (i > 0 && (row[0] || "").trim().toLowerCase() === key) {
+        writes.push({
+          type: "update",
+          range: `${sheetName}!${column}${i + 1}`,
+          values: [[to]],
+        });
+      }
+    });
+  }
+  // Action (B) through To Location (O)
+  const activity = await getSheetData("Activity Records", "B:O");
+  activity.forEach((row, i) => {
+    if (i === 0 || row[0] === "RENAME") return;
+    [
+      { column: "E", value: row[3] },
+      { column: "O", value: row[13] },
+    ].forEach(({ column, value }) => {
+      if ((value || "").trim().toLowerCase() === key) {
+        writes.push({
+          type: "update",
+          range: `Activity Records!${column}${i + 1}`,
+          values: [[to]],
+        });
+      }
+    });
+  });
+  return { writes, count: writes.length };
+}
+
+// Medication Catalog rows: Medication ID, Generic Name, Strengths, Form,
+// Category, Storage, Rx/OTC, Status, Proposed By, Controlled
+const CATALOG_FIELDS = [
+  "medicationId",
+  "name",
+  "strengths",
+  "form",
+  "category",
+  "storage",
+  "rxOtc",
+  "status",
+  "proposedBy",
+  "controlled",
+];
+
+export async function getMedicationCatalog() {
+  const data = await getSheetData("Medication Catalog", "A:J");
+  return data
+    .slice(1)
+    .map((row, index) => {
+      const entry = { rowIndex: index + 2 };
+      CATALOG_FIELDS.forEach(
+        (field, i) => (entry[field] = (row[i] || "").trim()),
+      );
+      entry.strengths = entry.strengths
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+      entry.status = entry.status.toLowerCase() || "active";
+      entry.controlled = entry.controlled.toUpperCase() === "TRUE";
+      return entry;
+    })
+    .filter((entry) => entry.medicationId && entry.name);
+}
+
+function catalogRow(entry) {
+  return CATALOG_FIELDS.map((field) =>
+    field === "strengths"
+      ? entry.strengths.join(", ")
+      : field === "controlled"
+        ? entry.controlled
+          ? "TRUE"
+          : "FALSE"
+        : (entry[field] ?? ""),
+  );
+}
+
+export async function addCatalogMedication(entry) {
+  await store.appendValues("Medication Catalog!A:J", [catalogRow(entry)]);
+}
+
+// Everything but the Medication ID, which never changes
+export async function updateCatalogMedication(rowIndex, entry) {
+  await store.updateValues(`Medication Catalog!B${rowIndex}:J${rowIndex}`, [
+    catalogRow(entry).slice(1),
+  ]);
+}
+
+// Controlled Ledger rows in the order they were written
+export async function getControlledLedger() {
+  const data = await getSheetData("Controlled Ledger", "A:M");
+  return data
+    .slice(1)
+    .map((row, index) => ({
+      rowIndex: index + 2,
+      timestamp: row[0] || "",
+      sheetName: row[1] || "",
+      name: row[2] || "",
+      dose: row[3] || "",
+      location: row[4] || "",
+      lot: row[5] || "",
+      action: row[6] || "",
+      change: parseInt(row[7]) || 0,
+      balanceBefore: parseInt(row[8]) || 0,
+      balanceAfter: parseInt(row[9]) || 0,
+      user: row[10] || "",
+      witness: row[11] || "",
+      entryId: row[12] || "",
+    }))
+    .filter((entry) => entry.sheetName && entry.name);
+}
+
+export function appendControlledLedgerWrites(entries) {
+  if (entries.length === 0) return [];
+  const timestamp = new Date().toISOString();
+  return [
+    {
+      type: "append",
+      range: "Controlled Ledger!A:M",
+      values: entries.map((entry) => [
+        timestamp,
+        entry.sheetName,
+        entry.name,
+        entry.dose,
+        entry.location,
+        entry.lot || "",
+        entry.action,
+        entry.change,
+        entry.balanceBefore,
+        entry.balanceAfter,
+        entry.user,
+        entry.witness || "",
+        entry.entryId || "",
+      ]),
+    },
+  ];
+}
+
+// Recalls rows: Recall ID, Name, Dose, Lots, Reference, Announced, Status,
+// Created By, Medication ID
+const RECALL_FIELDS = [
+  "recallId",
+  "name",
+  "dose",
+  "lots",
+  "reference",
+  "announced",
+  "status",
+  "createdBy",
+  "medicationId",
+];
+
+// Recalls in the order they were entered; lots is an array (empty for all)
+export async function getRecalls() {
+  const data = await getSheetData("Recalls", "A:I");
+  return data
+    .slice(1)
+    .map((row, index) => {
+      const recall = { rowIndex: index + 2 };
+      RECALL_FIELDS.forEach(
+        (field, i) => (recall[field] = (row[i] || "").trim()),
+      );
+      recall.lots = recall.lots
+        .split(",")
+        .map((lot) => lot.trim())
+        .filter(Boolean);
+      recall.status = recall.status.toLowerCase() || "open";
+      return recall;
+    })
+    .filter((recall) => recall.recallId && recall.name);
+}
+
+export async function addRecall(recall) {
+  await store.appendValues("Recalls!A:I", [
+    RECALL_FIELDS.map((field) =>
+      field === "lots" ? recall.lots.join(", ") : (recall[field] ?? ""),
+    ),
+  ]);
+}
+
+export async function setRecallStatus(rowIndex, status) {
+  await store.updateValues(`Recalls!G${rowIndex}`, [[status]]);
+}
+
+// Quarantine rows: the lot row's own fields plus the recall, its sheet and
+// when it was quarantined and resolved
+const QUARANTINE_FIELDS = [
+  "quarantineId",
+  "recallId",
+  "sheetName",
+  "name",
+  "dose",
+  "location",
+  "quantity",
+  "expiration",
+  "lot",
+  "received",
+  "source",
+  "medicationId",
+  "quarantined",
+  "status",
+  "resolved",
+  "resolvedBy",
+];
+
+// Quarantined lots, oldest first, with quantity as a number
+export async function getQuarantine() {
+  const data = await getSheetData("Quarantine", "A:P");
+  return data
+    .slice(1)
+    .map((row, index) => {
+      const lot = { rowIndex: index + 2 };
+      QUARANTINE_FIELDS.forEach((field, i) => (lot[field] = row[i] || ""));
+      lot.quantity = parseInt(lot.quantity) || 0;
+      lot.status = lot.status.toLowerCase() || "quarantined";
+      return lot;
+    })
+    .filter((lot) => lot.quarantineId);
+}
+
+// New Quarantine rows for lot rows taken off their sheets, stamped now
+export function addQuarantineWrites(lots) {
+  if (lots.length === 0) return [];
+  const quarantined = new Date().toISOString();
+  return [
+    {
+      type: "append",
+      range: "Quarantine!A:P",
+      values: lots.map((lot) =>
+        QUARANTINE_FIELDS.map((field) =>
+          field === "quarantined"
+            ? quarantined
+            : field === "status"
+              ? "quarantined"
+              : (lot[field] ?? ""),
+        ),
+      ),
+    },
+  ];
+}
+
+// Record how a quarantined lot left: returned or destroyed, when and by whom
+export function resolveQuarantineWrites(rowIndex, status, resolvedBy) {
+  return [
+    {
+      type: "update",
+      range: `Quarantine!N${rowIndex}:P${rowIndex}`,
+      values: [[status, new Date().toISOString(), resolvedBy]],
+    },
+  ];
+}
+
+// Point stock rows (1-based sheet rows) at a catalog entry
+export function setMedicationIdWrites(sheetName, rowIndexes, medicationId) {
+  return rowIndexes.map((rowIndex) => ({
+    type: "update",
+    range: `${sheetName}!${columnLetter("medicationId")}${rowIndex}`,
+    values: [[medicationId]],
+  }));
+}
+
+// Newest activity goes on row 2, right under the header. Each entry gets an
+// Entry ID; Sheet and the lot details are kept so the entry can be reversed
+// later, and Reverses links a REVERSAL back to the entry it undid. A TRANSFER
+// records where the stock went in To Location / To Sheet, a REMOVE its Reason.
+// Returns the new Entry ID.
+export async function logActivity(entry) {
+  const entryId = crypto.randomUUID();
+  await store.insertRows("Activity Records", 1, 1);
+  await store.updateValues(
+    "Activity Records!A2:Q2",
+    activityRows([{ ...entry, entryId }]),
+  );
+  return entryId;
+}
+
+// Sheet rows for activity entries (each with its Entry ID), stamped now
+function activityRows(entries) {
+  const formatted = new Date().toLocaleString("en-US", {
+    timeZone: "America/Los_Angeles",
+  });
+  return entries.map(
+    ({
+      action,
+      name,
+      dose,
+      location,
+      quantity,
+      lot = "",
+      user = "",
+      sheetName = "",
+      expiration = "",
+      received = "",
+      source = "",
+      reverses = "",
+      toLocation = "",
+      toSheet = "",
+      reason = "",
+      entryId,
+    }) => [
+      formatted,
+      action,
+      name,
+      dose,
+      location,
+      quantity,
+      lot,
+      user,
+      sheetName,
+      expiration,
+      received,
+      source,
+      entryId,
+      reverses,
+      toLocation,
+      toSheet,
+      reason,
+    ],
+  );
+}
+
+// Activity Records rows, newest first (rowIndex is the 1-based sheet row)
+export async function getActivityRecords() {
+  const data = await getSheetData("Activity Records", "A:Q");
+  return data
+    .slice(1)
+    .map((row, index) => ({
+      rowIndex: index + 2,
+      timestamp: row[0] || "",
+      action: row[1] || "",
+      name: row[2] || "",
+      dose: row[3] || "",
+      location: row[4] || "",
+      quantity: row[5] || "",
+      lot: row[6] || "",
+      user: row[7] || "",
+      sheetName: row[8] || "",
+      expiration: row[9] || "",
+      received: row[10] || "",
+      source: row[11] || "",
+      entryId: row[12] || "",
+      reverses: row[13] || "",
+      toLocation: row[14] || "",
+      toSheet: row[15] || "",
+      reason: row[16] || "",
+    }))
+    .filter((record) => record.timestamp || record.action);
+}
+
+// Dispensing tab: who a REMOVE went to. Kept apart from Activity Records so
+// patient details never show up in the general log; Entry ID is the link.
+const DISPENSING_FIELDS = [
+  "entryId",
+  "patientId",
+  "prescriber",
+  "visitDate",
+  "notes",
+  "recorded",
+];
+
+export async function getDispensingRecords() {
+  const data = await getSheetData("Dispensing", "A:F");
+  return data
+    .slice(1)
+    .map((row, index) => {
+      const record = { rowIndex: index + 2 };
+      DISPENSING_FIELDS.forEach((field, i) => (record[field] = row[i] || ""));
+      return record;
+    })
+    .filter((record) => record.entryId);
+}
+
+function dispensingRows(records) {
+  return records.map((record) =>
+    DISPENSING_FIELDS.map((field) => record[field] ?? ""),
+  );
+}
+
+// Synonyms tab: each row is a name and its other names (comma-separated),
+// returned as one list of equivalent names per row
+export async function getSynonymGroups() {
+  const data = await getSheetData("Synonyms", "A:B");
+  return data
+    .slice(1)
+    .map((row) =>
+      [row[0] || "", ...(row[1] || "").split(",")]
+        .map((name) => name.trim())
+        .filter(Boolean),
+    )
+    .filter((names) => names.length > 1);
+}
+
+// NDC Codes tab: Code (digits only), Name, Dose
+export async function getNdcCodes() {
+  const data = await getSheetData("NDC Codes", "A:C");
+  return data
+    .slice(1)
+    .map((row, index) => ({
+      rowIndex: index + 2,
+      code: (row[0] || "").trim(),
+      name: (row[1] || "").trim(),
+      dose: (row[2] || "").trim(),
+    }))
+    .filter((entry) => entry.code && entry.name);
+}
+
+export async function addNdcCode({ code, name, dose }) {
+  await store.appendValues("NDC Codes!A:C", [[code, name, dose]]);
+}
+
+function pastMedicationRow({ name, dose, location, inventory = "" }) {
+  return [
+    name,
+    dose,
+    location,
+    new Date().toISOString().split("T")[0],
+    inventory,
+  ];
+}
+
+// Rows of Past Medication (from getPastMedication) for a name, dose (parsed,
+// so "0.5 g" matches "500mg") and location
+export function matchPastMedication(rows, { name, dose, location }) {
+  return rows.filter(
+    (row) =>
+      row.name.toLowerCase() === name.toLowerCase() &&
+      isSameDose(row.dose, dose) &&
+      row.location.toLowerCase() === location.toLowerCase(),
+  );
+}
+
+// Read every lot row of a stock sheet as objects (rowIndex is the 1-based sheet
+// row). options as for getSheetData.
+export async function getStockRows(sheetName, options) {
+  const data = await getSheetData(sheetName, STOCK_RANGE, options);
+  return data
+    .slice(1)
+    .map((row, index) => {
+      const item = { sheetName, rowIndex: index + 2 };
+      STOCK_FIELDS.forEach((field, i) => (item[field] = row[i] || ""));
+      item.quantity = item.quantity || "0";
+      return item;
+    })
+    .filter((item) => item.name);
+}
+
+function stockRow(item) {
+  return STOCK_FIELDS.map((field) =>
+    field === "received"
+      ? item.received || new Date().toISOString().split("T")[0]
+      : (item[field] ?? ""),
+  );
+}
+
+// Past Medication rows: Name, Dose, Location, Date Removed, Inventory
+export async function getPastMedication(options) {
+  const data = await getSheetData("Past Medication", "A:E", options);
+  return data
+    .slice(1)
+    .map((row, index) => ({
+      rowIndex: index + 2,
+      name: row[0] || "",
+      dose: row[1] || "",
+      location: row[2] || "",
+      dateRemoved: row[3] || "",
+      inventory: row[4] || "",
+    }))
+    .filter((row) => row.name);
+}
+
+// Batched writes. Each *Writes helper returns store operations instead of
+// writing, so a caller can collect several and apply them with applyWrites:
+// the store applies the whole list or nothing.
+export async function applyWrites(operations) {
+  if (operations.length > 0) await store.batchWrite(operations);
+}
+
+export function setQuantityWrites(sheetName, rowIndex, quantity) {
+  return [
+    {
+      type: "update",
+      range: `${sheetName}!${columnLetter("quantity")}${rowIndex}`,
+      values: [[quantity]],
+    },
+  ];
+}
+
+export function appendStockRowsWrites(sheetName, items) {
+  if (items.length === 0) return [];
+  return [
+    {
+      type: "append",
+      range: `${sheetName}!${STOCK_RANGE}`,
+      values: items.map(stockRow),
+    },
+  ];
+}
+
+// Delete rows of any tab by 1-based sheet row
+export function deleteRowsWrites(sheetName, rowIndexes) {
+  if (rowIndexes.length === 0) return [];
+  return [
+    { type: "deleteRows", sheetName, rowNumbers: rowIndexes.map(Number) },
+  ];
+}
+
+export function sortSheetByLocationWrites(sheetName) {
+  return [
+    {
+      type: "sortRows",
+      sheetName,
+      columnCount: STOCK_FIELDS.length,
+      sortColumns: [2, 0],
+    },
+  ];
+}
+
+export function addToPastMedicationWrites(medications) {
+  if (medications.length === 0) return [];
+  return [
+    {
+      type: "append",
+      range: "Past Medication!A:E",
+      values: medications.map(pastMedicationRow),
+    },
+  ];
+}
+
+// Entries are in the order they happened; the last one ends up on row 2
+export function logActivityWrites(entries) {
+  if (entries.length === 0) return [];
+  return [
+    {
+      type: "insertRows",
+      sheetName: "Activity Records",
+      startIndex: 1,
+      count: entries.length,
+    },
+    {
+      type: "update",
+      range: `Activity Records!A2:Q${entries.length + 1}`,
+      values: activityRows(entries).reverse(),
+    },
+  ];
+}
+
+export function addDispensingRecordsWrites(records) {
+  if (records.length === 0) return [];
+  return [
+    {
+      type: "append",
+      range: "Dispensing!A:F",
+      values: dispensingRows(records),
+    },
+  ];
+}
+
+// Users tab: Username, Password Hash, Role, Active
+export async function getUsers() {
+  const data = await getSheetData("Users", "A:D");
+  return data
+    .slice(1)
+    .map((row, index) => ({
+      rowIndex: index + 2,
+      username: row[0] || "",
+      passwordHash: row[1] || "",
+      role: row[2] || "volunteer",
+      active: (row[3] || "TRUE").toUpperCase() !== "FALSE",
+    }))
+    .filter((user) => user.username);
+}
+
+export async function addUser({ username, passwordHash, role }) {
+  await store.appendValues("Users!A:D", [
+    [username, passwordHash, role, "TRUE"],
+  ]);
+}
+
+export async function updateUser(rowIndex, { passwordHash, role, active }) {
+  await store.updateValues(`Users!B${rowIndex}:D${rowIndex}`, [
+    [passwordHash, role, active ? "TRUE" : "FALSE"],
+  ]);
+}
+
+// Stashes tab: Name, Owner, Members (comma-separated usernames), Active.
+// Each stash keeps its stock in a tab of the same name with the stock columns.
+export async function getStashes() {
+  const data = await getSheetData("Stashes", "A:D");
+  return data
+    .slice(1)
+    .map((row, index) => ({
+      rowIndex: index + 2,
+      name: (row[0] || "").trim(),
+      owner: (row[1] || "").trim(),
+      members: (row[2] || "")
+        .split(",")
+        .map((m) => m.trim())
+        .filter(Boolean),
+      active: (row[3] || "TRUE").toUpperCase() !== "FALSE",
+    }))
+    .filter((stash) => stash.name);
+}
+
+// Register a stash and create its stock tab if it doesn't exist yet
+export async function addStash({ name, owner, members = [] }) {
+  const tabs = await store.listTabs();
+  if (!tabs.some((t) => t.toLowerCase() === name.toLowerCase())) {
+    await store.addTab(name, STOCK_HEADERS);
+  }
+  await store.appendValues("Stashes!A:D", [
+    [name, owner, members.join(", "), "TRUE"],
+  ]);
+}
+
+export async function updateStash(rowIndex, { owner, members, active }) {
+  await store.updateValues(`Stashes!B${rowIndex}:D${rowIndex}`, [
+    [owner, members.join(", "), active ? "TRUE" : "FALSE"],
+  ]);
+}
+
+// Par Levels tab: Name, Dose, Par Level (minimum on hand), Reorder Quantity
+export async function getParLevels() {
+  const data = await getSheetData("Par Levels", "A:D");
+  return data
+    .slice(1)
+    .map((row, index) => ({
+      rowIndex: index + 2,
+      name: (row[0] || "").trim(),
+      dose: (row[1] || "").trim(),
+      parLevel: parseInt(row[2]) || 0,
+      reorderQuantity: parseInt(row[3]) || 0,
+    }))
+    .filter((par) => par.name);
+}
+
+export async function addParLevel({ name, dose, parLevel, reorderQuantity }) {
+  await store.appendValues("Par Levels!A:D", [
+    [name, dose, parLevel, reorderQuantity],
+  ]);
+}
+
+export async function updateParLevel(rowIndex, { parLevel, reorderQuantity }) {
+  await store.updateValues(`Par Levels!C${rowIndex}:D${rowIndex}`, [
+    [parLevel, reorderQuantity],
+  ]);
+}
+
+// Stock Alerts tab: one row per low/out-of-stock alert. Raised/Sent/Digested/Cleared
+// are ISO timestamps; an alert is active until Cleared is filled in. Sent Via
+// lists the channels that have delivered it so far (comma-separated).
+const ALERT_FIELDS = [
+  "name",
+  "dose",
+  "status",
+  "onHand",
+  "raised",
+  "sent",
+  "digested",
+  "cleared",
+  "sentVia",
+];
+
+export async function getStockAlerts() {
+  const data = await getSheetData("Stock Alerts", "A:I");
+  return data
+    .slice(1)
+    .map((row, index) => {
+      const alert = { rowIndex: index + 2 };
+      ALERT_FIELDS.forEach((field, i) => (alert[field] = row[i] || ""));
+      alert.onHand = parseInt(alert.onHand) || 0;
+      return alert;
+    })
+    .filter((alert) => alert.name);
+}
+
+export async function addStockAlert(alert) {
+  await store.appendValues("Stock Alerts!A:I", [
+    ALERT_FIELDS.map((field) => alert[field] ?? ""),
+  ]);
+}
+
+export async function updateStockAlert(rowIndex, alert) {
+  await store.updateValues(`Stock Alerts!A${rowIndex}:I${rowIndex}`, [
+    ALERT_FIELDS.map((field) => alert[field] ?? ""),
+  ]);
+}
+
+// Count Sessions tab: Status is counting / submitted / applied / discarded;
+// the dates are ISO timestamps
+const COUNT_SESSION_FIELDS = [
+  "sessionId",
+  "location",
+  "status",
+  "started",
+  "startedBy",
+  "submitted",
+  "approved",
+  "approvedBy",
+];
+
+export async function getCountSessions() {
+  const data = await getSheetData("Count Sessions", "A:H");
+  return data
+    .slice(1)
+    .map((row, index) => {
+      const session = { rowIndex: index + 2 };
+      COUNT_SESSION_FIELDS.forEach(
+        (field, i) => (session[field] = row[i] || ""),
+      );
+      return session;
+    })
+    .filter((session) => session.sessionId);
+}
+
+export async function addCountSession(session) {
+  await store.appendValues("Count Sessions!A:H", [
+    COUNT_SESSION_FIELDS.map((field) => session[field] ?? ""),
+  ]);
+}
+
+export async function updateCountSession(rowIndex, session) {
+  await store.updateValues(`Count Sessions!A${rowIndex}:H${rowIndex}`, [
+    COUNT_SESSION_FIELDS.map((field) => session[field] ?? ""),
+  ]);
+}
+
+// Count Lines tab: what was counted for each lot, and what the sheet said then
+const COUNT_LINE_FIELDS = [
+  "sessionId",
+  "sheetName",
+  "name",
+  "dose",
+  "lot",
+  "expiration",
+  "expected",
+  "counted",
+];
+
+export async function getCountLines(sessionId) {
+  const data = await getSheetData("Count Lines", "A:H");
+  return data
+    .slice(1)
+    .map((row) => {
+      const line = {};
+      COUNT_LINE_FIELDS.forEach((field, i) => (line[field] = row[i] || ""));
+      line.expected = parseInt(line.expected) || 0;
+      line.counted = parseInt(line.counted) || 0;
+      return line;
+    })
+    .filter((line) => line.sessionId && line.sessionId === sessionId);
+}
+
+export async function addCountLines(lines) {
+  if (lines.length === 0) return;
+  await store.appendValues(
+    "Count Lines!A:H",
+    lines.map((line) => COUNT_LINE_FIELDS.map((field) => line[field] ?? "")),
+  );
+}
+
+// Replace the contents of the restock list tab, creating it if needed.
+// Rows left over from a longer previous list are blanked out.
+export async function writeRestockList(sheetName, rows) {
+  const tabs = await store.listTabs();
+  if (!tabs.some((t) => t.toLowerCase() === sheetName.toLowerCase())) {
+    await store.addTab(sheetName, RESTOCK_LIST_HEADERS);
+  }
+  const previous = await store.getValues(`${sheetName}!A:H`);
+  const values = [RESTOCK_LIST_HEADERS, ...rows];
+  while (values.length < previous.length) {
+    values.push(RESTOCK_LIST_HEADERS.map(() => ""));
+  }
+  await store.updateValues(`${sheetName}!A1:H${values.length}`, values);
+}
+
+export async function listTabs() {
+  return store.listTabs();
+}
+
+// Startup: create every tab in TAB_HEADERS the spreadsheet doesn't have yet,
+// with its header row. Returns the names of the tabs created.
+export async function ensureTabs() {
+  const tabs = (await store.listTabs()).map((t) => t.toLowerCase());
+  const created = [];
+  for (const [sheetName, headers] of Object.entries(TAB_HEADERS)) {
+    if (!tabs.includes(sheetName.toLowerCase())) {
+      await store.addTab(sheetName, headers);
+      created.push(sheetName);
+    }
+  }
+  return created;
+}
+
+// Older stash tabs had no Location column (Name, Dose, Quantity, ...).
+// Rewrite them into the shared stock layout, using the stash name as the location.
+export async function migrateLegacyStashTab(sheetName) {
+  const data = await store.getValues(`${sheetName}!A:G`);
+  const header = data[0] || [];
+  if ((header[2] || "").trim().toLowerCase() !== "quantity") return false;
+  // New rows are one cell longer than the old ones, so every old cell is overwritten
+  const rows = [
+    STOCK_HEADERS,
+    ...data
+      .slice(1)
+      .map((row) =>
+        row.length === 0
+          ? []
+          : [row[0] || "", row[1] || "", sheetName, ...row.slice(2)],
+      ),
+  ];
+  await store.updateValues(
+    `${sheetName}!A1:${columnLetter("medicationId")}${rows.length}`,
+    rows,
+  );
+  console.log(`Migrated '${sheetName}' to the shared stock layout`);
+  return true;
+}
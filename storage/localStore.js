@@ -0,0 +1,224 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Local backend: keeps every tab as rows of strings in a single JSON file so
+// the app can run offline. Ranges use the same A1 notation as Google Sheets.
+
+function columnToIndex(letters) {
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function parseRange(range) {
+  const bang = range.lastIndexOf("!");
+  const sheetName = (bang === -1 ? range : range.slice(0, bang)).replace(
+    /^'(.*)'$/,
+    "$1",
+  );
+  const cells = bang === -1 ? "" : range.slice(bang + 1).toUpperCase();
+  const match = cells.match(/^([A-Z]+)?(\d+)?(?::([A-Z]+)?(\d+)?)?$/);
+  if (!match) throw new Error(`Unable to parse range: ${range}`);
+  const [, startCol, startRow, endCol, endRow] = match;
+  const isSingleCell = !cells.includes(":");
+  return {
+    sheetName,
+    startCol: startCol ? columnToIndex(startCol) : 0,
+    endCol: endCol
+      ? columnToIndex(endCol)
+      : isSingleCell && startCol
+        ? columnToIndex(startCol)
+        : Infinity,
+    startRow: startRow ? parseInt(startRow) - 1 : 0,
+    endRow: endRow
+      ? parseInt(endRow) - 1
+      : isSingleCell && startRow
+        ? parseInt(startRow) - 1
+        : Infinity,
+  };
+}
+
+function trimRow(row) {
+  const out = [...row];
+  while (out.length && (out[out.length - 1] ?? "") === "") out.pop();
+  return out;
+}
+
+function toCell(value) {
+  return value === undefined || value === null ? "" : String(value);
+}
+
+export function createLocalStore({ file, tabs }) {
+  let data = {};
+  if (fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  // Seed missing tabs and any header columns added since the file was created
+  for (const [tabName, headers] of Object.entries(tabs)) {
+    const existing = Object.keys(data).find(
+      (name) => name.trim().toLowerCase() === tabName.toLowerCase(),
+    );
+    if (!existing) {
+      data[tabName] = [[...headers]];
+    } else if ((data[existing][0] || []).length < headers.length) {
+      const header = data[existing][0] || [];
+      data[existing][0] = headers.map((h, i) => header[i] || h);
+    }
+  }
+  save();
+  console.log(`Using local inventory file ${path.resolve(file)}`);
+
+  function save() {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Find a tab by name (robust to trailing spaces and case, like the Sheets lookup)
+  function getTab(sheetName) {
+    const key = Object.keys(data).find(
+      (name) => name.trim().toLowerCase() === sheetName.trim().toLowerCase(),
+    );
+    if (!key) throw new Error(`Sheet "${sheetName}" not found.`);
+    return data[key];
+  }
+
+  function writeRow(tab, rowIndex, startCol, values) {
+    while (tab.length <= rowIndex) tab.push([]);
+    const row = tab[rowIndex];
+    values.forEach((value, i) => {
+      while (row.length < startCol + i) row.push("");
+      row[startCol + i] = toCell(value);
+    });
+  }
+
+  // One write, in memory only; callers save
+  function apply(operation) {
+    const tab = getTab(
+      operation.sheetName ?? parseRange(operation.range).sheetName,
+    );
+    switch (operation.type) {
+      case "update": {
+        const { startCol, startRow } = parseRange(operation.range);
+        operation.values.forEach((row, i) =>
+          writeRow(tab, startRow + i, startCol, row),
+        );
+        break;
+      }
+      case "append": {
+        const { startCol } = parseRange(operation.range);
+        let lastRow = tab.length - 1;
+        while (lastRow > 0 && trimRow(tab[lastRow]).length === 0) lastRow--;
+        tab.splice(lastRow + 1, 0, ...operation.values.map(() => []));
+        operation.values.forEach((row, i) =>
+          writeRow(tab, lastRow + 1 + i, startCol, row),
+        );
+        break;
+      }
+      case "insertRows": {
+        const { startIndex, count = 1 } = operation;
+        while (tab.length < startIndex) tab.push([]);
+        tab.splice(startIndex, 0, ...Array.from({ length: count }, () => []));
+        break;
+      }
+      case "deleteRows":
+        [...operation.rowNumbers]
+          .sort((a, b) => b - a)
+          .forEach((rowNumber) => tab.splice(rowNumber - 1, 1));
+        break;
+      case "sortRows": {
+        const body = tab.slice(1).filter((row) => trimRow(row).length > 0);
+        const blanks = tab.length - 1 - body.length;
+        body.sort((a, b) => {
+          for (const col of operation.sortColumns) {
+            const diff = (a[col] || "").localeCompare(b[col] || "", undefined, {
+              sensitivity: "base",
+              numeric: true,
+            });
+            if (diff !== 0) return diff;
+          }
+          return 0;
+        });
+        tab.splice(
+          1,
+          tab.length - 1,
+          ...body,
+          ...Array.from({ length: blanks }, () => []),
+        );
+        break;
+      }
+      default:
+        throw new Error(`Unknown write "${operation.type}"`);
+    }
+  }
+
+  return {
+    async listTabs() {
+      return Object.keys(data).map((name) => name.trim());
+    },
+
+    // Create a new tab with the given header row
+    async addTab(sheetName, headers) {
+      if (
+        Object.keys(data).some(
+          (n) => n.trim().toLowerCase() === sheetName.trim().toLowerCase(),
+        )
+      ) {
+        throw new Error(`Sheet "${sheetName}" already exists.`);
+      }
+      data[sheetName] = [[...headers]];
+      save();
+    },
+
+    async getValues(range) {
+      const { sheetName, startCol, endCol, startRow, endRow } =
+        parseRange(range);
+      const rows = getTab(sheetName)
+        .slice(startRow, endRow + 1)
+        .map((row) => trimRow(row.slice(startCol, endCol + 1)));
+      while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+      return rows;
+    },
+
+    async updateValues(range, values) {
+      apply({ type: "update", range, values });
+      save();
+    },
+
+    async appendValues(range, values) {
+      apply({ type: "append", range, values });
+      save();
+    },
+
+    // Insert empty rows before zero-based startIndex
+    async insertRows(sheetName, startIndex, count = 1) {
+      apply({ type: "insertRows", sheetName, startIndex, count });
+      save();
+    },
+
+    // Delete rows by 1-based sheet row number
+    async deleteRows(sheetName, rowNumbers) {
+      apply({ type: "deleteRows", sheetName, rowNumbers });
+      save();
+    },
+
+    // Sort everything below the header row by the given zero-based columns (blank rows last)
+    async sortRows(sheetName, { sortColumns }) {
+      apply({ type: "sortRows", sheetName, sortColumns });
+      save();
+    },
+
+    // Apply several writes in order; if one fails, none of them are kept
+    async batchWrite(operations) {
+      const before = JSON.stringify(data);
+      try {
+        operations.forEach(apply);
+        save();
+      } catch (error) {
+        data = JSON.parse(before);
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,178 @@
+// Header rows for each tab the app reads or writes. Any the spreadsheet is
+// missing are created at startup (ensureTabs in inventory.js); the local
+// backend also seeds them when it opens its file.
+export const TAB_HEADERS = {
+  "File Meds": [
+    "Name",
+    "Dose",
+    "Location",
+    "Quantity",
+    "Expiration",
+    "Lot",
+    "Received",
+    "Source",
+    "Medication ID",
+  ],
+  "Closet Meds": [
+    "Name",
+    "Dose",
+    "Location",
+    "Quantity",
+    "Expiration",
+    "Lot",
+    "Received",
+    "Source",
+    "Medication ID",
+  ],
+  "Past Medication": ["Name", "Dose", "Location", "Date Removed", "Inventory"],
+  // Reason is why a REMOVE took the stock (see lib/removals.js)
+  "Activity Records": [
+    "Timestamp",
+    "Action",
+    "Name",
+    "Dose",
+    "Location",
+    "Quantity",
+    "Lot",
+    "User",
+    "Sheet",
+    "Expiration",
+    "Received",
+    "Source",
+    "Entry ID",
+    "Reverses",
+    "To Location",
+    "To Sheet",
+    "Reason",
+  ],
+  // Patient details for a REMOVE, linked by its Activity Records Entry ID
+  Dispensing: [
+    "Entry ID",
+    "Patient ID",
+    "Prescriber",
+    "Visit Date",
+    "Notes",
+    "Recorded",
+  ],
+  // Locally maintained NDC / UPC table: scanned codes resolve to name + dose
+  "NDC Codes": ["Code", "Name", "Dose"],
+  // Extra search synonyms: a name and its other names, comma-separated
+  Synonyms: ["Name", "Synonyms"],
+  // Sheet is where shared stock at the location is kept (File Meds or Closet
+  // Meds); retired locations stay listed with Active FALSE
+  "Location Catalog": ["Location", "Sheet", "Active"],
+  // Canonical medications stock rows point at by Medication ID. Strengths are
+  // comma-separated; Status is active, proposed (waiting for an admin) or retired.
+  // Controlled TRUE puts the medication's stock changes in the Controlled Ledger.
+  "Medication Catalog": [
+    "Medication ID",
+    "Generic Name",
+    "Strengths",
+    "Form",
+    "Category",
+    "Storage",
+    "Rx/OTC",
+    "Status",
+    "Proposed By",
+    "Controlled",
+  ],
+  // Perpetual count of controlled medications: one row per change to a
+  // medication's total on a sheet, appended in order, with a witness where one
+  // signed off. Balance After of the last row should match the sheet.
+  "Controlled Ledger": [
+    "Timestamp",
+    "Sheet",
+    "Name",
+    "Dose",
+    "Location",
+    "Lot",
+    "Action",
+    "Change",
+    "Balance Before",
+    "Balance After",
+    "User",
+    "Witness",
+    "Entry ID",
+  ],
+  // Manufacturer recalls: a blank Dose covers every strength and blank Lots
+  // every lot (otherwise comma-separated lot numbers). Status is open or closed.
+  Recalls: [
+    "Recall ID",
+    "Name",
+    "Dose",
+    "Lots",
+    "Reference",
+    "Announced",
+    "Status",
+    "Created By",
+    "Medication ID",
+  ],
+  // Lot rows taken off their sheet under a recall, as they were, until they're
+  // returned to the manufacturer or destroyed (Status quarantined, returned or
+  // destroyed)
+  Quarantine: [
+    "Quarantine ID",
+    "Recall ID",
+    "Sheet",
+    "Name",
+    "Dose",
+    "Location",
+    "Quantity",
+    "Expiration",
+    "Lot",
+    "Received",
+    "Source",
+    "Medication ID",
+    "Quarantined",
+    "Status",
+    "Resolved",
+    "Resolved By",
+  ],
+  // Cycle counts: one session per location count, one line per lot counted
+  "Count Sessions": [
+    "Session ID",
+    "Location",
+    "Status",
+    "Started",
+    "Started By",
+    "Submitted",
+    "Approved",
+    "Approved By",
+  ],
+  "Count Lines": [
+    "Session ID",
+    "Sheet",
+    "Name",
+    "Dose",
+    "Lot",
+    "Expiration",
+    "Expected",
+    "Counted",
+  ],
+  Users: ["Username", "Password Hash", "Role", "Active"],
+  Stashes: ["Name", "Owner", "Members", "Active"],
+  "Par Levels": ["Name", "Dose", "Par Level", "Reorder Quantity"],
+  "Stock Alerts": [
+    "Name",
+    "Dose",
+    "Status",
+    "On Hand",
+    "Raised",
+    "Sent",
+    "Digested",
+    "Cleared",
+    "Sent Via",
+  ],
+};
+
+// Written by the restock engine when RESTOCK_LIST_TAB is set (created on first write)
+export const RESTOCK_LIST_HEADERS = [
+  "Name",
+  "Dose",
+  "On Hand",
+  "Par Level",
+  "Reorder Quantity",
+  "Suggested Order",
+  "Status",
+  "Updated",
+];
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCachingStore } from "../storage/cachingStore.js";
+
+// An underlying store whose cells change behind the cache's back, as edits
+// made directly in the spreadsheet do
+function createSpreadsheet(rows) {
+  let reads = 0;
+  return {
+    rows,
+    get reads() {
+      return reads;
+    },
+    async getValues() {
+      reads++;
+      return this.rows.map((row) => [...row]);
+    },
+  };
+}
+
+test("cached reads miss edits made in the spreadsheet", async () => {
+  const sheet = createSpreadsheet([["Name"], ["Ibuprofen"]]);
+  const store = createCachingStore(sheet, { ttlMs: 30_000 });
+  await store.getValues("File Meds!A:I");
+  sheet.rows = [["Name"], ["Naproxen"]];
+  assert.deepEqual(await store.getValues("File Meds!A:I"), [
+    ["Name"],
+    ["Ibuprofen"],
+  ]);
+  assert.equal(sheet.reads, 1);
+});
+
+test("a fresh read sees them and refreshes the cache", async () => {
+  const sheet = createSpreadsheet([["Name"], ["Ibuprofen"]]);
+  const store = createCachingStore(sheet, { ttlMs: 30_000 });
+  await store.getValues("File Meds!A:I");
+  sheet.rows = [["Name"], ["Naproxen"]];
+  const live = [["Name"], ["Naproxen"]];
+  assert.deepEqual(
+    await store.getValues("File Meds!A:I", { fresh: true }),
+    live,
+  );
+  assert.deepEqual(await store.getValues("File Meds!A:I"), live);
+  assert.equal(sheet.reads, 2);
+});
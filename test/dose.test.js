@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isSameDose, normalizeDose } from "../lib/dose.js";
+import { groupLots } from "../lib/lots.js";
+
+test("spellings of one dose share a key", () => {
+  assert.equal(normalizeDose("500mg"), normalizeDose("0.5 g"));
+  assert.equal(normalizeDose("500 mg tab"), normalizeDose("500 MG Tablet"));
+  assert.equal(
+    normalizeDose("160mg/5mL susp"),
+    normalizeDose("32 mg/mL suspension"),
+  );
+});
+
+test("a dose with no form is a tablet, never a capsule", () => {
+  assert.ok(isSameDose("500mg", "500 mg tab"));
+  assert.ok(!isSameDose("500mg", "500 mg cap"));
+  assert.ok(!isSameDose("500 mg tab", "500 mg cap"));
+});
+
+test("creams and ointments stay apart", () => {
+  assert.ok(!isSameDose("1% cream", "1% ointment"));
+  assert.ok(!isSameDose("1%", "1% cream"));
+});
+
+test("release modifiers are part of the dose", () => {
+  assert.ok(!isSameDose("500 mg ER", "500 mg"));
+  assert.ok(isSameDose("500 mg XR", "500 mg er"));
+});
+
+test("groupLots puts a formless lot with the tablets only", () => {
+  const row = (dose, quantity) => ({
+    sheetName: "File Meds",
+    name: "Acetaminophen",
+    dose,
+    location: "Cabinet 1",
+    quantity: String(quantity),
+    lot: dose,
+    expiration: "",
+  });
+  const groups = groupLots([
+    row("500mg", 4),
+    row("500 mg tab", 3),
+    row("500 mg cap", 7),
+  ]);
+  assert.deepEqual(
+    groups.map((g) => [g.dose, g.quantity, g.lots.length]),
+    [
+      ["500mg", 7, 2],
+      ["500 mg cap", 7, 1],
+    ],
+  );
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// The inventory module opens its store when it is imported, so point it at a
+// scratch file first
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stock-import-"));
+process.env.INVENTORY_BACKEND = "local";
+process.env.LOCAL_INVENTORY_FILE = path.join(dir, "inventory.json");
+const {
+  addCatalogMedication,
+  applyWrites,
+  getActivityRecords,
+  getStockRows,
+  saveLocationsWrites,
+} = await import("../storage/inventory.js");
+const { applyImport, parseImportCsv } = await import("../lib/stockImport.js");
+const { WitnessRequiredError } = await import("../lib/stockPlan.js");
+const { SHARED_INVENTORY } = await import("../lib/inventories.js");
+
+const user = { username: "admin", role: "admin" };
+
+await applyWrites(
+  saveLocationsWrites(
+    [{ name: "Cabinet 1", sheetName: "File Meds", active: true }],
+    0,
+  ),
+);
+for (const [name, strength, controlled] of [
+  ["Ibuprofen", "200 mg", false],
+  ["Naproxen", "220 mg", false],
+  ["Oxycodone", "5 mg", true],
+]) {
+  await addCatalogMedication({
+    medicationId: `med-${name.toLowerCase()}`,
+    name,
+    strengths: [strength],
+    status: "active",
+    controlled,
+  });
+}
+
+function csv(...lines) {
+  return ["name,dose,location,quantity,lot", ...lines].join("\n");
+}
+
+async function fileMeds() {
+  return (await getStockRows("File Meds", { fresh: true })).map((row) => [
+    row.name,
+    row.quantity,
+    row.lot,
+  ]);
+}
+
+test("a file without the required columns is refused", () => {
+  const { rows, error } = parseImportCsv("name,quantity\nIbuprofen,5", []);
+  assert.equal(error, "Missing columns: dose, location");
+  assert.deepEqual(rows, []);
+});
+
+test("each row's problems are listed against its line", () => {
+  const { rows } = parseImportCsv(
+    [
+      "Medication,Strength,Location,Qty,Expiry",
+      "Ibuprofen,200 mg,cabinet 1,5,3/1/2030",
+      "Naproxen,,Shelf 9,2.5,soon",
+    ].join("\n"),
+    ["Cabinet 1"],
+  );
+  assert.equal(rows[0].line, 2);
+  assert.deepEqual(rows[0].errors, []);
+  assert.equal(rows[0].item.location, "Cabinet 1");
+  assert.equal(rows[0].item.quantity, 5);
+  assert.equal(rows[0].item.expiration, "2030-03-01");
+  assert.equal(rows[1].line, 3);
+  assert.deepEqual(rows[1].errors, [
+    "Dose is missing",
+    '"Shelf 9" is not in the Location Catalog',
+    "Quantity must be a whole number above 0",
+    'expiration "soon" is not a date',
+  ]);
+});
+
+test("valid rows are added and merged; invalid ones are skipped", async () => {
+  const result = await applyImport(
+    csv(
+      "Ibuprofen,200 mg,Cabinet 1,5,A1",
+      "Ibuprofen,200 mg,Cabinet 1,3,A1",
+      "Naproxen,220 mg,Cabinet 1,0,B1",
+    ),
+    SHARED_INVENTORY,
+    user,
+  );
+  assert.deepEqual(result, { added: 2, skipped: 1, error: "" });
+  assert.deepEqual(await fileMeds(), [["Ibuprofen", "8", "A1"]]);
+  const adds = (await getActivityRecords()).filter((r) => r.action === "ADD");
+  assert.equal(adds.length, 2);
+});
+
+test("nothing is added when one row can't be", async () => {
+  const before = await fileMeds();
+  await assert.rejects(
+    applyImport(
+      csv("Naproxen,220 mg,Cabinet 1,4,B2", "Oxycodone,5 mg,Cabinet 1,10,C1"),
+      SHARED_INVENTORY,
+      user,
+      { requireWitness: true },
+    ),
+    WitnessRequiredError,
+  );
+  assert.deepEqual(await fileMeds(), before);
+});
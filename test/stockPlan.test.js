@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// The inventory module opens its store when it is imported, so point it at a
+// scratch file first
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stock-plan-"));
+process.env.INVENTORY_BACKEND = "local";
+process.env.LOCAL_INVENTORY_FILE = path.join(dir, "inventory.json");
+const {
+  applyWrites,
+  appendStockRowsWrites,
+  deleteRowsWrites,
+  getStockRows,
+  setQuantityWrites,
+} = await import("../storage/inventory.js");
+const { createStockPlan, StockConflictError } =
+  await import("../lib/stockPlan.js");
+
+// Put one lot on File Meds and return its row as read
+async function stockLot(name, quantity) {
+  const lot = {
+    name,
+    dose: "200 mg",
+    location: "Cabinet 1",
+    quantity: String(quantity),
+    expiration: "2030-01-01",
+    lot: "L1",
+  };
+  await applyWrites(appendStockRowsWrites("File Meds", [lot]));
+  const rows = await getStockRows("File Meds", { fresh: true });
+  return rows.find((row) => row.name === name);
+}
+
+async function quantityOf(name) {
+  const rows = await getStockRows("File Meds", { fresh: true });
+  return rows.find((row) => row.name === name)?.quantity;
+}
+
+test("a plan commits when its rows are as it read them", async () => {
+  const lot = await stockLot("Ibuprofen", 10);
+  const plan = createStockPlan();
+  await plan.changeLot("File Meds", lot, -4);
+  await plan.commit();
+  assert.equal(await quantityOf("Ibuprofen"), "6");
+});
+
+test("a quantity edited after the plan read it is a conflict", async () => {
+  const lot = await stockLot("Naproxen", 10);
+  const plan = createStockPlan();
+  await plan.changeLot("File Meds", lot, -4);
+  await applyWrites(setQuantityWrites("File Meds", lot.rowIndex, 7));
+  await assert.rejects(plan.commit(), StockConflictError);
+  assert.equal(await quantityOf("Naproxen"), "7");
+});
+
+test("a row deleted after the plan read it is a conflict", async () => {
+  const lot = await stockLot("Cetirizine", 10);
+  const plan = createStockPlan();
+  await plan.changeLot("File Meds", lot, -4);
+  await applyWrites(deleteRowsWrites("File Meds", [lot.rowIndex]));
+  await assert.rejects(plan.commit(), StockConflictError);
+  assert.equal(await quantityOf("Cetirizine"), undefined);
+});
+
+test("adding against a stale total is reported, not written", async () => {
+  const lot = await stockLot("Loratadine", 10);
+  const plan = createStockPlan();
+  const item = { ...lot, quantity: 5 };
+  const result = await plan.addToLot("File Meds", item, {
+    expectedQuantity: 8,
+  });
+  assert.equal(result.status, "conflict");
+  await plan.commit();
+  assert.equal(await quantityOf("Loratadine"), "10");
+});
@@ -0,0 +1,275 @@
+import { hasRole } from "../lib/auth.js";
+import { SHARED_INVENTORY } from "../lib/inventories.js";
+
+// Nav links, each shown from the given role up
+const NAV_LINKS = [
+  { href: "/", label: "Inventory", role: "volunteer" },
+  { href: "/expiring", label: "Expiring Soon", role: "volunteer" },
+  { href: "/restock", label: "Restock List", role: "volunteer" },
+  { href: "/reports", label: "Reports", role: "volunteer" },
+  { href: "/counts", label: "Counts", role: "volunteer" },
+  { href: "/stashes", label: "Stashes", role: "volunteer" },
+  { href: "/activity", label: "Recent Activity", role: "volunteer" },
+  { href: "/patients", label: "Patients", role: "pharmacist" },
+  { href: "/controlled", label: "Controlled Ledger", role: "pharmacist" },
+  { href: "/recalls", label: "Recalls", role: "volunteer" },
+  { href: "/import", label: "Import / Export", role: "volunteer" },
+  { href: "/medications", label: "Medications", role: "volunteer" },
+  { href: "/locations", label: "Locations", role: "admin" },
+  { href: "/users", label: "Users", role: "admin" },
+];
+
+function renderNav(user) {
+  if (!user) return "";
+  return `
+  <nav class="nav">
+    ${NAV_LINKS.filter((link) => hasRole(user, link.role))
+      .map((link) => `<a href="${link.href}">${link.label}</a>`)
+      .join("\n    ")}
+    <form action="/logout" method="POST" class="nav-user">
+      <span>${escapeHtml(user.username)} (${escapeHtml(user.role)})</span>
+      <button type="submit">Log out</button>
+    </form>
+  </nav>`;
+}
+
+// Inventory picker shared by the search, add and import forms
+export function renderInventoryPicker(stashes, selected) {
+  if (stashes.length === 0) {
+    return `<input type="hidden" name="inventory" value="${SHARED_INVENTORY}" />`;
+  }
+  return `
+      <label>Inventory</label>
+      <select name="inventory">
+        <option value="${SHARED_INVENTORY}">Shared stock (File + Closet Meds)</option>
+        ${stashes
+          .map(
+            (stash) =>
+              `<option value="${escapeHtml(stash.name)}"${stash.name === selected ? " selected" : ""}>${escapeHtml(stash.name)}</option>`,
+          )
+          .join("")}
+      </select>`;
+}
+
+// Sign-off for a second person, on forms that can change a controlled
+// medication. Collapsed when the form may not need it.
+export function renderWitnessFields({ open = true } = {}) {
+  return `
+        <details class="witness-sign-off"${open ? " open" : ""}>
+          <summary>Witness for controlled medications</summary>
+          <label>Witness Username</label>
+          <input type="text" name="witness[username]" autocomplete="off" />
+          <label>Witness Password</label>
+          <input type="password" name="witness[password]" autocomplete="off" />
+        </details>`;
+}
+
+// Shared page shell (styles, header, footer) for every HTML page
+export function renderLayout({ title, content, script = "", user = null }) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${title}</title>
+<link href="https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600&display=swap" rel="stylesheet" />
+<style>
+  :root {
+    --primary: #F37021; /* Orange */
+    --add-primary: #28a745; /* Green */
+    --light: #FFF9F5;
+    --dark: #333;
+    --border: #E8E8E8;
+  }
+  body {
+    font-family: 'Open Sans', sans-serif;
+    margin: 0; padding: 0;
+    background: white;
+    color: var(--dark);
+  }
+  header {
+    background: white;
+    padding: 1rem 2rem;
+    border-bottom: 1px solid var(--border);
+    max-width: 1000px;
+    margin: auto;
+    display: flex;
+    align-items: center;
+    gap: 1rem;
+  }
+  .logo { height: 60px; }
+  h1 { margin: 0; color: var(--dark); font-weight: 600; font-size: 1.8rem; }
+  .container { max-width: 1000px; margin: auto; padding: 1rem; }
+  form {
+    background: white;
+    padding: 1.5rem;
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.05);
+    margin-bottom: 2rem;
+    border: 1px solid var(--border);
+  }
+  label { display: block; margin-bottom: 0.5rem; font-weight: 600; }
+  input[type="text"], input[type="number"], input[type="date"], input[type="password"], select {
+    width: 100%; padding: 0.5rem; margin-bottom: 1rem;
+    border: 1px solid var(--border); border-radius: 4px;
+    font-family: 'Open Sans', sans-serif;
+  }
+  button {
+    background: var(--primary);
+    color: white;
+    border: none; padding: 0.5rem 1.25rem;
+    border-radius: 4px; cursor: pointer;
+    font-family: 'Open Sans', sans-serif; font-weight: 600;
+    font-size: 1rem; transition: background 0.2s;
+  }
+  button:hover { background: #E05A1A; }
+
+  /* Orange top table */
+  .top-table th {
+    background: var(--primary);
+    color: white;
+    font-weight: 600;
+  }
+
+  /* Green Add CURRENT Medication table */
+  .add-table th {
+    background: var(--add-primary);
+    color: white;
+    font-weight: 600;
+  }
+  .add-table {
+    border-color: var(--add-primary);
+  }
+  /* Green +/- buttons inside Add CURRENT Medication table */
+  .add-table .qty-controls button {
+    background: var(--add-primary);
+    color: white;
+    border: none;
+  }
+  .add-table .qty-controls button:hover {
+    background: #218838; /* darker green on hover */
+  }
+
+  /* Green "Add Quantity" submit button under Add CURRENT Medication table */
+  .add-table + button,
+  .add-current-med button[type="submit"] {
+    background: var(--add-primary);
+    color: white;
+  }
+  .add-table + button:hover,
+  .add-current-med button[type="submit"]:hover {
+    background: #218838;
+  }
+
+  /* New button style for Add CURRENT Medication section */
+  form.add-current-med .add-search-btn {
+    background: var(--add-primary);
+  }
+  form.add-current-med .add-search-btn:hover {
+    background: #218838;
+  }
+  form.add-current-med label {
+    color: var(--add-primary);
+    font-weight: 700;
+    font-size: 1.1rem;
+    margin-bottom: 0.7rem;
+  }
+
+  table {
+    width: 100%; border-collapse: collapse; margin-bottom: 2rem;
+    background: white; border-radius: 8px; overflow: hidden;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.05); border: 1px solid var(--border);
+  }
+  th, td {
+    padding: 0.75rem 1rem; text-align: left;
+    border-bottom: 1px solid var(--border); vertical-align: middle;
+  }
+  .qty-btn {
+    width: 3.5em; text-align: center; padding: 0.3rem;
+    border: 1px solid var(--border); border-radius: 4px;
+  }
+  .qty-controls { display: flex; gap: 0.5rem; align-items: center; }
+  select.reason-select { margin: 0.5rem 0 0; }
+  .no-results {
+    background: white; padding: 1rem; border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.05); text-align: center;
+    margin-bottom: 2rem; border: 1px solid var(--border);
+  }
+  .divider { border-top: 4px solid var(--primary); margin: 2rem 0; }
+  .add-section-title {
+    text-align: center; font-size: 1.3rem; font-weight: 600;
+    margin-bottom: 1rem; margin-top: 0.5rem;
+  }
+  .subsection-title {
+    font-weight: 700; font-size: 1.2rem; margin-bottom: 1rem;
+    color: var(--add-primary); border-bottom: 2px solid var(--add-primary);
+    padding-bottom: 0.25rem;
+  }
+  @media (max-width: 768px) {
+    header { text-align: center; flex-direction: column; }
+    .logo { margin-bottom: 1rem; }
+    table, form { font-size: 0.9rem; }
+  }
+  .nav {
+    max-width: 1000px; margin: auto; padding: 0.5rem 2rem;
+    display: flex; gap: 1.5rem; flex-wrap: wrap;
+  }
+  .nav a { color: var(--primary); font-weight: 600; text-decoration: none; }
+  .nav a:hover { text-decoration: underline; }
+  .nav .nav-user {
+    margin: 0 0 0 auto; padding: 0; border: none; box-shadow: none;
+    display: flex; gap: 0.75rem; align-items: center; background: none;
+  }
+  .nav .nav-user button { padding: 0.25rem 0.75rem; font-size: 0.85rem; }
+  .notice {
+    background: var(--light); border: 1px solid var(--primary);
+    border-radius: 8px; padding: 1rem; margin-bottom: 2rem;
+  }
+  .dispensing-record, .witness-sign-off { margin: 1rem 0; }
+  .bar-chart { margin-bottom: 2rem; }
+  .bar-row { display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.35rem; }
+  .bar-label { flex: 0 0 14rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .bar { display: inline-block; height: 1rem; min-width: 2px; background: var(--primary); border-radius: 2px; }
+  .bar-value { font-weight: 600; }
+  .dispensing-record summary, .witness-sign-off summary { cursor: pointer; font-weight: 600; margin-bottom: 1rem; }
+  .tag {
+    display: inline-block; padding: 0.1rem 0.5rem; border-radius: 4px;
+    font-size: 0.8rem; font-weight: 600; color: white; background: #999;
+  }
+  .tag.expired { background: #c82333; }
+  .tag.expiring { background: var(--primary); }
+  .tag.use-first { background: var(--add-primary); }
+  .tag.controlled { background: #6f42c1; }
+  footer {
+    text-align: center; padding: 1.5rem 0; background: #f9f9f9;
+    color: #666; margin-top: 2rem; font-size: 0.9rem;
+    border-top: 1px solid var(--border);
+  }
+</style>
+</head>
+<body>
+  <header>
+    <img src="/noor-logo.jpg" alt="SLO Noor Foundation Logo" class="logo" />
+    <h1>${title}</h1>
+  </header>
+${renderNav(user)}
+${content}
+  <footer>
+    <p>© 2025 SLO Noor Foundation. All rights reserved.</p>
+  </footer>
+${script}
+</body>
+</html>
+  `;
+}
+
+// Escape text for safe insertion into HTML
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}